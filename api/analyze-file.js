@@ -2,14 +2,23 @@ import fetch from "node-fetch";
 import pdf from "pdf-parse";
 import * as XLSX from "xlsx";
 import JSZip from "jszip";
+import { XMLParser } from "fast-xml-parser";
 import {
-  Document, Packer, Paragraph, TextRun, Table, TableRow, TableCell,
-  WidthType, BorderStyle, AlignmentType, HeadingLevel, ShadingType,
-  LevelFormat
-} from "docx";
+  validateGrounding, buildSourceIndex, annotateUngrounded,
+  buildGroundingFeedback, GROUNDING_MODES
+} from "../financial-engine/utils/groundingValidator.js";
+import { recordsToSheets } from "../financial-engine/utils/recordTables.js";
+import { getLLM } from "../financial-engine/ai/llmProvider.js";
+import { rasterizePdf } from "../financial-engine/ocr/pdfRasterizer.js";
+import { recognizePages, splitByConfidence, OCR_MIN_CONFIDENCE } from "../financial-engine/ocr/ocrReader.js";
+import {
+  chunkSheets, analyzeInChunks, mergeSummaries, describeCoverage, MAX_CHUNKS
+} from "../financial-engine/ai/chunkedAnalysis.js";
+import { markdownToWordBase64 } from "../financial-engine/reports/markdownToWord.js";
+import { resolveReportTheme, themeLogo } from "../financial-engine/reports/reportThemes.js";
 
 // ─────────────────────────────────────────────
-//  CORS + BODY PARSER
+//  CORS + BODY PARSER + EVENT STREAM
 // ─────────────────────────────────────────────
 
 function cors(res) {
@@ -18,6 +27,26 @@ function cors(res) {
   res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
 }
 
+// Server-Sent Events: send(event, data) writes one event as JSON. A
+// comment line every 15 s keeps proxies from closing a quiet stream
+// (OCR, chunk summaries).
+function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  heartbeat.unref?.();
+
+  return {
+    send(event, data) { res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); },
+    end() { clearInterval(heartbeat); res.end(); }
+  };
+}
+
 async function parseJsonBody(req) {
   return new Promise((resolve, reject) => {
     let body = "";
@@ -58,60 +87,176 @@ async function downloadFileToBuffer(url, maxBytes = 30 * 1024 * 1024, timeoutMs
 //  FILE TYPE DETECTION
 // ─────────────────────────────────────────────
 
+const OLE_MAGIC = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+
+const startsWith = (buffer, bytes) => bytes.every((b, i) => buffer[i] === b);
+
+// OLE stream names are stored UTF-16LE in the compound file directory
+const hasOleStream = (buffer, name) => buffer.includes(Buffer.from(name, "utf16le"));
+
+// ZIP containers: OOXML by its part names (file names in a ZIP are not
+// compressed), OpenDocument by its media type, which the uncompressed
+// "mimetype" entry (or the manifest) spells out
+function detectZipType(u, ct, buffer) {
+  if (buffer.includes("xl/workbook"))      return "xlsx";
+  if (buffer.includes("word/document"))    return "docx";
+  if (buffer.includes("ppt/presentation")) return "pptx";
+  if (buffer.includes("application/vnd.oasis.opendocument.spreadsheet")) return "ods";
+  if (buffer.includes("application/vnd.oasis.opendocument")) return "odf";
+  if (u.includes(".docx") || ct.includes("wordprocessing")) return "docx";
+  if (u.includes(".pptx") || ct.includes("presentation"))   return "pptx";
+  if (u.includes(".xlsx") || ct.includes("spreadsheet"))    return "xlsx";
+  return "zip";
+}
+
+// NUL bytes or many control characters in the first 8 KB — not text
+// (UTF-16 text is recognised by its byte order mark)
+function looksBinary(buffer) {
+  if ((buffer[0] === 0xFF && buffer[1] === 0xFE) || (buffer[0] === 0xFE && buffer[1] === 0xFF)) return false;
+  const sample = buffer.subarray(0, 8192);
+  let control = 0;
+  for (const b of sample) {
+    if (b === 0) return true;
+    if (b < 0x09 || (b > 0x0D && b < 0x20)) control++;
+  }
+  return control > sample.length * 0.1;
+}
+
+// Bytes → string, honouring a UTF-8 / UTF-16 byte order mark
+function decodeText(buffer) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return buffer.subarray(2).toString("utf16le");
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    const body = Buffer.from(buffer.subarray(2, 2 + ((buffer.length - 2) & ~1)));
+    return body.swap16().toString("utf16le");
+  }
+  const text = buffer.toString("utf8");
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
 function detectFileType(fileUrl, contentType, buffer) {
-  const u = (fileUrl || "").toLowerCase();
+  const u = (fileUrl || "").toLowerCase().split(/[?#]/)[0];
   const ct = (contentType || "").toLowerCase();
   if (buffer && buffer.length >= 4) {
-    if (buffer[0] === 0x50 && buffer[1] === 0x4b) {
-      if (u.includes(".docx") || ct.includes("wordprocessing")) return "docx";
-      if (u.includes(".pptx") || ct.includes("presentation"))   return "pptx";
-      return "xlsx";
+    if (buffer[0] === 0x50 && buffer[1] === 0x4b) return detectZipType(u, ct, buffer);
+    if (startsWith(buffer, OLE_MAGIC)) {
+      // compound file: legacy Excel / Word / PowerPoint, or an encrypted
+      // (password-protected) OOXML package
+      if (hasOleStream(buffer, "EncryptedPackage")) return "encrypted";
+      if (hasOleStream(buffer, "Workbook") || hasOleStream(buffer, "Book")) return "xls";
+      return "ole";
     }
     if (buffer[0] === 0x25 && buffer[1] === 0x50 && buffer[2] === 0x44 && buffer[3] === 0x46) return "pdf";
     if (buffer[0] === 0x89 && buffer[1] === 0x50) return "png";
     if (buffer[0] === 0xFF && buffer[1] === 0xD8) return "jpg";
+    if (buffer.subarray(0, 4).toString("latin1") === "GIF8") return "gif";
+    if (buffer.subarray(0, 4).toString("latin1") === "RIFF" && buffer.subarray(8, 12).toString("latin1") === "WEBP") return "webp";
   }
   if (u.endsWith(".pdf")  || ct.includes("application/pdf"))  return "pdf";
   if (u.endsWith(".docx") || ct.includes("wordprocessing"))   return "docx";
   if (u.endsWith(".pptx") || ct.includes("presentation"))     return "pptx";
-  if (u.endsWith(".xlsx") || u.endsWith(".xls") || ct.includes("spreadsheet")) return "xlsx";
+  // .xls without the OLE header is usually an HTML or XML "Excel" export,
+  // which the spreadsheet reader also handles
+  if (u.endsWith(".xls")  || ct.includes("ms-excel"))         return "xls";
+  if (u.endsWith(".xlsx") || ct.includes("spreadsheet"))      return "xlsx";
+  if (u.endsWith(".ods"))                                     return "ods";
   if (u.endsWith(".csv")  || ct.includes("text/csv"))         return "csv";
-  if (u.endsWith(".txt")  || ct.includes("text/plain"))       return "txt";
+  if (u.endsWith(".json") || ct.includes("json"))             return "json";
+  if (u.endsWith(".xml")  || ct.includes("xml"))              return "xml";
   if (u.endsWith(".png")  || ct.includes("image/png"))        return "png";
   if (u.endsWith(".jpg") || u.endsWith(".jpeg") || ct.includes("image/jpeg")) return "jpg";
   if (u.endsWith(".gif")  || ct.includes("image/gif"))        return "gif";
   if (u.endsWith(".webp") || ct.includes("image/webp"))       return "webp";
+  if (!buffer?.length) return "txt";
+  if (looksBinary(buffer)) return "binary";
+  if (u.endsWith(".txt")  || ct.includes("text/plain"))       return "txt";
+
+  // no name or type to go on — sniff the text
+  const head = decodeText(buffer.subarray(0, 512)).trimStart();
+  if (head.startsWith("{") || head.startsWith("[")) return "json";
+  if (head.startsWith("<?xml") || (/^<[a-z]/i.test(head) && !/^<html/i.test(head))) return "xml";
   return "txt";
 }
 
+// Detected types that can't be analyzed, with what to tell the user
+const UNSUPPORTED_TYPES = {
+  encrypted: "This file is password-protected. Please remove the password and upload it again.",
+  ole:       "This looks like a legacy Word or PowerPoint file (.doc / .ppt). Please save it as .docx / .pptx (or PDF) and upload it again.",
+  odf:       "OpenDocument text and presentation files are not supported. Please save it as .docx / .pptx (or PDF) and upload it again.",
+  zip:       "This ZIP archive is not an Excel, Word, PowerPoint or OpenDocument spreadsheet file. Please upload the document itself.",
+  binary:    "Unsupported file format. Supported formats: Excel (.xlsx, .xls), OpenDocument spreadsheets (.ods), CSV, JSON, XML, PDF, " +
+             "Word (.docx), PowerPoint (.pptx), plain text and images (PNG, JPEG, GIF, WebP)."
+};
+
 // ─────────────────────────────────────────────
 //  FILE CONTENT EXTRACTION
 // ─────────────────────────────────────────────
 
-// Excel / CSV → plain text (CSV per sheet, capped at 150k chars)
-function extractXlsxToText(buffer, MAX_CHARS = 150000) {
+// Characters of document text sent in one prompt
+const MAX_CHARS = 150000;
+
+// Excel (.xlsx, .xls, .ods, SpreadsheetML) → rows per sheet:
+// [{ name, rows: [csvLine, …] }]
+function extractXlsxSheets(buffer) {
   try {
     const wb = XLSX.read(buffer, { type: "buffer", raw: true, cellDates: false });
-    if (!wb.SheetNames.length) return { text: "", error: "Empty workbook" };
-    let fullText = "";
-    let truncated = false;
-    for (const name of wb.SheetNames) {
-      if (fullText.length >= MAX_CHARS) { truncated = true; break; }
-      const ws = wb.Sheets[name];
-      const csv = XLSX.utils.sheet_to_csv(ws, { blankrows: false });
-      const block = `### Sheet: ${name}\n${csv}\n\n`;
-      if (fullText.length + block.length > MAX_CHARS) {
-        fullText += block.slice(0, MAX_CHARS - fullText.length);
-        truncated = true;
-        break;
-      }
-      fullText += block;
-    }
-    if (truncated) fullText += "\n[Content truncated — file exceeds size limit]";
-    return { text: fullText };
+    if (!wb.SheetNames.length) return { sheets: [], error: "Empty workbook" };
+    const sheets = wb.SheetNames.map(name => ({
+      name,
+      rows: XLSX.utils.sheet_to_csv(wb.Sheets[name], { blankrows: false }).split("\n").filter(r => r.length)
+    }));
+    return { sheets };
   } catch (err) {
-    return { text: "", error: err.message };
+    return { sheets: [], error: err.message };
+  }
+}
+
+// CSV text → a single "sheet"
+function csvToSheets(text) {
+  return [{ name: "CSV", rows: text.split(/\r?\n/).filter(r => r.trim().length) }];
+}
+
+// JSON export → its arrays of records as sheets, or the JSON itself when
+// it holds none. Text that doesn't parse is analyzed as plain text.
+function extractJson(text) {
+  let data;
+  try { data = JSON.parse(text); }
+  catch (err) {
+    console.warn(`⚠️ Not valid JSON (${err.message}) — reading as text`);
+    return { text };
   }
+  const sheets = recordsToSheets(data);
+  return sheets.length ? { sheets } : { text: JSON.stringify(data, null, 2) };
+}
+
+// Excel 2003 XML workbooks declare this namespace
+const SPREADSHEET_ML = "urn:schemas-microsoft-com:office:spreadsheet";
+
+// XML → repeating elements as sheets (like JSON), or the XML text when
+// there are none. Values are kept as written, not converted to numbers.
+function extractXml(buffer) {
+  const text = decodeText(buffer);
+  if (text.includes(SPREADSHEET_ML)) return extractXlsxSheets(buffer);
+
+  let data;
+  try {
+    data = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: "@",
+      ignoreDeclaration: true,
+      parseTagValue: false,
+      parseAttributeValue: false
+    }).parse(text, true);
+  } catch (err) {
+    console.warn(`⚠️ Not well-formed XML (${err.message}) — reading as text`);
+    return { text };
+  }
+  const sheets = recordsToSheets(data);
+  return sheets.length ? { sheets } : { text };
+}
+
+// Sheets → plain text (CSV per sheet)
+function sheetsToText(sheets) {
+  return sheets.map(s => `### Sheet: ${s.name}\n${s.rows.join("\n")}\n\n`).join("");
 }
 
 // PDF → text (text-based PDFs only)
@@ -171,13 +316,49 @@ function bufferToBase64(buffer) {
 // Map our file types to OpenAI image MIME types
 const IMAGE_MIME = { png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", gif: "image/gif", webp: "image/webp" };
 
+// Scanned PDF pages OCR'd per request (~2–3 s a page)
+const OCR_MAX_PAGES = 30;
+// Page images sent to the vision model for the pages OCR could not read
+const VISION_MAX_PAGES = 10;
+
+// Page images → OCR text with the column layout kept, for the pages OCR
+// read with confidence. `visionPages` are the rest — no words found, or a
+// score below OCR_MIN_CONFIDENCE — for the vision model to read instead.
+async function ocrPages(pages, pageCount = pages.length) {
+  const result = await recognizePages(pages);
+  const { text, unreadable } = splitByConfidence(result);
+  const lowConfidencePages = result.pages
+    .filter(p => p.words && p.confidence < OCR_MIN_CONFIDENCE)
+    .map(p => p.page);
+
+  return {
+    text,
+    visionPages: pages.filter((p, i) => unreadable.includes(result.pages[i].page)),
+    report: {
+      pages: result.pages.map(({ page, confidence, words }) => ({ page, confidence, words })),
+      confidence: result.confidence,
+      minConfidence: OCR_MIN_CONFIDENCE,
+      lowConfidencePages,
+      visionPages: unreadable,
+      pageCount,
+      pagesRead: pages.length
+    }
+  };
+}
+
 // ─────────────────────────────────────────────
-//  OPENAI API CALL
+//  MODEL CALL
 // ─────────────────────────────────────────────
 
-const OPENAI_URL = "https://api.openai.com/v1/chat/completions";
-const MODEL      = "gpt-4o";       // vision-capable; handles image inputs
-const MAX_TOKENS = 8000;
+// Provider, model (must be vision-capable for image inputs), temperature
+// and max tokens come from the "analyze-file" route in config/llm.js;
+// chunk summaries use "analyze-file-chunk".
+const LLM_ROUTE = "analyze-file";
+const CHUNK_LLM_ROUTE = "analyze-file-chunk";
+
+// "auto" chunks spreadsheets over MAX_CHARS, "single" truncates them,
+// "chunked" always chunks them
+const ANALYSIS_MODES = ["auto", "single", "chunked"];
 
 // System prompt — universal financial analyst
 const SYSTEM_PROMPT = `You are a senior financial analyst and accountant writing detailed MIS commentary for management.
@@ -193,8 +374,66 @@ ABSOLUTE RULES — NEVER BREAK:
 8. Complete all tables fully — never use "..." or truncate rows.
 9. If data is missing or unclear, say so explicitly — never fill gaps with assumptions.`;
 
-// Build the prompt that instructs the AI how to structure its analysis
-function buildAnalysisPrompt(question) {
+// Appended to the analysis prompt when the caller asks for charts; the Word
+// export renders these blocks as images.
+const CHART_INSTRUCTIONS = `
+
+CHARTS:
+Where a trend or a comparison across stores/entities is clearer as a chart, add up to 3 charts.
+Write each one as a fenced code block tagged "chart" holding a single JSON object, directly under the section it illustrates:
+\`\`\`chart
+{"type": "bar", "title": "EBITDA Margin by Store", "format": "percent", "categories": ["Store A", "Store B"], "series": [{"name": "EBITDA %", "values": [12.3, 8.1]}]}
+\`\`\`
+- "type" is one of "line" (trends over periods), "bar" (comparisons) or "stackedBar" (composition, e.g. cost mix).
+- "format" is "amount" or "percent". Values are plain numbers — no commas, currency symbols or % signs.
+- Every value must come from the document, like every other number you write.`;
+
+// Sections for a side-by-side comparison of several labelled files
+// (`labels` in order; `missing` = files that could not be read)
+function buildComparisonPrompt(question, { charts = false, labels, missing = [] }) {
+  const userQ = (question || "").trim() || `Compare ${labels.join(" and ")} side by side.`;
+  const columns = labels.map(l => ` ${l} |`).join("");
+  const missingNote = missing.length
+    ? `\n- These files could not be read and are NOT in the content: ${missing.map(m => `"${m.label}" (${m.error})`).join("; ")}. Say so in the Review section.`
+    : "";
+  return `USER'S QUESTION / INSTRUCTION:
+"${userQ}"
+
+TASK:
+ You are a professional senior accountant and financial analyst.
+ The content covers ${labels.length} files, labelled ${labels.map(l => `"${l}"`).join(", ")}; every part of it names the file it comes from.
+ Compare them side by side. Write your response as clean markdown with the following sections, IN THIS ORDER:
+
+## Executive Summary
+The most important differences between the files, with figures.
+
+## Side-by-Side Comparison
+A markdown table of the key metrics with one column per file, in this order:
+| Metric |${columns}${labels.length === 2 ? " Change | Change % |" : ""}
+${labels.length === 2 ? `Change = "${labels[1]}" minus "${labels[0]}"; Change % = Change / "${labels[0]}".` : "Add a column for the spread between the highest and lowest file where it helps."}
+These differences are the only figures you may compute — work them out exactly from the values shown.
+
+## Detailed Comparison
+A markdown table of the line items the files share, one column per file. Line items found in only one file get "n/a" in the others.
+
+## Key Differences
+At least 8 insights, each 3–5 sentences: what changed or differs, the likely driver, the financial impact, and risks or opportunities.
+
+## Review
+Differences in scope, period or layout between the files that limit the comparison, and any anomalies.
+
+IMPORTANT REMINDERS:
+- Every figure must come from the file it is attributed to — never mix figures between files.
+- Always say which file a figure comes from.
+- Compare like with like: match line items by meaning, not position, and say when a match is uncertain.
+- Keep all tables complete — every row, every column, actual values only.${missingNote}${charts ? CHART_INSTRUCTIONS : ""}`;
+}
+
+// Build the prompt that instructs the AI how to structure its analysis;
+// `compare` switches to the side-by-side comparison of several files
+function buildAnalysisPrompt(question, { charts = false, compare = null } = {}) {
+  if (compare) return buildComparisonPrompt(question, { charts, ...compare });
+
   const userQ = (question || "").trim() || "Provide a full financial analysis of this document.";
   return `USER'S QUESTION / INSTRUCTION:
 "${userQ}"
@@ -238,308 +477,268 @@ IMPORTANT REMINDERS:
 - Every single number you write must come directly from the document. No estimates.
 - If the document covers multiple stores/branches/entities, treat each one individually and also give portfolio totals.
 - If the user asked a specific question, answer it explicitly — do not just produce a generic report.
-- Keep all tables complete — every row, every column, actual values only.`;
+- Keep all tables complete — every row, every column, actual values only.${charts ? CHART_INSTRUCTIONS : ""}`;
 }
 
-async function callOpenAI({ textContent, base64Image, imageMime, question }) {
+// Strip a markdown code fence the model might wrap the whole response in
+// (only at the very start / end, so ```chart blocks inside survive)
+function cleanReply(content) {
+  return (content || "").trim().replace(/^```(?:markdown)?\s*\n/, "").replace(/\n```$/, "").trim();
+}
+
+// `prompt` is the analysis prompt (buildAnalysisPrompt); images carry a
+// `label` when several files are compared; `onToken` streams the reply
+async function callModel(llm, { textContent, images = [], prompt, feedback, onToken }) {
   const userContent = [];
 
-  if (base64Image && imageMime) {
-    // Vision path — image or scanned document
+  // Vision path — image or scanned document pages
+  let lastLabel = null;
+  images.forEach(({ base64, mime, label, page }) => {
+    if (label && label !== lastLabel) userContent.push({ type: "text", text: `## FILE: ${label}` });
+    lastLabel = label;
+    // scanned PDF page; pages OCR read are in the text below instead
+    if (page) userContent.push({ type: "text", text: `### Page ${page}` });
     userContent.push({
       type: "image_url",
-      image_url: { url: `data:${imageMime};base64,${base64Image}`, detail: "high" }
-    });
-    userContent.push({ type: "text", text: buildAnalysisPrompt(question) });
-  } else {
-    // Text path — spreadsheet, PDF text, DOCX, etc.
-    userContent.push({
-      type: "text",
-      text: `DOCUMENT CONTENT:\n\`\`\`\n${textContent}\n\`\`\`\n\n${buildAnalysisPrompt(question)}`
+      image_url: { url: `data:${mime};base64,${base64}`, detail: "high" }
     });
-  }
+  });
 
-  const r = await fetch(OPENAI_URL, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${process.env.OPENAI_API_KEY}`
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      messages: [
-        { role: "system", content: SYSTEM_PROMPT },
-        { role: "user",   content: userContent }
-      ],
-      temperature: 0.1,   // low for factual accuracy
-      max_tokens: MAX_TOKENS
-    })
+  // Text path — spreadsheet, PDF text, DOCX, etc.
+  userContent.push({
+    type: "text",
+    text: textContent ? `DOCUMENT CONTENT:\n\`\`\`\n${textContent}\n\`\`\`\n\n${prompt}` : prompt
   });
 
-  const data = await r.json();
-  if (data.error) throw new Error(`OpenAI error: ${data.error.message}`);
+  // Regeneration after a failed grounding check
+  if (feedback) userContent.push({ type: "text", text: feedback });
+
+  const { content, finishReason, usage } = await llm.chat({
+    messages: [
+      { role: "system", content: SYSTEM_PROMPT },
+      { role: "user",   content: userContent }
+    ],
+    ...(onToken ? { onToken } : {})
+  });
 
-  const finishReason = data?.choices?.[0]?.finish_reason;
-  let reply = data?.choices?.[0]?.message?.content || "";
-  // Strip any markdown code fences the model might wrap the whole response in
-  reply = reply.replace(/^```(?:markdown)?\s*\n/gm, "").replace(/\n```\s*$/gm, "").trim();
+  const reply = cleanReply(content);
 
-  console.log(`✅ OpenAI done. finish=${finishReason} | tokens:`, data?.usage);
-  return { reply, finishReason, tokenUsage: data?.usage };
+  console.log(`✅ ${llm.provider} done. finish=${finishReason} | tokens:`, usage);
+  return { reply, finishReason, tokenUsage: usage };
 }
 
 // ─────────────────────────────────────────────
-//  MARKDOWN → WORD DOCUMENT
+//  LOAD + COMBINE FILES
 // ─────────────────────────────────────────────
 
-// Page dimensions (US Letter, 1" margins, DXA units)
-const PAGE_WIDTH    = 12240;
-const PAGE_HEIGHT   = 15840;
-const MARGIN        = 1440;
-const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2; // 9360
-
-// Column border helper
-const cellBorder = { style: BorderStyle.SINGLE, size: 1, color: "CCCCCC" };
-const cellBorders = { top: cellBorder, bottom: cellBorder, left: cellBorder, right: cellBorder };
-
-// Parse inline **bold** and *italic* within a paragraph string
-function parseInlineMarkup(text) {
-  const runs = [];
-  // Split on **bold** and *italic* tokens
-  const tokens = text.split(/(\*\*[^*]+\*\*|\*[^*]+\*)/);
-  for (const tok of tokens) {
-    if (tok.startsWith("**") && tok.endsWith("**")) {
-      runs.push(new TextRun({ text: tok.slice(2, -2), bold: true, font: "Arial", size: 22 }));
-    } else if (tok.startsWith("*") && tok.endsWith("*")) {
-      runs.push(new TextRun({ text: tok.slice(1, -1), italics: true, font: "Arial", size: 22 }));
-    } else if (tok) {
-      runs.push(new TextRun({ text: tok, font: "Arial", size: 22 }));
+// Download, detect and extract one file:
+// { fileType, textContent, sheets, images, ocrReport, scanPages }, or
+// { fileType, error } with the message for the user when it can't be
+// analyzed. Download failures throw. `progress(stage, message, extra)`
+// hears about each step (streaming responses).
+async function loadFile(fileUrl, { ocr = true, progress = () => {} } = {}) {
+  console.log(`📥 Downloading: ${fileUrl}`);
+  progress("download", "Downloading file");
+  const { buffer, contentType } = await downloadFileToBuffer(fileUrl);
+  const fileType = detectFileType(fileUrl, contentType, buffer);
+  console.log(`📄 Detected type: ${fileType} | size: ${buffer.length} bytes`);
+  progress("detect", `Detected ${fileType} file`, { fileType, bytes: buffer.length });
+
+  if (UNSUPPORTED_TYPES[fileType]) return { fileType, error: UNSUPPORTED_TYPES[fileType] };
+
+  let textContent  = null;
+  let images       = [];     // vision input: [{ base64, mime, page? }]
+  let ocrReport    = null;
+  let scanPages    = null;   // scanned PDFs: { total, covered, unread? }
+  let extractError = null;
+  let sheets       = null;   // spreadsheets only — rows per sheet, for chunking
+
+  if (fileType === "xlsx" || fileType === "xls" || fileType === "ods") {
+    const result = extractXlsxSheets(buffer);
+    if (result.error) extractError = result.error;
+    else {
+      sheets = result.sheets;
+      textContent = sheetsToText(sheets);
     }
-  }
-  return runs.length ? runs : [new TextRun({ text: "", font: "Arial", size: 22 })];
-}
-
-// Build a styled Word table from 2D array of strings
-function buildWordTable(rows) {
-  if (!rows.length) return null;
-  // Distribute columns evenly across content width
-  const colCount   = rows[0].length || 1;
-  const colWidth   = Math.floor(CONTENT_WIDTH / colCount);
-  const colWidths  = Array(colCount).fill(colWidth);
-  // Adjust last col to absorb rounding remainder
-  colWidths[colCount - 1] = CONTENT_WIDTH - colWidth * (colCount - 1);
-
-  return new Table({
-    width: { size: CONTENT_WIDTH, type: WidthType.DXA },
-    columnWidths: colWidths,
-    rows: rows.map((rowData, ri) => {
-      const isHeader = ri === 0;
-      return new TableRow({
-        tableHeader: isHeader,
-        children: rowData.map((cellText, ci) =>
-          new TableCell({
-            borders: cellBorders,
-            width: { size: colWidths[ci], type: WidthType.DXA },
-            shading: {
-              fill: isHeader ? "1E3A8A" : (ri % 2 === 0 ? "F2F5FB" : "FFFFFF"),
-              type: ShadingType.CLEAR
-            },
-            margins: { top: 80, bottom: 80, left: 120, right: 120 },
-            children: [new Paragraph({
-              children: [new TextRun({
-                text: String(cellText ?? ""),
-                bold: isHeader,
-                color: isHeader ? "FFFFFF" : "000000",
-                font: "Arial",
-                size: isHeader ? 20 : 20
-              })],
-              alignment: AlignmentType.LEFT
-            })]
-          })
-        )
-      });
-    })
-  });
-}
-
-async function markdownToWordBase64(markdownText) {
-  const elements   = [];
-  const lines      = markdownText.split("\n");
-  let tableBuffer  = [];   // accumulate pipe rows
-  let inTable      = false;
-
-  const flushTable = () => {
-    if (!tableBuffer.length) return;
-    const table = buildWordTable(tableBuffer);
-    if (table) {
-      elements.push(table);
-      elements.push(new Paragraph({ text: "", spacing: { after: 160 } }));
+    console.log(`📊 Spreadsheet (${fileType}) extracted: ${textContent?.length ?? 0} chars`);
+
+  } else if (fileType === "csv") {
+    textContent = decodeText(buffer);
+    sheets = csvToSheets(textContent);
+    console.log(`📊 CSV: ${textContent.length} chars`);
+
+  } else if (fileType === "json" || fileType === "xml") {
+    const result = fileType === "json" ? extractJson(decodeText(buffer)) : extractXml(buffer);
+    if (result.error) extractError = result.error;
+    else if (result.sheets) {
+      sheets = result.sheets;
+      textContent = sheetsToText(sheets);
+    } else textContent = result.text.trim();
+    console.log(`🧾 ${fileType.toUpperCase()} extracted: ${textContent?.length ?? 0} chars` +
+      (sheets ? ` (${sheets.length} table${sheets.length === 1 ? "" : "s"})` : ""));
+
+  } else if (fileType === "pdf") {
+    const result = await extractPdfToText(buffer);
+    if (result.scanned) {
+      // Scanned PDF — render the pages and OCR them; the vision model
+      // reads the pages OCR is not confident on
+      console.log("🔍 Scanned PDF — rendering pages for OCR...");
+      progress("ocr", "Scanned PDF — rendering pages for OCR");
+      let rendered = null;
+      try { rendered = await rasterizePdf(buffer, { maxPages: OCR_MAX_PAGES }); }
+      catch (e) { extractError = `Could not render the scanned PDF: ${e.message}`; }
+
+      if (rendered) {
+        const { pages, pageCount } = rendered;
+        // every page goes to vision unless OCR reads it
+        let visionPages = pages;
+        if (ocr) {
+          try {
+            progress("ocr", `Reading ${pages.length} page${pages.length === 1 ? "" : "s"} with OCR`);
+            const read = await ocrPages(pages, pageCount);
+            ocrReport = read.report;
+            console.log(`🔍 OCR: ${pages.length}/${pageCount} pages, confidence ${read.report.confidence}` +
+              (read.visionPages.length ? ` — page(s) ${read.report.visionPages.join(", ")} unreadable, using vision for them` : ""));
+            textContent = read.text || null;
+            visionPages = read.visionPages;
+          } catch (e) {
+            console.warn("⚠️ OCR failed, using vision:", e.message);
+          }
+        }
+        images = visionPages.slice(0, VISION_MAX_PAGES).map(p => ({ base64: bufferToBase64(p.png), mime: "image/png", page: p.page }));
+        // pages past the vision limit are read by neither
+        const unread = visionPages.slice(VISION_MAX_PAGES).map(p => p.page);
+        scanPages = { total: pageCount, covered: pages.length - unread.length, ...(unread.length ? { unread } : {}) };
+      }
+    } else if (result.error) extractError = result.error;
+    else textContent = result.text;
+    console.log(`📄 PDF text extracted: ${textContent?.length ?? 0} chars`);
+
+  } else if (fileType === "docx") {
+    const result = await extractDocxToText(buffer);
+    if (result.error) extractError = result.error;
+    else textContent = result.text;
+    console.log(`📝 DOCX extracted: ${textContent?.length ?? 0} chars`);
+
+  } else if (fileType === "pptx") {
+    const result = await extractPptxToText(buffer);
+    if (result.error) extractError = result.error;
+    else textContent = result.text;
+    console.log(`📊 PPTX extracted: ${textContent?.length ?? 0} chars`);
+
+  } else if (["png", "jpg", "jpeg", "gif", "webp"].includes(fileType)) {
+    // OCR first — confident text takes the normal text path (and gets
+    // grounded); otherwise the vision model reads the image
+    if (ocr) {
+      try {
+        progress("ocr", "Reading image with OCR");
+        const read = await ocrPages([{ page: 1, png: buffer }]);
+        ocrReport = read.report;
+        console.log(`🔍 OCR confidence ${read.report.confidence}${read.visionPages.length ? " — too low, using vision" : ""}`);
+        if (!read.visionPages.length) textContent = read.text;
+      } catch (e) {
+        console.warn("⚠️ OCR failed, using vision:", e.message);
+      }
     }
-    tableBuffer = [];
-    inTable     = false;
-  };
-
-  for (const rawLine of lines) {
-    const line = rawLine.trimEnd();
-
-    // Empty line
-    if (!line.trim()) {
-      if (inTable) flushTable();
-      else elements.push(new Paragraph({ text: "", spacing: { after: 80 } }));
-      continue;
+    if (!textContent) {
+      images = [{ base64: bufferToBase64(buffer), mime: IMAGE_MIME[fileType] || "image/png" }];
+      console.log(`🖼️ Image ready for vision: ${fileType} (${images[0].base64.length} b64 chars)`);
     }
 
-    // Headings
-    if (line.trimStart().startsWith("#")) {
-      if (inTable) flushTable();
-      const hMatch = line.match(/^(#{1,6})\s+(.*)/);
-      if (hMatch) {
-        const level  = hMatch[1].length;
-        const text   = hMatch[2].replace(/\*\*/g, "").replace(/\*/g, "").trim();
-        const isH1   = level === 1;
-        elements.push(new Paragraph({
-          heading: isH1 ? HeadingLevel.HEADING_1 : HeadingLevel.HEADING_2,
-          children: [new TextRun({
-            text,
-            bold: true,
-            font: "Arial",
-            size: isH1 ? 32 : 26,
-            color: isH1 ? "1E3A8A" : "2E5FAA"
-          })],
-          spacing: { before: isH1 ? 400 : 280, after: 160 },
-          border: isH1 ? {
-            bottom: { style: BorderStyle.SINGLE, size: 6, color: "1E3A8A", space: 1 }
-          } : undefined
-        }));
-        continue;
-      }
-    }
+  } else {
+    // Fallback: treat as plain text
+    textContent = decodeText(buffer).trim();
+    console.log(`📄 Plain text: ${textContent.length} chars`);
+  }
 
-    // Table row (contains "|")
-    if (line.includes("|")) {
-      const cells = line.split("|").map(c => c.trim()).filter((c, i, arr) => i > 0 && i < arr.length - 1);
-      if (!cells.length) {
-        if (inTable) flushTable();
-        continue;
-      }
-      // Separator row (--- :--- etc.)
-      if (cells.every(c => /^[-: ]+$/.test(c))) {
-        inTable = true; // next rows are data rows (first row already buffered as header)
-        continue;
-      }
-      tableBuffer.push(cells);
-      continue;
-    }
+  if (extractError)
+    return { fileType, error: `Failed to extract content from file: ${extractError}` };
+  progress("extract", textContent ? `Extracted ${textContent.length} characters` : `Prepared ${images.length} image${images.length === 1 ? "" : "s"} for vision`, {
+    contentLength: textContent?.length ?? null,
+    isVision: images.length > 0,
+    ...(ocrReport ? { ocrConfidence: ocrReport.confidence } : {})
+  });
+  if (!textContent && !images.length)
+    return { fileType, error: "Could not extract any content from the uploaded file. Please check the file is not empty or corrupted." };
 
-    // If we were in a table and hit a non-table line, flush
-    if (inTable) flushTable();
+  return { fileType, textContent, sheets, images, ocrReport, scanPages };
+}
 
-    // Horizontal rule
-    if (/^[-─═*]{3,}$/.test(line.trim())) {
-      elements.push(new Paragraph({
-        text: "",
-        border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: "CCCCCC", space: 1 } },
-        spacing: { before: 120, after: 120 }
-      }));
-      continue;
-    }
+// Files compared in one request
+const MAX_COMPARE_FILES = 5;
 
-    // Bullet list
-    if (/^[-*•]\s+/.test(line.trimStart())) {
-      const content = line.replace(/^[\s\-*•]+/, "");
-      elements.push(new Paragraph({
-        numbering: { reference: "bullets", level: 0 },
-        children: parseInlineMarkup(content),
-        spacing: { before: 60, after: 60 }
-      }));
-      continue;
-    }
+// `files` from the request → [{ label, url }], or { error } for a 400
+function parseFileList(files) {
+  if (!Array.isArray(files) || files.length < 2 || files.length > MAX_COMPARE_FILES)
+    return { error: `files must be an array of 2–${MAX_COMPARE_FILES} { url, label } objects` };
 
-    // Numbered list
-    if (/^\d+\.\s+/.test(line.trimStart())) {
-      const content = line.replace(/^\d+\.\s+/, "");
-      elements.push(new Paragraph({
-        numbering: { reference: "numbers", level: 0 },
-        children: parseInlineMarkup(content),
-        spacing: { before: 60, after: 60 }
-      }));
-      continue;
-    }
+  const list = files.map((f, i) => ({ url: f?.url, label: String(f?.label || `File ${i + 1}`).trim() }));
+  if (list.some(f => typeof f.url !== "string" || !f.url))
+    return { error: "every entry in files needs a url" };
 
-    // Block quote ("> ")
-    if (line.trimStart().startsWith("> ")) {
-      const content = line.replace(/^>\s+/, "");
-      elements.push(new Paragraph({
-        children: [new TextRun({ text: content, italics: true, font: "Arial", size: 22, color: "555555" })],
-        indent: { left: 720 },
-        spacing: { before: 60, after: 60 }
-      }));
-      continue;
-    }
+  const labels = list.map(f => f.label.toLowerCase());
+  if (new Set(labels).size !== labels.length)
+    return { error: "file labels must be unique" };
 
-    // Normal paragraph
-    elements.push(new Paragraph({
-      children: parseInlineMarkup(line),
-      spacing: { before: 60, after: 80 }
-    }));
-  }
+  return { list };
+}
 
-  // Flush any remaining table
-  if (inTable) flushTable();
-
-  const doc = new Document({
-    numbering: {
-      config: [
-        {
-          reference: "bullets",
-          levels: [{
-            level: 0, format: LevelFormat.BULLET, text: "•",
-            alignment: AlignmentType.LEFT,
-            style: { paragraph: { indent: { left: 720, hanging: 360 } } }
-          }]
-        },
-        {
-          reference: "numbers",
-          levels: [{
-            level: 0, format: LevelFormat.DECIMAL, text: "%1.",
-            alignment: AlignmentType.LEFT,
-            style: { paragraph: { indent: { left: 720, hanging: 360 } } }
-          }]
-        }
-      ]
-    },
-    styles: {
-      default: {
-        document: { run: { font: "Arial", size: 22 } }
-      },
-      paragraphStyles: [
-        {
-          id: "Heading1", name: "Heading 1", basedOn: "Normal", next: "Normal", quickFormat: true,
-          run:       { size: 32, bold: true, font: "Arial", color: "1E3A8A" },
-          paragraph: { spacing: { before: 400, after: 160 }, outlineLevel: 0 }
-        },
-        {
-          id: "Heading2", name: "Heading 2", basedOn: "Normal", next: "Normal", quickFormat: true,
-          run:       { size: 26, bold: true, font: "Arial", color: "2E5FAA" },
-          paragraph: { spacing: { before: 280, after: 160 }, outlineLevel: 1 }
-        }
-      ]
-    },
-    sections: [{
-      properties: {
-        page: {
-          size:   { width: PAGE_WIDTH, height: PAGE_HEIGHT },
-          margin: { top: MARGIN, right: MARGIN, bottom: MARGIN, left: MARGIN }
-        }
-      },
-      children: elements
-    }]
-  });
+// Text of several files, each under a "## FILE: label" heading, cut to
+// `maxChars` of content in total: files shorter than an equal share keep
+// all their text and leave the rest to the longer ones. Returns
+// { text, covered, total } in characters of content.
+function combineText(files, maxChars) {
+  const limits = new Map();
+  let budget = maxChars;
+  [...files]
+    .sort((a, b) => a.textContent.length - b.textContent.length)
+    .forEach((f, i, sorted) => {
+      const limit = Math.min(f.textContent.length, Math.floor(budget / (sorted.length - i)));
+      limits.set(f, limit);
+      budget -= limit;
+    });
 
-  const buffer = await Packer.toBuffer(doc);
-  return buffer.toString("base64");
+  return {
+    text: files
+      .map(f => `## FILE: ${f.label}\n${f.textContent.length > limits.get(f)
+        ? f.textContent.slice(0, limits.get(f)) + "\n[Content truncated — file exceeds size limit]"
+        : f.textContent}`)
+      .join("\n\n"),
+    covered: files.reduce((sum, f) => sum + limits.get(f), 0),
+    total: files.reduce((sum, f) => sum + f.textContent.length, 0)
+  };
 }
 
+// Loaded files → one input for the model. Sheets are kept (renamed
+// "label / sheet") only when every file is tabular, so the set can be
+// chunked; images carry their file's label.
+function combineFiles(files) {
+  const textFiles = files.filter(f => f.textContent);
+  const images = files.flatMap(f => f.images.map(img => ({ ...img, label: f.label })));
+  return {
+    textFiles,
+    textContent: textFiles.length ? textFiles.map(f => `## FILE: ${f.label}\n${f.textContent}`).join("\n\n") : null,
+    sheets: textFiles.length && !images.length && textFiles.every(f => f.sheets)
+      ? textFiles.flatMap(f => f.sheets.map(sh => ({ ...sh, name: `${f.label} / ${sh.name}` })))
+      : null,
+    images,
+    ocrReport: null,
+    scanPages: null
+  };
+}
+
+// Per-file outcome for the response
+const fileSummary = files => files.map(f => ({
+  label: f.label,
+  url: f.url,
+  type: f.fileType ?? null,
+  ok: !f.error,
+  error: f.error ?? null,
+  contentLength: f.textContent?.length ?? null,
+  isVision: !!f.images?.length,
+  ocr: f.ocrReport ?? null
+}));
+
 // ─────────────────────────────────────────────
 //  MAIN HANDLER
 // ─────────────────────────────────────────────
@@ -549,130 +748,250 @@ export default async function handler(req, res) {
   if (req.method === "OPTIONS") return res.status(200).end();
   if (req.method !== "POST")    return res.status(405).json({ error: "Method not allowed" });
 
+  // streaming (stream: true or Accept: text/event-stream) opens once the
+  // request is validated: "progress" events for each step, "token" events
+  // with the reply as it is written, then one "final" event carrying the
+  // same payload as the JSON response — or an "error" event
+  let sse = null;
+
   try {
-    if (!process.env.OPENAI_API_KEY)
-      return res.status(500).json({ error: "Missing OPENAI_API_KEY environment variable" });
+    const llm = getLLM(LLM_ROUTE);
+    if (llm.configError)
+      return res.status(500).json({ error: llm.configError });
 
     const body = await parseJsonBody(req);
-    const { fileUrl, question = "" } = body || {};
-    if (!fileUrl) return res.status(400).json({ error: "fileUrl is required" });
-
-    // ── 1. Download ──
-    console.log(`📥 Downloading: ${fileUrl}`);
-    const { buffer, contentType } = await downloadFileToBuffer(fileUrl);
-    const fileType = detectFileType(fileUrl, contentType, buffer);
-    console.log(`📄 Detected type: ${fileType} | size: ${buffer.length} bytes`);
-
-    // ── 2. Extract content ──
-    let textContent  = null;
-    let base64Image  = null;
-    let imageMime    = null;
-    let extractError = null;
-
-    if (fileType === "xlsx" || fileType === "xls") {
-      const result = extractXlsxToText(buffer);
-      if (result.error) extractError = result.error;
-      else textContent = result.text;
-      console.log(`📊 Excel extracted: ${textContent?.length ?? 0} chars`);
-
-    } else if (fileType === "csv") {
-      textContent = buffer.toString("utf8");
-      if (textContent.charCodeAt(0) === 0xfeff) textContent = textContent.slice(1); // strip BOM
-      console.log(`📊 CSV: ${textContent.length} chars`);
-
-    } else if (fileType === "pdf") {
-      const result = await extractPdfToText(buffer);
-      if (result.scanned) {
-        // Scanned PDF — try vision path (send first page as base64 image)
-        // Since we can't render PDF to image server-side without extra libs,
-        // return a helpful error guiding the user to use a text-based PDF.
-        return res.status(200).json({
+    const {
+      fileUrl, files, question = "", grounding: groundingMode = "report", charts = false, theme, mode = "auto",
+      ocr = true, stream = false
+    } = body || {};
+    if (!fileUrl && files === undefined) return res.status(400).json({ error: "fileUrl (or files) is required" });
+    if (fileUrl && files !== undefined)  return res.status(400).json({ error: "Send either fileUrl or files, not both" });
+    // comparison: [{ url, label }, …]
+    let inputs = null;
+    if (files !== undefined) {
+      const parsed = parseFileList(files);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      inputs = parsed.list;
+    }
+    if (!ANALYSIS_MODES.includes(mode))
+      return res.status(400).json({ error: `mode must be one of ${ANALYSIS_MODES.join(", ")}` });
+    if (!GROUNDING_MODES.includes(groundingMode))
+      return res.status(400).json({ error: `grounding must be one of ${GROUNDING_MODES.join(", ")}` });
+    // report theme for the Word export: a name or an override object,
+    // checked up front along with its logo
+    try { themeLogo(resolveReportTheme(theme)); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+
+    // some clients send the flag as a string
+    if (stream === true || stream === "true" || /text\/event-stream/.test(req.headers?.accept || "")) sse = openEventStream(res);
+    const progress = (stage, message, extra = {}) => sse?.send("progress", { stage, message, ...extra });
+    const onToken = sse ? text => sse.send("token", { text }) : undefined;
+    const respond = payload => {
+      if (!sse) return res.status(200).json(payload);
+      sse.send("final", payload);
+      sse.end();
+    };
+    const fail = (status, error) => {
+      if (!sse) return res.status(status).json({ error });
+      sse.send("error", { status, error });
+      sse.end();
+    };
+
+    // ── 1–2. Download and extract ──
+    let input;
+    let loaded = null;    // comparison: every file, read or not
+    let missing = [];     // comparison: files that could not be read
+    let compare = null;   // comparison prompt options
+
+    if (!inputs) {
+      input = await loadFile(fileUrl, { ocr, progress });
+      if (input.error) {
+        return respond({
           ok: false,
-          type: "pdf",
-          reply: "⚠️ This PDF appears to be scanned (image-based) and cannot be read as text. " +
-                 "Please upload a text-based PDF, or convert it using Google Drive (open → Download as PDF after OCR).",
+          type: input.fileType,
+          reply: input.error,
           wordDownload: null,
           downloadUrl: null
         });
       }
-      if (result.error) extractError = result.error;
-      else textContent = result.text;
-      console.log(`📄 PDF text extracted: ${textContent?.length ?? 0} chars`);
-
-    } else if (fileType === "docx") {
-      const result = await extractDocxToText(buffer);
-      if (result.error) extractError = result.error;
-      else textContent = result.text;
-      console.log(`📝 DOCX extracted: ${textContent?.length ?? 0} chars`);
-
-    } else if (fileType === "pptx") {
-      const result = await extractPptxToText(buffer);
-      if (result.error) extractError = result.error;
-      else textContent = result.text;
-      console.log(`📊 PPTX extracted: ${textContent?.length ?? 0} chars`);
-
-    } else if (["png", "jpg", "jpeg", "gif", "webp"].includes(fileType)) {
-      // Vision path
-      imageMime   = IMAGE_MIME[fileType] || "image/png";
-      base64Image = bufferToBase64(buffer);
-      console.log(`🖼️ Image ready for vision: ${fileType} (${base64Image.length} b64 chars)`);
-
     } else {
-      // Fallback: treat as plain text
-      textContent = buffer.toString("utf8").trim();
-      console.log(`📄 Plain text: ${textContent.length} chars`);
+      // one at a time — extraction and OCR are CPU-bound; a file that
+      // fails is reported, not fatal
+      loaded = [];
+      for (const f of inputs) {
+        const fileProgress = (stage, message, extra = {}) => progress(stage, `${f.label}: ${message}`, { file: f.label, ...extra });
+        try { loaded.push({ ...f, ...(await loadFile(f.url, { ocr, progress: fileProgress })) }); }
+        catch (e) { loaded.push({ ...f, error: e.message }); }
+      }
+      missing = loaded.filter(f => f.error).map(({ label, error }) => ({ label, error }));
+      missing.forEach(m => console.warn(`⚠️ ${m.label}: ${m.error}`));
+
+      const usable = loaded.filter(f => !f.error);
+      if (!usable.length) {
+        return respond({
+          ok: false,
+          type: "comparison",
+          reply: `None of the files could be read:\n${missing.map(m => `- ${m.label}: ${m.error}`).join("\n")}`,
+          wordDownload: null,
+          downloadUrl: null,
+          files: fileSummary(loaded)
+        });
+      }
+
+      // a single readable file gets the ordinary analysis
+      input = usable.length > 1 ? combineFiles(usable) : usable[0];
+      if (usable.length > 1) compare = { labels: usable.map(f => f.label), missing };
+      console.log(`🗂️ Comparing ${usable.length} of ${loaded.length} files: ${usable.map(f => f.label).join(", ")}`);
     }
 
-    if (extractError) {
-      return res.status(200).json({
-        ok: false,
-        type: fileType,
-        reply: `Failed to extract content from file: ${extractError}`,
-        wordDownload: null,
-        downloadUrl: null
-      });
+    const { textContent, sheets, images, ocrReport, scanPages } = input;
+    const fileType = compare ? "comparison" : input.fileType;
+
+    if (mode === "chunked" && !sheets)
+      return fail(400, "mode \"chunked\" is only available for spreadsheets and tabular exports (xlsx, xls, ods, csv, json, xml)");
+
+    // ── 3. Fit large spreadsheets to the prompt: chunk or truncate ──
+    const chunked = !!sheets && (mode === "chunked" || (mode === "auto" && textContent.length > MAX_CHARS));
+    let promptText = textContent;
+    let coverage = textContent
+      ? { mode: "single", complete: true, percent: 100, chars: { total: textContent.length, covered: textContent.length } }
+      : null;
+
+    if (scanPages) {
+      coverage = {
+        mode: !textContent ? "vision" : images.length ? "ocr+vision" : "ocr",
+        complete: scanPages.covered === scanPages.total,
+        percent: Math.round(scanPages.covered / scanPages.total * 1000) / 10,
+        pages: scanPages
+      };
     }
 
-    if (!textContent && !base64Image) {
-      return res.status(200).json({
-        ok: false,
-        type: fileType,
-        reply: "Could not extract any content from the uploaded file. Please check the file is not empty or corrupted.",
-        wordDownload: null,
-        downloadUrl: null
-      });
+    if (compare && !chunked && textContent) {
+      // a comparison always shares the limit out between the files,
+      // whatever their types
+      const combined = combineText(input.textFiles, MAX_CHARS);
+      promptText = combined.text;
+      coverage = {
+        mode: "single",
+        complete: combined.covered === combined.total,
+        percent: Math.round(combined.covered / combined.total * 1000) / 10,
+        chars: { total: combined.total, covered: combined.covered }
+      };
+      if (!coverage.complete) console.log(`✂️ Truncated to ${combined.covered} of ${combined.total} chars across ${input.textFiles.length} files`);
+    } else if (sheets && !chunked && textContent.length > MAX_CHARS) {
+      promptText = textContent.slice(0, MAX_CHARS) + "\n[Content truncated — file exceeds size limit]";
+      coverage = {
+        mode: "single",
+        complete: false,
+        percent: Math.round(MAX_CHARS / textContent.length * 1000) / 10,
+        chars: { total: textContent.length, covered: MAX_CHARS }
+      };
+      console.log(`✂️ Truncated to ${MAX_CHARS} of ${textContent.length} chars`);
     }
 
-    // ── 3. Call OpenAI ──
-    console.log("🤖 Calling OpenAI...");
-    const { reply, finishReason, tokenUsage } = await callOpenAI({
-      textContent,
-      base64Image,
-      imageMime,
-      question
-    });
+    // ── 4. Call the model ──
+    let reply, finishReason, tokenUsage;
+    let parts = null;   // chunk summaries, kept for a regeneration
+    const analysisPrompt = buildAnalysisPrompt(question, { charts, compare });
+
+    if (chunked) {
+      const chunkLLM = getLLM(CHUNK_LLM_ROUTE);
+      if (chunkLLM.configError)
+        return fail(500, chunkLLM.configError);
+
+      const chunks = chunkSheets(sheets);
+      console.log(`🧩 Chunked analysis: ${chunks.length} chunks via ${chunkLLM.provider} (${chunkLLM.model}), merging with ${llm.provider} (${llm.model})...`);
+      progress("analyze", `Analyzing in ${Math.min(chunks.length, MAX_CHUNKS)} parts`, { chunked: true });
+      let source;
+      ({ reply, finishReason, tokenUsage, coverage, parts, source } = await analyzeInChunks(llm, chunkLLM, chunks, {
+        question, systemPrompt: SYSTEM_PROMPT, analysisPrompt, onToken,
+        onProgress: ({ stage, done, total }) => progress(stage, stage === "merge"
+          ? "Writing the analysis"
+          : `Summarized part ${done} of ${total}`, { done, total })
+      }));
+      reply = cleanReply(reply);
+      // chunks past the limit, or that failed, never reached the reply
+      promptText = source;
+      console.log(`🧩 Covered ${describeCoverage(coverage)}`);
+    } else {
+      console.log(`🤖 Calling ${llm.provider} (${llm.model})...`);
+      progress("analyze", "Writing the analysis", { chunked: false });
+      ({ reply, finishReason, tokenUsage } = await callModel(llm, {
+        textContent: promptText,
+        images,
+        prompt: analysisPrompt,
+        onToken
+      }));
+    }
 
     if (!reply) {
-      return res.status(200).json({
+      return respond({
         ok: false,
         type: fileType,
-        reply: "OpenAI returned an empty response. Please try again.",
+        reply: "The model returned an empty response. Please try again.",
         wordDownload: null,
         downloadUrl: null
       });
     }
 
-    // ── 4. Generate Word document ──
+    // ── 5. Check every number in the reply against the document ──
+    // (what the model saw: the truncated text, or the summarized chunks)
+    let grounding = null;
+    if (groundingMode !== "off") {
+      if (!textContent) {
+        grounding = { skipped: "No text source to check against (vision input)" };
+      } else if (images.length) {
+        grounding = { skipped: "Some pages or files were read from images — their numbers can't be traced" };
+      } else {
+        progress("grounding", "Checking figures against the file");
+        const index = buildSourceIndex(promptText);
+        grounding = validateGrounding(reply, promptText, { index });
+        console.log(`🔎 Grounding: ${grounding.grounded}/${grounding.checked} numbers traced`);
+
+        if (!grounding.ok && groundingMode === "regenerate") {
+          console.log("🔁 Regenerating with grounding feedback...");
+          // streamed tokens start over; the final event says which attempt was kept
+          progress("regenerate", "Rewriting with grounding feedback", { restart: true });
+          const feedback = buildGroundingFeedback(grounding);
+          const retry = chunked
+            ? await mergeSummaries(llm, parts, { systemPrompt: SYSTEM_PROMPT, analysisPrompt, coverage, feedback, onToken })
+            : await callModel(llm, { textContent: promptText, prompt: analysisPrompt, feedback, onToken });
+          retry.reply = cleanReply(retry.reply);
+          const retryGrounding = validateGrounding(retry.reply, promptText, { index });
+          // keep whichever attempt traced more of its numbers
+          if (retry.reply && retryGrounding.score >= grounding.score) {
+            ({ reply, finishReason, tokenUsage } = retry);
+            grounding = { ...retryGrounding, regenerated: true };
+          } else {
+            grounding = { ...grounding, regenerated: false };
+          }
+        }
+
+        if (!grounding.ok && groundingMode !== "report")
+          reply = annotateUngrounded(reply, grounding);
+      }
+    }
+
+    // say up front what was compared, and when the answer rests on chunks,
+    // on part of the content or on fewer files than were sent
+    const notes = [];
+    if (compare) notes.push(`# Comparison: ${compare.labels.join(" vs ")}`);
+    if (coverage && (chunked || !coverage.complete)) notes.push(`> Coverage: ${describeCoverage(coverage)}.`);
+    missing.forEach(m => notes.push(`> Not included: ${m.label} — ${m.error}`));
+    if (notes.length) reply = `${notes.join("\n\n")}\n\n${reply}`;
+
+    // ── 6. Generate Word document ──
     let wordBase64 = null;
+    progress("word", "Generating Word document");
     try {
-      wordBase64 = await markdownToWordBase64(reply);
+      wordBase64 = await markdownToWordBase64(reply, { theme });
       console.log(`📄 Word doc generated: ${wordBase64.length} b64 chars`);
     } catch (e) {
       console.error("❌ Word generation failed:", e.message);
     }
 
-    // ── 5. Return ──
-    return res.status(200).json({
+    // ── 7. Return ──
+    return respond({
       ok: true,
       type: fileType,
       reply,
@@ -680,18 +999,26 @@ export default async function handler(req, res) {
       downloadUrl: wordBase64
         ? `data:application/vnd.openxmlformats-officedocument.wordprocessingml.document;base64,${wordBase64}`
         : null,
+      grounding,
+      coverage,
+      ocr: ocrReport,
+      ...(loaded ? { files: fileSummary(loaded) } : {}),
       debug: {
-        model:       MODEL,
-        fileType,
+        provider:    llm.provider,
+        model:       llm.model,
+        fileType:    compare ? compare.labels.map(l => loaded.find(f => f.label === l).fileType) : fileType,
         finishReason,
         tokenUsage,
         contentLength: textContent?.length ?? null,
-        isVision:    !!base64Image
+        mode:        chunked ? "chunked" : "single",
+        isVision:    images.length > 0
       }
     });
 
   } catch (err) {
     console.error("❌ Handler error:", err);
-    return res.status(500).json({ error: String(err?.message || err) });
+    if (!sse) return res.status(500).json({ error: String(err?.message || err) });
+    sse.send("error", { status: 500, error: String(err?.message || err) });
+    sse.end();
   }
 }
@@ -123,11 +123,6 @@ function formatAmount(amt) {
   }).format(amt);
 }
 
-// -------- Transaction Type Detection --------
-function getTransactionType(amount) {
-  return amount >= 0 ? "DEBIT" : "CREDIT";
-}
-
 // -------- Matching Algorithm --------
 function reconcile(bankRows, ledgerRows, options = {}) {
   const dateTolerance = options.dateTolerance || 3;
@@ -136,10 +131,9 @@ function reconcile(bankRows, ledgerRows, options = {}) {
   const results = [];
   const matchedLedger = new Set();
 
-  bankRows.forEach((b, bIdx) => {
+  bankRows.forEach((b) => {
     const bDate = toDate(b.date);
     const bAmt = Math.abs(Number(b.amount || 0));
-    const bType = getTransactionType(b.amount);
     const bCheck = b.check || "";
 
     if (!bDate || bAmt === 0) {
@@ -1,4 +1,4 @@
-import fetch from "node-fetch";
+import { getLLM } from "../financial-engine/ai/llmProvider.js";
 
 function cors(res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -59,64 +59,69 @@ async function parseJsonBody(req) {
   });
 }
 
+// Server-Sent Events: send(event, data) writes one event as JSON
+function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  heartbeat.unref?.();
+
+  return {
+    send(event, data) { res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); },
+    end() { clearInterval(heartbeat); res.end(); }
+  };
+}
+
 export default async function handler(req, res) {
   cors(res);
   if (req.method === "OPTIONS") return res.status(200).end();
   if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
 
+  // streaming: "token" events as the reply is written, then a "final"
+  // event with the usual JSON payload (or an "error" event)
+  let sse = null;
+
   try {
     // Use the tolerant parser
     const parsed = await parseJsonBody(req);
-    const { userMessage, transcript = "", systemPrompt = "You are a helpful, concise assistant." } = parsed;
+    const { userMessage, transcript = "", systemPrompt = "You are a helpful, concise assistant.", stream = false } = parsed;
 
-    if (!process.env.OPENROUTER_API_KEY) {
-      return res.status(500).json({ error: "Missing OPENROUTER_API_KEY in environment variables" });
+    // provider and model: the "chat" route in financial-engine/config/llm.js
+    const llm = getLLM("chat");
+    if (llm.configError) {
+      return res.status(500).json({ error: llm.configError });
     }
 
-    const model = process.env.OPENROUTER_MODEL || "deepseek/deepseek-chat-v3.1:free";
     const messages = buildMessagesFromTranscript(transcript, userMessage, systemPrompt);
 
-    const r = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${process.env.OPENROUTER_API_KEY}`
-      },
-      body: JSON.stringify({
-        model,
-        messages,
-        temperature: 0.2
-      })
-    });
-
-    // parse response normally (will throw if upstream returns malformed JSON)
-    let data;
-    try {
-      data = await r.json();
-    } catch (err) {
-      // upstream returned non-JSON — return safe debug info (no crash)
-      const raw = await r.text();
-      console.error("Upstream returned non-JSON:", raw.slice ? raw.slice(0, 1000) : raw);
-      return res.status(200).json({ reply: "(No reply)", debug: { status: r.status, raw: raw.slice ? raw.slice(0, 2000) + "…(truncated)" : raw } });
-    }
+    // form bodies send the flag as a string
+    if (stream === true || stream === "true" || /text\/event-stream/.test(req.headers?.accept || "")) sse = openEventStream(res);
+    const respond = payload => {
+      if (!sse) return res.status(200).json(payload);
+      sse.send("final", payload);
+      sse.end();
+    };
 
-    // try known shapes:
-    const reply =
-      data?.choices?.[0]?.message?.content || // OpenRouter typical
-      data?.choices?.[0]?.message?.content?.toString?.() ||
-      (typeof data?.output === "string" ? data.output : null) || // some adapters
-      (Array.isArray(data?.output) && data.output[0]?.content ? data.output[0].content : null) ||
-      data?.reply ||
-      null;
+    const { content: reply, finishReason } = await llm.chat({
+      messages,
+      ...(sse ? { onToken: text => sse.send("token", { text }) } : {})
+    });
 
     if (!reply) {
-      // return the raw returned object so client sees something useful (but not logging)
-      return res.status(200).json({ reply: "(No reply)", debug: { status: r.status, body: data } });
+      // say which upstream produced nothing so the client sees something useful
+      return respond({ reply: "(No reply)", debug: { provider: llm.provider, model: llm.model, finishReason } });
     }
 
-    return res.status(200).json({ reply });
+    return respond({ reply });
   } catch (err) {
     console.error("chat handler error:", err);
-    return res.status(500).json({ error: String(err?.message || err) });
+    if (!sse) return res.status(500).json({ error: String(err?.message || err) });
+    sse.send("error", { status: 500, error: String(err?.message || err) });
+    sse.end();
   }
 }
@@ -1,9 +1,7 @@
 // api/debug-openrouter.js
-// Simple debug endpoint: forwards a small prompt to OpenRouter and returns the raw text returned
-import fetch from "node-fetch";
-
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_MODEL = process.env.OPENROUTER_MODEL || "tngtech/deepseek-r1t2-chimera:free";
+// Simple debug endpoint: forwards a small prompt to the "debug-openrouter" route's provider
+// (OpenRouter unless overridden in financial-engine/config/llm.js) and returns the raw text returned
+import { getLLM } from "../financial-engine/ai/llmProvider.js";
 
 function cors(res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -16,7 +14,8 @@ export default async function handler(req, res) {
   if (req.method === "OPTIONS") return res.status(200).end();
   if (req.method !== "POST") return res.status(200).json({ ok: true, note: "send POST with { prompt }" });
 
-  if (!OPENROUTER_API_KEY) return res.status(500).json({ error: "Missing OPENROUTER_API_KEY in env" });
+  const llm = getLLM("debug-openrouter");
+  if (llm.configError) return res.status(500).json({ error: llm.configError });
 
   try {
     const body = await (async () => {
@@ -32,30 +31,18 @@ export default async function handler(req, res) {
     const prompt = body.prompt || "Hello (debug): please respond with a short message.";
 
     const payload = {
-      model: OPENROUTER_MODEL,
       messages: [{ role: "user", content: prompt }],
       temperature: 0.1,
       max_tokens: 1000
     };
 
-    // call OpenRouter and capture raw text
-    const r = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${OPENROUTER_API_KEY}`
-      },
-      body: JSON.stringify(payload),
-      // don't try to read JSON here — we want raw text
-    });
-
-    const status = r.status;
-    const rawText = await r.text(); // <-- raw provider response (could be HTML, JSON, etc)
-    const contentType = r.headers.get("content-type") || "";
+    // call the provider and capture raw text — don't parse JSON here
+    const { status, contentType, text: rawText } = await llm.raw(payload); // <-- raw provider response (could be HTML, JSON, etc)
 
     // return everything for debugging
     return res.status(200).json({
-      called_model: OPENROUTER_MODEL,
+      called_provider: llm.provider,
+      called_model: llm.model,
       status,
       contentType,
       rawTextHead: rawText.slice(0, 8000), // limit returned size
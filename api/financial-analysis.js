@@ -0,0 +1,121 @@
+import { analyzeFinancial } from "../financial-engine/financialController.js";
+import { GROUNDING_MODES } from "../financial-engine/utils/groundingValidator.js";
+import { COMMENTARY_FORMATS } from "../financial-engine/ai/commentarySchema.js";
+import { getLLM } from "../financial-engine/ai/llmProvider.js";
+import { SLIDE_TEMPLATES } from "../financial-engine/reports/slideTemplates.js";
+import { resolveReportTheme, themeLogo } from "../financial-engine/reports/reportThemes.js";
+import { UNKNOWN_FORMAT } from "../financial-engine/utils/reportTypeDetector.js";
+
+// ─────────────────────────────────────────────
+//  CORS + BODY PARSER
+// ─────────────────────────────────────────────
+
+function cors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+}
+
+async function parseJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      if (!body) return resolve({});
+      try { return resolve(JSON.parse(body)); }
+      catch { return resolve({ userPrompt: body }); }
+    });
+    req.on("error", reject);
+  });
+}
+
+const DOCX_MIME = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+const PPTX_MIME = "application/vnd.openxmlformats-officedocument.presentationml.presentation";
+
+// ─────────────────────────────────────────────
+//  MAIN HANDLER
+// ─────────────────────────────────────────────
+
+export default async function handler(req, res) {
+  cors(res);
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST")    return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    const llmConfigError = getLLM("commentary").configError;
+    if (llmConfigError) return res.status(500).json({ error: llmConfigError });
+
+    const body = await parseJsonBody(req);
+    const {
+      fileUrl, reportType, industry = "restaurant", userPrompt = "",
+      clientId, accountMapping, period, fiscalCalendar,
+      budgetUrl, budgetReportType,
+      storeDates, asOfDate, compThresholdMonths, storeMaster,
+      segment, region, allowAiBenchmark = false,
+      grounding = "report", commentaryFormat = "text",
+      slideTemplate, charts = true, theme
+    } = body || {};
+    if (!fileUrl) return res.status(400).json({ error: "fileUrl is required" });
+    if (!GROUNDING_MODES.includes(grounding))
+      return res.status(400).json({ error: `grounding must be one of ${GROUNDING_MODES.join(", ")}` });
+    if (!COMMENTARY_FORMATS.includes(commentaryFormat))
+      return res.status(400).json({ error: `commentaryFormat must be one of ${COMMENTARY_FORMATS.join(", ")}` });
+    // a template name, or an object of overrides (see slideTemplates.js)
+    if (typeof slideTemplate === "string" && !SLIDE_TEMPLATES[slideTemplate])
+      return res.status(400).json({ error: `slideTemplate must be one of ${Object.keys(SLIDE_TEMPLATES).join(", ")} or an object` });
+    // report theme: a name or an override object (see reportThemes.js),
+    // checked up front along with its logo
+    try { themeLogo(resolveReportTheme(theme)); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+
+    // reportType is optional — the engine detects the format when it is
+    // missing or not one of QB / MIS / R365.
+    console.log(`📥 Financial analysis: ${reportType || "auto-detect"} | ${fileUrl}`);
+    const result = await analyzeFinancial({
+      fileUrl, reportType, industry, userPrompt, clientId, accountMapping,
+      period, fiscalCalendar, budgetUrl, budgetReportType,
+      storeDates, asOfDate, compThresholdMonths, storeMaster,
+      segment, region, allowAiBenchmark, grounding, commentaryFormat,
+      slideTemplate, charts, theme
+    });
+
+    const wordBase64 = result.wordBase64;
+    const excelBase64 = result.excelBase64;
+    const pptxBase64 = result.pptxBase64;
+    console.log(`📄 Word report ready: ${wordBase64?.length ?? 0} b64 chars`);
+    console.log(`📊 Excel workbook ready: ${excelBase64?.length ?? 0} b64 chars`);
+    console.log(`📽️ Board deck ready: ${pptxBase64?.length ?? 0} b64 chars`);
+
+    return res.status(200).json({
+      ok: true,
+      reportType: result.reportType,
+      detection:  result.detection,
+      budgetDetection: result.budgetDetection,
+      mapping:    result.mapping,
+      storeResolution: result.storeResolution,
+      summary:    result.summary,
+      variance:   result.variance,
+      kpi:        result.kpi,
+      benchmark:  result.benchmark,
+      gaps:       result.gaps,
+      commentary: result.commentary,
+      commentarySections: result.commentarySections,
+      grounding:  result.grounding,
+      wordDownload: wordBase64,
+      downloadUrl: wordBase64 ? `data:${DOCX_MIME};base64,${wordBase64}` : null,
+      excelDownload: excelBase64,
+      excelDownloadUrl: excelBase64 ? `data:${XLSX_MIME};base64,${excelBase64}` : null,
+      pptxDownload: pptxBase64,
+      pptxDownloadUrl: pptxBase64 ? `data:${PPTX_MIME};base64,${pptxBase64}` : null
+    });
+
+  } catch (err) {
+    // a workbook in no format we read is the caller's to fix
+    if (err?.code === UNKNOWN_FORMAT) {
+      return res.status(422).json({ ok: false, error: err.message, field: err.field, scores: err.scores || null });
+    }
+    console.error("❌ Financial analysis handler error:", err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
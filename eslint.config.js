@@ -0,0 +1,17 @@
+import js from "@eslint/js";
+import globals from "globals";
+
+export default [
+  { ignores: ["node_modules/", "python-executor/"] },
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: "latest",
+      sourceType: "module",
+      globals: globals.node
+    },
+    rules: {
+      "no-unused-vars": ["error", { caughtErrors: "none" }]
+    }
+  }
+];
@@ -1,10 +1,29 @@
-import OpenAI from "openai";
+import {getLLM} from "./llmProvider.js";
+import {getBenchmark} from "../benchmarks/benchmarkLibrary.js";
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const METRICS = ["food_cost_percent","labor_percent","rent_percent","ebitda_margin"];
 
-export async function fetchIndustryBenchmark(industry){
+// Pulls the first {...} block out of a reply — models sometimes wrap the
+// JSON in prose or code fences.
+function extractJson(content){
+
+  const start = content.indexOf("{");
+  const end = content.lastIndexOf("}");
+
+  if(start === -1 || end <= start)
+    throw new Error("Benchmark AI returned no JSON object");
+
+  const parsed = JSON.parse(content.slice(start, end + 1));
+
+  METRICS.forEach(m=>{
+    if(typeof parsed[m] !== "number")
+      throw new Error(`Benchmark AI returned no numeric ${m}`);
+  });
+
+  return parsed;
+}
+
+async function estimateBenchmarkWithAI(industry){
 
   const prompt = `
 Provide industry benchmark for ${industry}.
@@ -18,19 +37,46 @@ Return ONLY JSON:
 }
 `;
 
-  const res = await openai.chat.completions.create({
-    model:"gpt-4o-mini",
-    messages:[{role:"user",content:prompt}],
-    temperature:0
+  const res = await getLLM("benchmark").chat({
+    messages:[{role:"user",content:prompt}]
   });
 
-  const content = res.choices[0].message.content;
+  const parsed = extractJson(res.content);
+
+  const benchmark = {};
+  METRICS.forEach(m => { benchmark[m] = parsed[m]; });
+
+  benchmark.meta = {
+    source: "ai-estimate",
+    model: res.model,
+    industry,
+    warning: "AI-generated estimate with no cited source — not from the benchmark library"
+  };
+
+  return benchmark;
+}
+
+/**
+ * Benchmark for an industry / segment / region from the offline library
+ * (benchmarks/industryBenchmarks.js), for scoring and the reports.
+ *
+ * Library figures without a published source (meta.unsourced) are not
+ * used: they would drive statuses and dollar gaps with nothing behind
+ * them. When the library has no usable match, the AI estimate is used only
+ * if `allowAiFallback` is set, and is labelled meta.source = "ai-estimate".
+ * Otherwise returns null.
+ */
+export async function fetchIndustryBenchmark(industry, {segment, region, allowAiFallback = false} = {}){
+
+  const benchmark = getBenchmark({industry, segment, region});
+  if(benchmark && !benchmark.meta.unsourced) return benchmark;
 
-  // remove markdown formatting if AI adds it
-  const cleaned = content
-    .replace(/```json/g,"")
-    .replace(/```/g,"")
-    .trim();
+  if(!allowAiFallback){
+    console.warn(benchmark
+      ? `Library benchmark for industry "${industry}" has no published source — not scored`
+      : `No library benchmark for industry "${industry}"`);
+    return null;
+  }
 
-  return JSON.parse(cleaned);
+  return estimateBenchmarkWithAI(industry);
 }
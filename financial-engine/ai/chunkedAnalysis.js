@@ -0,0 +1,348 @@
+// Map-reduce analysis for spreadsheets too large for one prompt. Sheets are
+// split into row blocks (the header row repeats in each), every block is
+// summarized with its figures copied exactly (map), and the summaries are
+// merged into the final analysis (reduce). `coverage` records how much of
+// the file reached the answer.
+
+// characters of CSV per chunk (~10k tokens)
+export const CHUNK_CHARS = 40000;
+
+// chunks summarized per file; anything past this is reported as not covered
+export const MAX_CHUNKS = 40;
+
+// chunk summaries requested at once
+const CONCURRENCY = 3;
+
+// summaries longer than this (joined) are merged in rounds before the
+// final analysis
+const REDUCE_CHARS = 100000;
+
+const CHUNK_SYSTEM_PROMPT = `You are extracting the figures from ONE PART of a larger financial file. An analyst will later write the report on the whole file from your notes alone, without seeing the file.
+
+RULES:
+1. Copy every number exactly as it appears in the part — same digits, sign and decimals. Never round, rescale or convert.
+2. Never add up, average or otherwise compute figures yourself.
+3. Keep each figure with its labels: account / line item, store / entity, period and column header.
+4. List totals and subtotals, every store / entity and period present, the largest line items, and anything unusual (negative balances, large swings, blanks, errors).
+5. For detail rows (e.g. ledger transactions), give the total or balance rows that appear in the part plus the largest individual entries.
+6. Write compact markdown bullets or tables. No commentary, no recommendations.`;
+
+const fmt = n => n.toLocaleString("en-US");
+
+const pct = (part, whole) => whole ? Math.round(part / whole * 1000) / 10 : 100;
+
+function rowRange(chunk){
+  return chunk.sheetRows
+    ? `rows ${fmt(chunk.rowStart)}–${fmt(chunk.rowEnd)} of ${fmt(chunk.sheetRows)}`
+    : "header only";
+}
+
+const chunkLabel = chunk => `Sheet "${chunk.sheet}", ${rowRange(chunk)}`;
+
+/**
+ * Splits sheets — [{ name, rows: [csvLine, …] }], first row the header —
+ * into chunks of at most `maxChars`:
+ * [{ index, sheet, rowStart, rowEnd, sheetRows, rows, text, chars, cutRows, cutChars }].
+ * Row numbers count data rows (header excluded) within the sheet. A row
+ * too long for a chunk on its own is cut to fit; `cutRows` lists those rows
+ * and `cutChars` the characters dropped from them.
+ */
+export function chunkSheets(sheets, {maxChars = CHUNK_CHARS} = {}){
+
+  const chunks = [];
+
+  sheets.forEach(({name, rows}) => {
+    if(!rows.length) return;
+
+    const [header, ...body] = rows;
+    const sheetRows = body.length;
+    const budget = Math.max(maxChars - header.length - 1, 1);
+
+    const push = (start, lines, cutRows = [], cutChars = 0) => {
+      const chunk = { index: chunks.length, sheet: name, rowStart: start + 1, rowEnd: start + lines.length, sheetRows, rows: lines.length };
+      chunk.text = `### Sheet: ${name} (${rowRange(chunk)})\n${[header, ...lines].join("\n")}`;
+      chunk.chars = lines.reduce((sum, l) => sum + l.length + 1, header.length + 1);
+      chunk.cutRows = cutRows;
+      chunk.cutChars = cutChars;
+      chunks.push(chunk);
+    };
+
+    if(!sheetRows){
+      push(0, []);
+      return;
+    }
+
+    let start = 0;
+    let lines = [];
+    let size = 0;
+    let cutRows = [];
+    let cutChars = 0;
+
+    body.forEach((line, i) => {
+      // a single row over budget is cut rather than sent on its own
+      // (leaving room for its line break)
+      const row = line.length + 1 > budget ? line.slice(0, budget - 1) : line;
+      if(lines.length && size + row.length + 1 > budget){
+        push(start, lines, cutRows, cutChars);
+        start = i;
+        lines = [];
+        size = 0;
+        cutRows = [];
+        cutChars = 0;
+      }
+      if(row !== line){
+        cutRows.push(i + 1);
+        cutChars += line.length - row.length;
+      }
+      lines.push(row);
+      size += row.length + 1;
+    });
+    push(start, lines, cutRows, cutChars);
+  });
+
+  return chunks;
+}
+
+// Sums the numeric fields of provider usage objects.
+function addUsage(total, usage){
+  if(!usage) return total;
+  const out = { ...(total || {}) };
+  Object.entries(usage).forEach(([k, v]) => {
+    if(typeof v === "number") out[k] = (out[k] || 0) + v;
+  });
+  return out;
+}
+
+// Runs `fn` over `items` with at most `limit` in flight, results in order.
+async function mapLimit(items, limit, fn){
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while(next < items.length){
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function summarizeChunk(llm, chunk, total, question){
+
+  const { content, usage } = await llm.chat({
+    messages: [
+      { role: "system", content: CHUNK_SYSTEM_PROMPT },
+      { role: "user", content: `PART ${chunk.index + 1} OF ${total} — ${chunkLabel(chunk)}
+The final report must answer: "${(question || "").trim() || "a full financial analysis of the file"}"
+
+CONTENT:
+\`\`\`
+${chunk.text}
+\`\`\`` }
+    ]
+  });
+
+  return { summary: (content || "").trim(), usage };
+}
+
+/**
+ * How much of the file the chunk results cover. `chunks` is every chunk of
+ * the file; `results` holds { summary } or { error } for the ones sent.
+ * Rows cut to fit a chunk count as not covered, even in a summarized chunk.
+ */
+export function buildCoverage(chunks, results){
+
+  const done = chunks.filter((c, i) => results[i]?.summary);
+
+  const sheetNames = [...new Set(chunks.map(c => c.sheet))];
+  const completeSheets = sheetNames.filter(name =>
+    chunks.every((c, i) => c.sheet !== name || (results[i]?.summary && !c.cutRows.length))
+  );
+
+  const totalRows = chunks.reduce((sum, c) => sum + c.rows, 0);
+  const totalChars = chunks.reduce((sum, c) => sum + c.chars + c.cutChars, 0);
+  const coveredRows = done.reduce((sum, c) => sum + c.rows - c.cutRows.length, 0);
+  const coveredChars = done.reduce((sum, c) => sum + c.chars, 0);
+
+  const uncovered = chunks.flatMap((c, i) => {
+    const r = results[i];
+    if(!r?.summary){
+      return [{ sheet: c.sheet, rowStart: c.rowStart, rowEnd: c.rowEnd, reason: r ? `failed: ${r.error}` : "chunk limit reached" }];
+    }
+    return c.cutRows.map(row => ({ sheet: c.sheet, rowStart: row, rowEnd: row, reason: "row too long for a chunk — cut" }));
+  });
+
+  return {
+    mode: "chunked",
+    complete: !uncovered.length,
+    percent: pct(coveredChars, totalChars),
+    sheets: { total: sheetNames.length, complete: completeSheets.length },
+    rows: { total: totalRows, covered: coveredRows },
+    chars: { total: totalChars, covered: coveredChars },
+    chunks: {
+      total: chunks.length,
+      summarized: done.length,
+      failed: results.filter(r => r && !r.summary).length,
+      skipped: chunks.length - results.length
+    },
+    uncovered
+  };
+}
+
+/**
+ * One-line account of coverage for people, e.g. "100% of the file (12,400
+ * of 12,400 rows, 4 of 4 sheets complete) in 9 parts". Also describes the
+ * single-prompt coverage objects analyze-file builds (characters or
+ * scanned pages).
+ */
+export function describeCoverage(coverage){
+
+  if(coverage.pages){
+    const { total, covered, unread } = coverage.pages;
+    if(coverage.complete) return `all ${fmt(total)} page${total === 1 ? "" : "s"}`;
+    if(!unread?.length) return `the first ${fmt(covered)} of ${fmt(total)} pages (${coverage.percent}%)`;
+    // unread pages sit among the rendered ones; any past those were not rendered
+    const rendered = covered + unread.length;
+    const rest = rendered < total ? ` and ${fmt(rendered + 1)}–${fmt(total)}` : "";
+    return `${fmt(covered)} of ${fmt(total)} pages (${coverage.percent}%) — not read: page${unread.length === 1 && !rest ? "" : "s"} ${unread.join(", ")}${rest}`;
+  }
+
+  if(coverage.mode !== "chunked"){
+    return coverage.complete
+      ? "the whole file"
+      : `the first ${fmt(coverage.chars.covered)} of ${fmt(coverage.chars.total)} characters (${coverage.percent}%) — the rest was truncated`;
+  }
+
+  const { rows, sheets, chunks } = coverage;
+  return `${coverage.percent}% of the file (${fmt(rows.covered)} of ${fmt(rows.total)} rows, ${sheets.complete} of ${sheets.total} sheets complete) in ${chunks.summarized} part${chunks.summarized === 1 ? "" : "s"}`;
+}
+
+// Merges part summaries group by group until they fit one prompt.
+async function condense(llm, parts, question){
+
+  let usage = null;
+
+  while(parts.length > 1 && parts.reduce((sum, p) => sum + p.text.length, 0) > REDUCE_CHARS){
+
+    const groups = [];
+    parts.forEach(p => {
+      const last = groups[groups.length - 1];
+      if(last && last.reduce((sum, q) => sum + q.text.length, 0) + p.text.length <= REDUCE_CHARS) last.push(p);
+      else groups.push([p]);
+    });
+    // every part already fills a group on its own — nothing left to merge
+    if(groups.length === parts.length) break;
+
+    parts = await mapLimit(groups, CONCURRENCY, async group => {
+      if(group.length === 1) return group[0];
+      const label = `${group[0].label} … ${group[group.length - 1].label}`;
+      const res = await llm.chat({
+        messages: [
+          { role: "system", content: CHUNK_SYSTEM_PROMPT },
+          { role: "user", content: `Combine these notes on consecutive parts of the file into one set of notes. Keep every figure exactly as written and with its labels; drop only exact duplicates.
+The final report must answer: "${(question || "").trim() || "a full financial analysis of the file"}"
+
+${group.map(p => `### ${p.label}\n${p.text}`).join("\n\n")}` }
+        ]
+      });
+      usage = addUsage(usage, res.usage);
+      return { label, text: (res.content || "").trim() };
+    });
+  }
+
+  return { parts, usage };
+}
+
+/**
+ * Final analysis from the part summaries. `systemPrompt` and
+ * `analysisPrompt` are the caller's usual prompts; `feedback` is appended
+ * on a regeneration and `onToken` streams the reply. Returns
+ * { reply, finishReason, tokenUsage }.
+ */
+export async function mergeSummaries(llm, parts, {systemPrompt, analysisPrompt, coverage, feedback, onToken}){
+
+  const gap = coverage.complete ? "" : `
+Parts of the file were NOT analyzed (${coverage.uncovered.length} block${coverage.uncovered.length === 1 ? "" : "s"}). Say so in the Review section and do not describe the file as a whole.`;
+
+  const userContent = [{
+    type: "text",
+    text: `The file was too large to read in one pass. It was split into parts and each part was summarized with its figures copied exactly. These notes are your only source — treat them as the document.
+COVERAGE: ${describeCoverage(coverage)}.${gap}
+
+PART NOTES:
+
+${parts.map(p => `### ${p.label}\n${p.text}`).join("\n\n")}
+
+${analysisPrompt}`
+  }];
+  if(feedback) userContent.push({ type: "text", text: feedback });
+
+  const { content, finishReason, usage } = await llm.chat({
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userContent }
+    ],
+    ...(onToken ? { onToken } : {})
+  });
+
+  return { reply: (content || "").trim(), finishReason, tokenUsage: usage };
+}
+
+/**
+ * Map-reduce over `chunks` (see chunkSheets). `chunkLLM` summarizes the
+ * parts and `llm` writes the final analysis. Returns
+ * { reply, finishReason, tokenUsage, coverage, parts, source } — `parts` can
+ * be passed back to mergeSummaries() to regenerate; `source` is the text of
+ * the chunks that were summarized, the only content the reply can draw its
+ * figures from. Throws when no part
+ * could be summarized. `onProgress({ stage, done, total })` reports the
+ * summaries ("summarize") and the final merge ("merge"); `onToken`
+ * streams the final analysis.
+ */
+export async function analyzeInChunks(llm, chunkLLM, chunks, {
+  question, systemPrompt, analysisPrompt, maxChunks = MAX_CHUNKS, onProgress = () => {}, onToken
+}){
+
+  const selected = chunks.slice(0, maxChunks);
+  let tokenUsage = null;
+  let done = 0;
+
+  const results = await mapLimit(selected, CONCURRENCY, async chunk => {
+    try {
+      const { summary, usage } = await summarizeChunk(chunkLLM, chunk, selected.length, question);
+      tokenUsage = addUsage(tokenUsage, usage);
+      if(!summary) return { error: "empty summary" };
+      return { summary };
+    } catch(err){
+      console.warn(`⚠️ Chunk ${chunk.index + 1} (${chunkLabel(chunk)}) failed:`, err.message);
+      return { error: err.message };
+    } finally {
+      onProgress({ stage: "summarize", done: ++done, total: selected.length });
+    }
+  });
+
+  const coverage = buildCoverage(chunks, results);
+  if(!coverage.chunks.summarized){
+    throw new Error(`No part of the file could be summarized (${results[0]?.error || "no content"})`);
+  }
+
+  const condensed = await condense(
+    chunkLLM,
+    selected
+      .map((c, i) => ({ label: chunkLabel(c), text: results[i].summary }))
+      .filter(p => p.text),
+    question
+  );
+  tokenUsage = addUsage(tokenUsage, condensed.usage);
+
+  onProgress({ stage: "merge", done: condensed.parts.length, total: condensed.parts.length });
+  const merged = await mergeSummaries(llm, condensed.parts, { systemPrompt, analysisPrompt, coverage, onToken });
+
+  return {
+    ...merged,
+    tokenUsage: addUsage(tokenUsage, merged.tokenUsage),
+    coverage,
+    parts: condensed.parts,
+    source: selected.filter((c, i) => results[i].summary).map(c => c.text).join("\n\n")
+  };
+}
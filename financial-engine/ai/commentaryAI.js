@@ -1,21 +1,52 @@
-import OpenAI from "openai";
-const openai = new OpenAI({apiKey:process.env.OPENAI_API_KEY});
+import {getLLM} from "./llmProvider.js";
+import {
+COMMENTARY_JSON_TEMPLATE,COMMENTARY_METRICS,validateCommentary
+} from "./commentarySchema.js";
 
-export async function generateCommentary(
-summary,
-benchmark,
-userPrompt
-){
+// attempts at a reply that parses and passes validateCommentary()
+const STRUCTURED_ATTEMPTS = 3;
 
-const prompt = `
-You are a CFO analyzing financials.
+// Data sections shared by the free-text and structured prompts.
+function buildContext(summary, benchmark, {variances, gaps}){
 
+// per-store trend series are too long for the prompt — keep the
+// consolidated trend only
+const promptSummary = summary.trend ? {
+...summary,
+trend:{periods:summary.trend.periods,consolidated:summary.trend.consolidated}
+} : summary;
+
+// largest budget variances, positive = favorable
+const varianceSection = variances?.length ? `
+Largest Budget Variances (variance > 0 is favorable):
+${JSON.stringify(variances,null,2)}
+` : "";
+
+// computed benchmark gaps — the model should report these, not re-judge
+const gapSection = gaps ? `
+Benchmark Gaps (computed; gapPts = actual - benchmark, gapDollars > 0 is unfavorable, status red/amber/green):
+${JSON.stringify(gaps,null,2)}
+` : "";
+
+return `
 Financial Summary:
-${JSON.stringify(summary,null,2)}
+${JSON.stringify(promptSummary,null,2)}
 
 Industry Benchmark:
 ${JSON.stringify(benchmark,null,2)}
+${gapSection}${varianceSection}`;
+}
+
+export async function generateCommentary(
+summary,
+benchmark,
+userPrompt,
+{variances, gaps, feedback} = {}
+){
 
+const prompt = `
+You are a CFO analyzing financials.
+${buildContext(summary, benchmark, {variances, gaps})}
 User Instruction:
 ${userPrompt}
 
@@ -24,15 +55,84 @@ Give professional MIS analysis including:
 - YoY trends
 - Worst store
 - EBITDA analysis
-- Benchmark comparison
-- Cost control suggestions
-`;
-
-const res = await openai.chat.completions.create({
-model:"gpt-4o",
-messages:[{role:"user",content:prompt}],
-temperature:0.3
+- Benchmark comparison${gaps ? " (use the computed gaps and statuses as given)" : ""}
+- Cost control suggestions${variances?.length ? `
+- Budget vs actual: explain each of the largest variances` : ""}
+${feedback ? `
+${feedback}
+` : ""}`;
+
+const res = await getLLM("commentary").chat({
+messages:[{role:"user",content:prompt}]
 });
 
-return res.choices[0].message.content;
+return res.content;
+}
+
+/**
+ * Same analysis as generateCommentary, returned as typed sections
+ * (see commentarySchema.js). Malformed or invalid JSON is sent back to the
+ * model with the errors, up to STRUCTURED_ATTEMPTS times, before throwing.
+ * `llm` defaults to the commentary route's client.
+ */
+export async function generateStructuredCommentary(
+summary,
+benchmark,
+userPrompt,
+{variances, gaps, feedback, llm = getLLM("commentary")} = {}
+){
+
+const stores = Object.keys(summary.stores || {});
+
+const prompt = `
+You are a CFO analyzing financials.
+${buildContext(summary, benchmark, {variances, gaps})}
+User Instruction:
+${userPrompt}
+
+Return ONLY a JSON object with this shape:
+${COMMENTARY_JSON_TEMPLATE}
+
+Rules:
+- "metric" must be one of: ${COMMENTARY_METRICS.join(", ")}
+- "store" must be one of: ${stores.map(s => JSON.stringify(s)).join(", ")}
+- Cover store performance, YoY trends, the worst store and EBITDA in storeFindings
+- benchmarkComparison uses the consolidated figures${gaps ? " and the computed gaps as given" : ""}
+- actionItems are concrete cost control steps${variances?.length ? `
+- Explain each of the largest budget variances in storeFindings (metric "budgetVariance")` : ""}
+${feedback ? `
+${feedback}
+` : ""}`;
+
+const messages = [{role:"user",content:prompt}];
+let errors = [];
+
+for(let attempt = 1; attempt <= STRUCTURED_ATTEMPTS; attempt++){
+
+const res = await llm.chat({
+messages:[...messages],
+responseFormat:{type:"json_object"}
+});
+
+const content = res.content;
+
+let parsed = null;
+try{
+parsed = JSON.parse(content);
+errors = validateCommentary(parsed, {stores});
+}catch(e){
+errors = [`reply is not valid JSON: ${e.message}`];
+}
+
+if(!errors.length) return parsed;
+
+console.warn(`Structured commentary attempt ${attempt} invalid: ${errors.slice(0,5).join("; ")}`);
+
+messages.push(
+{role:"assistant",content},
+{role:"user",content:`That reply is invalid:\n- ${errors.slice(0,20).join("\n- ")}\nReturn the corrected JSON object only.`}
+);
+}
+
+throw new Error(`Structured commentary invalid after ${STRUCTURED_ATTEMPTS} attempts: ${errors.slice(0,5).join("; ")}`);
 }
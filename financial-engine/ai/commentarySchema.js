@@ -0,0 +1,172 @@
+import {PNL_LINES} from "../calculations/pnlHierarchy.js";
+import {LEAGUE_METRICS} from "../calculations/leagueTables.js";
+import {GAP_METRICS} from "../calculations/benchmarkGap.js";
+
+// Shape of the structured commentary. Validated by hand so the engine does
+// not need a schema library; every finding and action names the metric it
+// is about, using the same keys as the summary, league tables and gaps.
+
+export const COMMENTARY_METRICS = [...new Set([
+  ...PNL_LINES.map(l => l.key),
+  ...LEAGUE_METRICS.map(m => m.key),
+  ...GAP_METRICS.map(m => m.key),
+  "sameStoreSales",
+  "budgetVariance"
+])];
+
+export const COMMENTARY_FORMATS = ["text","structured"];
+export const SEVERITIES = ["positive","neutral","concern"];
+export const PRIORITIES = ["high","medium","low"];
+
+// Example handed to the model alongside the rules below.
+export const COMMENTARY_JSON_TEMPLATE = `{
+  "executiveSummary": "string — 3 to 6 sentences",
+  "storeFindings": [
+    { "store": "store name exactly as in the summary", "metric": "metric key", "severity": "positive | neutral | concern", "finding": "string" }
+  ],
+  "benchmarkComparison": [
+    { "metric": "metric key", "actual": number, "benchmark": number, "finding": "string" }
+  ],
+  "actionItems": [
+    { "action": "string", "metric": "metric key", "store": "store name or null for all stores", "priority": "high | medium | low" }
+  ]
+}`;
+
+const isText = v => typeof v === "string" && v.trim() !== "";
+
+function checkMetric(errors, path, metric){
+  if(!COMMENTARY_METRICS.includes(metric))
+    errors.push(`${path}.metric must be one of ${COMMENTARY_METRICS.join(", ")} (got ${JSON.stringify(metric)})`);
+}
+
+function checkStore(errors, path, store, stores, {optional = false} = {}){
+  if(optional && (store === null || store === undefined)) return;
+  if(!isText(store))
+    errors.push(`${path}.store must be a store name`);
+  else if(stores && !stores.includes(store))
+    errors.push(`${path}.store "${store}" is not a store in the summary`);
+}
+
+function checkList(errors, value, path, checkItem){
+  if(!Array.isArray(value)){
+    errors.push(`${path} must be an array`);
+    return;
+  }
+  value.forEach((item, i)=>{
+    if(!item || typeof item !== "object" || Array.isArray(item))
+      errors.push(`${path}[${i}] must be an object`);
+    else
+      checkItem(item, `${path}[${i}]`);
+  });
+}
+
+/**
+ * Validates a parsed structured commentary. `stores` (the summary's store
+ * names) is optional; when given, findings must name one of them.
+ * Returns a list of error strings — empty when valid.
+ */
+export function validateCommentary(value, {stores} = {}){
+
+  const errors = [];
+
+  if(!value || typeof value !== "object" || Array.isArray(value))
+    return ["commentary must be a JSON object"];
+
+  if(!isText(value.executiveSummary))
+    errors.push("executiveSummary must be a non-empty string");
+
+  checkList(errors, value.storeFindings, "storeFindings", (f, path)=>{
+    checkStore(errors, path, f.store, stores);
+    checkMetric(errors, path, f.metric);
+    if(!SEVERITIES.includes(f.severity))
+      errors.push(`${path}.severity must be one of ${SEVERITIES.join(", ")}`);
+    if(!isText(f.finding))
+      errors.push(`${path}.finding must be a non-empty string`);
+  });
+
+  checkList(errors, value.benchmarkComparison, "benchmarkComparison", (b, path)=>{
+    checkMetric(errors, path, b.metric);
+    ["actual","benchmark"].forEach(k=>{
+      if(b[k] !== null && !Number.isFinite(b[k]))
+        errors.push(`${path}.${k} must be a number or null`);
+    });
+    if(!isText(b.finding))
+      errors.push(`${path}.finding must be a non-empty string`);
+  });
+
+  checkList(errors, value.actionItems, "actionItems", (a, path)=>{
+    if(!isText(a.action))
+      errors.push(`${path}.action must be a non-empty string`);
+    checkMetric(errors, path, a.metric);
+    checkStore(errors, path, a.store, stores, {optional:true});
+    if(!PRIORITIES.includes(a.priority))
+      errors.push(`${path}.priority must be one of ${PRIORITIES.join(", ")}`);
+  });
+
+  return errors;
+}
+
+/** Display label for a commentary metric key (falls back to the key). */
+export const metricLabel = key =>
+  PNL_LINES.find(l => l.key === key)?.label ||
+  LEAGUE_METRICS.find(m => m.key === key)?.label ||
+  GAP_METRICS.find(m => m.key === key)?.label ||
+  key;
+
+/**
+ * Copy of a structured commentary with `fn` applied to its prose — the
+ * summary, findings and actions (e.g. to annotate unverified numbers).
+ */
+export function mapCommentaryText(commentary, fn){
+  return {
+    ...commentary,
+    executiveSummary: fn(commentary.executiveSummary),
+    storeFindings: commentary.storeFindings.map(f => ({ ...f, finding: fn(f.finding) })),
+    benchmarkComparison: commentary.benchmarkComparison.map(b => ({ ...b, finding: fn(b.finding) })),
+    actionItems: commentary.actionItems.map(a => ({ ...a, action: fn(a.action) }))
+  };
+}
+
+const fmt = v => v === null || v === undefined ? "n/a" : Number(v).toFixed(1);
+
+/**
+ * Renders a structured commentary as markdown, grouping store findings by
+ * store.
+ */
+export function commentaryToMarkdown(commentary){
+
+  const lines = ["## Executive Summary", "", commentary.executiveSummary.trim(), ""];
+
+  if(commentary.storeFindings.length){
+    lines.push("## Store Findings", "");
+    const byStore = new Map();
+    commentary.storeFindings.forEach(f=>{
+      if(!byStore.has(f.store)) byStore.set(f.store, []);
+      byStore.get(f.store).push(f);
+    });
+    byStore.forEach((findings, store)=>{
+      lines.push(`### ${store}`, "");
+      findings.forEach(f => lines.push(`- **${metricLabel(f.metric)}** (${f.severity}): ${f.finding}`));
+      lines.push("");
+    });
+  }
+
+  if(commentary.benchmarkComparison.length){
+    lines.push("## Benchmark Comparison", "", "| Metric | Actual | Benchmark | Finding |", "|---|---|---|---|");
+    commentary.benchmarkComparison.forEach(b=>{
+      lines.push(`| ${metricLabel(b.metric)} | ${fmt(b.actual)} | ${fmt(b.benchmark)} | ${b.finding.replace(/\|/g,"/")} |`);
+    });
+    lines.push("");
+  }
+
+  if(commentary.actionItems.length){
+    lines.push("## Action Items", "");
+    commentary.actionItems.forEach((a, i)=>{
+      const who = a.store ? ` — ${a.store}` : "";
+      lines.push(`${i + 1}. **[${a.priority.toUpperCase()}]** ${a.action} _(${metricLabel(a.metric)}${who})_`);
+    });
+    lines.push("");
+  }
+
+  return lines.join("\n").trim() + "\n";
+}
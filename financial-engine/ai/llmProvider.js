@@ -0,0 +1,69 @@
+import {LLM_PROVIDERS,resolveRouteConfig} from "../config/llm.js";
+import {createOpenAICompatibleProvider} from "./providers/openaiCompatibleProvider.js";
+import {createMockProvider} from "./providers/mockProvider.js";
+
+// Single entry point for model calls. Callers name their route
+// (config/llm.js) and get back a client bound to that route's provider,
+// model and defaults:
+//
+//   const llm = getLLM("commentary");
+//   const { content } = await llm.chat({ messages });
+
+function createHttpProvider(name){
+  const settings = LLM_PROVIDERS[name];
+  return createOpenAICompatibleProvider({
+    name,
+    baseUrl: settings.baseUrl,
+    apiKey: process.env[settings.apiKeyEnv],
+    apiKeyEnv: settings.apiKeyEnv,
+    apiKeyOptional: settings.apiKeyOptional
+  });
+}
+
+/**
+ * Provider instance by name: openai | openrouter | local | mock.
+ * `mockOptions` override the mock settings from config (tests).
+ */
+export function createProvider(name, mockOptions = {}){
+
+  if(name === "mock"){
+    const settings = LLM_PROVIDERS.mock;
+    const upstreamName = mockOptions.record ?? settings.record;
+    return createMockProvider({
+      fixturesFile: settings.fixturesFile,
+      strict: settings.strict,
+      ...mockOptions,
+      upstream: upstreamName ? createHttpProvider(upstreamName) : null
+    });
+  }
+
+  if(!LLM_PROVIDERS[name]) throw new Error(`Unknown LLM provider "${name}"`);
+
+  return createHttpProvider(name);
+}
+
+/**
+ * Client for a route. `chat()` fills in the route's model, temperature and
+ * maxTokens unless the call overrides them.
+ */
+export function getLLM(route, {provider} = {}){
+
+  const config = resolveRouteConfig(route);
+  const client = provider || createProvider(config.provider);
+
+  const withDefaults = request => ({
+    model: config.model,
+    temperature: config.temperature,
+    maxTokens: config.maxTokens,
+    ...request
+  });
+
+  return {
+    route,
+    provider: client.name,
+    model: config.model,
+    configError: client.configError,
+    chat: request => client.chat(withDefaults(request)),
+    raw: payload => client.raw({ model: config.model, ...payload })
+  };
+}
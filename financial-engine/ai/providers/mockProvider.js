@@ -0,0 +1,125 @@
+import fs from "fs";
+import crypto from "crypto";
+
+// Deterministic stand-in for a real provider so the pipeline runs without
+// network access.
+//
+// Replies are looked up by a hash of the request (messages + response
+// format, not the model, so fixtures survive a model change). With
+// `upstream` set, misses are forwarded to that provider and the reply is
+// saved to `fixturesFile` — record once, replay offline afterwards.
+//
+// A miss with no upstream either throws (`strict`) or returns a canned
+// reply that names the request key, so a fixture can be added for it.
+//
+// Streamed requests (`onToken`) get the reply replayed a word at a time.
+
+/** Stable key for a request. */
+export function requestKey({messages, responseFormat}){
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ messages, responseFormat: responseFormat || null }))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function loadFixtures(file){
+  if(!file || !fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function lastUserText(messages){
+  const last = [...messages].reverse().find(m => m.role === "user");
+  if(!last) return "";
+  if(typeof last.content === "string") return last.content;
+  return (last.content || []).filter(p => p.type === "text").map(p => p.text).join("\n");
+}
+
+/**
+ * `fixtures` (key → { content, finishReason?, usage? }) is merged over the
+ * file's contents; `respond(request)` computes a reply for keys that have
+ * no fixture.
+ */
+export function createMockProvider({fixturesFile = null, fixtures = {}, upstream = null, strict = false, respond = null} = {}){
+
+  const store = { ...loadFixtures(fixturesFile), ...fixtures };
+
+  function save(){
+    if(fixturesFile) fs.writeFileSync(fixturesFile, JSON.stringify(store, null, 2));
+  }
+
+  async function lookup(request){
+
+    const key = requestKey(request);
+
+    if(store[key]){
+      return {
+        finishReason: "stop",
+        usage: null,
+        ...store[key],
+        model: request.model,
+        provider: "mock",
+        fixture: key
+      };
+    }
+
+    if(upstream){
+      // recorded whole; replayed to onToken like any other reply
+      const reply = await upstream.chat({ ...request, onToken: undefined });
+      store[key] = {
+        content: reply.content,
+        finishReason: reply.finishReason,
+        usage: reply.usage,
+        recordedFrom: `${reply.provider}/${reply.model}`
+      };
+      save();
+      return { ...reply, fixture: key };
+    }
+
+    if(respond){
+      const content = await respond({ ...request, key });
+      return { content, finishReason: "stop", usage: null, model: request.model, provider: "mock", fixture: key };
+    }
+
+    if(strict) throw new Error(`mock provider has no fixture for request ${key}`);
+
+    const content = request.responseFormat?.type === "json_object"
+      ? JSON.stringify({ mock: true, key })
+      : `[mock reply ${key}] ${lastUserText(request.messages).slice(0, 200)}`;
+
+    return { content, finishReason: "stop", usage: null, model: request.model, provider: "mock", fixture: null };
+  }
+
+  async function chat(request){
+    const reply = await lookup(request);
+    if(request.onToken){
+      (reply.content.match(/\s*\S+|\s+$/g) || []).forEach(piece => request.onToken(piece));
+    }
+    return reply;
+  }
+
+  return {
+
+    name: "mock",
+    configError: upstream?.configError || null,
+    chat,
+
+    // Same shape as openaiCompatibleProvider.raw(), built from chat().
+    async raw(payload){
+      const reply = await chat({
+        model: payload.model,
+        messages: payload.messages,
+        responseFormat: payload.response_format
+      });
+      return {
+        status: 200,
+        contentType: "application/json",
+        text: JSON.stringify({
+          model: reply.model,
+          choices: [{ message: { role: "assistant", content: reply.content }, finish_reason: reply.finishReason }],
+          usage: reply.usage
+        })
+      };
+    }
+  };
+}
@@ -0,0 +1,126 @@
+import fetch from "node-fetch";
+
+// One client for every server that speaks the OpenAI chat completions API
+// (OpenAI, OpenRouter, local servers). Only the base URL and key differ.
+//
+// With `onToken` a chat is streamed: each piece of the reply is passed to
+// onToken as it arrives, and the call still resolves to the full result.
+
+// Reads a chat completions event stream into { content, finishReason,
+// usage, model }, calling onToken(text) for every content delta.
+async function readStream(body, onToken, name){
+
+  const decoder = new TextDecoder();
+  const result = { content: "", finishReason: null, usage: null, model: null };
+  let buffer = "";
+
+  const handle = line => {
+    // comments (": keep-alive") and other fields carry no data
+    if(!line.startsWith("data:")) return false;
+    const data = line.slice(5).trim();
+    if(data === "[DONE]") return true;
+
+    let event;
+    try { event = JSON.parse(data); }
+    catch { throw new Error(`${name} sent an unreadable stream event: ${data.slice(0, 300)}`); }
+
+    if(event.error) throw new Error(`${name} error: ${event.error.message || JSON.stringify(event.error)}`);
+
+    const choice = event.choices?.[0];
+    const text = choice?.delta?.content;
+    if(text){
+      result.content += text;
+      onToken(text);
+    }
+    if(choice?.finish_reason) result.finishReason = choice.finish_reason;
+    if(event.usage) result.usage = event.usage;
+    if(event.model) result.model = event.model;
+    return false;
+  };
+
+  for await (const chunk of body){
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for(const line of lines){
+      if(handle(line)) return result;
+    }
+  }
+  handle(buffer + decoder.decode());
+  return result;
+}
+
+/**
+ * `name` labels errors and results; `apiKey` may be empty for local
+ * servers that do not check it (`apiKeyOptional`).
+ */
+export function createOpenAICompatibleProvider({name, baseUrl, apiKey, apiKeyEnv, apiKeyOptional = false}){
+
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  const configError = !apiKey && !apiKeyOptional
+    ? `Missing ${apiKeyEnv} environment variable`
+    : null;
+
+  function send(payload){
+    if(configError) throw new Error(configError);
+    return fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { "Authorization": `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify(payload)
+    });
+  }
+
+  return {
+
+    name,
+    configError,
+
+    async chat({model, messages, temperature, maxTokens, responseFormat, onToken}){
+
+      const r = await send({
+        model,
+        messages,
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        ...(responseFormat ? { response_format: responseFormat } : {}),
+        ...(onToken ? { stream: true, stream_options: { include_usage: true } } : {})
+      });
+
+      // errors come back as plain JSON even when streaming was asked for
+      if(onToken && r.ok && (r.headers.get("content-type") || "").includes("text/event-stream")){
+        const streamed = await readStream(r.body, onToken, name);
+        return { ...streamed, model: streamed.model || model, provider: name };
+      }
+
+      const raw = await r.text();
+
+      let data;
+      try { data = JSON.parse(raw); }
+      catch { throw new Error(`${name} returned non-JSON (HTTP ${r.status}): ${raw.slice(0, 300)}`); }
+
+      if(data.error) throw new Error(`${name} error: ${data.error.message || JSON.stringify(data.error)}`);
+
+      return {
+        content: data?.choices?.[0]?.message?.content || "",
+        finishReason: data?.choices?.[0]?.finish_reason || null,
+        usage: data?.usage || null,
+        model: data?.model || model,
+        provider: name
+      };
+    },
+
+    // Unparsed upstream reply, for debugging provider responses.
+    async raw(payload){
+      const r = await send(payload);
+      return {
+        status: r.status,
+        contentType: r.headers.get("content-type") || "",
+        text: await r.text()
+      };
+    }
+  };
+}
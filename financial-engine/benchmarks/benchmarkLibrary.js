@@ -0,0 +1,88 @@
+import {
+  BENCHMARKS,BENCHMARK_VERSION,SOURCES,UNSOURCED_WARNING,
+  INDUSTRY_ALIASES,SEGMENT_ALIASES,REGION_ALIASES
+} from "./industryBenchmarks.js"
+
+function key(value){
+  return String(value ?? "").trim().toLowerCase()
+}
+
+function resolveIndustry(industry){
+  const k = key(industry)
+  return INDUSTRY_ALIASES[k] || (BENCHMARKS.some(b => b.industry === k) ? k : null)
+}
+
+function resolveSegment(segment, industry){
+  const k = key(segment)
+  // "qsr" as the industry also names the segment
+  return SEGMENT_ALIASES[k] || SEGMENT_ALIASES[key(industry)] || "ALL"
+}
+
+function resolveRegion(region){
+  return REGION_ALIASES[key(region)] || "ALL"
+}
+
+/**
+ * Looks up the offline benchmark for an industry / segment / region.
+ *
+ * Falls back from the exact segment+region to the segment's national
+ * figures, then to the industry-wide row. Returns null when the industry is
+ * not in the dataset.
+ *
+ * The result keeps the flat shape the rest of the engine reads
+ * (food_cost_percent, labor_percent, rent_percent, ebitda_margin) and adds
+ * `meta` with the version, what was matched and each figure's source.
+ * `meta.unsourced` (with `meta.warning`) is set when any figure has no
+ * published source — reports print it next to the figures.
+ */
+export function getBenchmark({industry, segment, region} = {}){
+
+  const ind = resolveIndustry(industry)
+  if(!ind) return null
+
+  const seg = resolveSegment(segment, industry)
+  const reg = resolveRegion(region)
+
+  const candidates = [
+    [seg, reg],
+    [seg, "ALL"],
+    ["ALL", reg],
+    ["ALL", "ALL"]
+  ]
+
+  let row = null
+  for(const [s, r] of candidates){
+    row = BENCHMARKS.find(b => b.industry === ind && b.segment === s && b.region === r)
+    if(row) break
+  }
+
+  if(!row) return null
+
+  const benchmark = {}
+  const figures = {}
+
+  Object.entries(row.figures).forEach(([metric, f])=>{
+    benchmark[metric] = f.value
+    figures[metric] = {
+      value: f.value,
+      range: f.range,
+      source: { id:f.source, ...SOURCES[f.source] }
+    }
+  })
+
+  const unsourced = Object.values(figures).some(f => f.source.unsourced)
+
+  benchmark.meta = {
+    source: "library",
+    version: BENCHMARK_VERSION,
+    industry: ind,
+    segment: row.segment,
+    region: row.region,
+    requested: { industry, segment: segment || null, region: region || null },
+    figures,
+    unsourced,
+    ...(unsourced ? { warning: UNSOURCED_WARNING } : {})
+  }
+
+  return benchmark
+}
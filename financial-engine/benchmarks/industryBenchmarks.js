@@ -0,0 +1,126 @@
+// Offline industry benchmark dataset. Bump BENCHMARK_VERSION whenever a
+// figure changes so reports can say which set they were scored against.
+//
+// Every figure is { value, range: [low, high], source } where source is a
+// key of SOURCES. Percentages are of net sales.
+//
+// The current figures are internal working assumptions, not taken from a
+// published survey: their sources are marked `unsourced`, and
+// fetchIndustryBenchmark (ai/benchmarkAI.js) keeps them out of scoring and
+// the reports. Replace a source with a real citation (title, publisher,
+// date, url, no `unsourced`) when figures are checked against one.
+
+export const BENCHMARK_VERSION = "2025.1"
+
+export const SOURCES = {
+  "placeholder-ops-2025": {
+    title: "Unsourced internal placeholder — restaurant operating ranges",
+    publisher: null,
+    compiled: "2025-01",
+    unsourced: true,
+    notes: "Working assumptions for typical US restaurant segments. Not from a " +
+      "published or verified source; indicative only."
+  },
+  "placeholder-occupancy-2025": {
+    title: "Unsourced internal placeholder — high-cost metro occupancy",
+    publisher: null,
+    compiled: "2025-01",
+    unsourced: true,
+    notes: "Working assumption of higher rent as a share of sales in high-cost " +
+      "US metros. Not from a published or verified source; indicative only."
+  }
+}
+
+export const UNSOURCED_WARNING = "Benchmark figures are unsourced internal placeholders, not published data — indicative only"
+
+const OPS = "placeholder-ops-2025"
+const OCC = "placeholder-occupancy-2025"
+
+const fig = (value, low, high, source = OPS) => ({ value, range:[low, high], source })
+
+export const BENCHMARKS = [
+
+  // ── restaurant, all segments (used when the segment is unknown) ──
+  { industry:"restaurant", segment:"ALL", region:"ALL", figures:{
+    food_cost_percent: fig(30, 28, 35),
+    labor_percent:     fig(30, 25, 35),
+    rent_percent:      fig(8, 6, 10),
+    ebitda_margin:     fig(12, 8, 18)
+  }},
+
+  // ── quick service ──
+  { industry:"restaurant", segment:"QSR", region:"ALL", figures:{
+    food_cost_percent: fig(30, 27, 33),
+    labor_percent:     fig(27, 24, 30),
+    rent_percent:      fig(7, 5, 9),
+    ebitda_margin:     fig(16, 12, 20)
+  }},
+  { industry:"restaurant", segment:"QSR", region:"US-HIGH-COST", figures:{
+    food_cost_percent: fig(30, 27, 33),
+    labor_percent:     fig(30, 27, 33),
+    rent_percent:      fig(9, 7, 12, OCC),
+    ebitda_margin:     fig(13, 9, 17)
+  }},
+
+  // ── fast casual ──
+  { industry:"restaurant", segment:"FAST_CASUAL", region:"ALL", figures:{
+    food_cost_percent: fig(30, 28, 33),
+    labor_percent:     fig(29, 26, 32),
+    rent_percent:      fig(8, 6, 10),
+    ebitda_margin:     fig(14, 10, 18)
+  }},
+  { industry:"restaurant", segment:"FAST_CASUAL", region:"US-HIGH-COST", figures:{
+    food_cost_percent: fig(30, 28, 33),
+    labor_percent:     fig(32, 29, 35),
+    rent_percent:      fig(10, 8, 13, OCC),
+    ebitda_margin:     fig(11, 7, 15)
+  }},
+
+  // ── full service ──
+  { industry:"restaurant", segment:"FULL_SERVICE", region:"ALL", figures:{
+    food_cost_percent: fig(32, 28, 36),
+    labor_percent:     fig(33, 30, 37),
+    rent_percent:      fig(8, 6, 10),
+    ebitda_margin:     fig(10, 6, 14)
+  }},
+  { industry:"restaurant", segment:"FULL_SERVICE", region:"US-HIGH-COST", figures:{
+    food_cost_percent: fig(32, 28, 36),
+    labor_percent:     fig(36, 33, 40),
+    rent_percent:      fig(10, 8, 13, OCC),
+    ebitda_margin:     fig(7, 4, 11)
+  }}
+]
+
+// Free-text names callers send → dataset keys.
+export const INDUSTRY_ALIASES = {
+  restaurant: "restaurant",
+  restaurants: "restaurant",
+  "food service": "restaurant",
+  foodservice: "restaurant",
+  hospitality: "restaurant",
+  qsr: "restaurant"
+}
+
+export const SEGMENT_ALIASES = {
+  qsr: "QSR",
+  "quick service": "QSR",
+  "fast food": "QSR",
+  "fast casual": "FAST_CASUAL",
+  fast_casual: "FAST_CASUAL",
+  "full service": "FULL_SERVICE",
+  full_service: "FULL_SERVICE",
+  "casual dining": "FULL_SERVICE",
+  "fine dining": "FULL_SERVICE",
+  fsr: "FULL_SERVICE"
+}
+
+export const REGION_ALIASES = {
+  "us-high-cost": "US-HIGH-COST",
+  "high cost": "US-HIGH-COST",
+  "california": "US-HIGH-COST",
+  "new york": "US-HIGH-COST",
+  "nyc": "US-HIGH-COST",
+  "san francisco": "US-HIGH-COST",
+  "seattle": "US-HIGH-COST",
+  "boston": "US-HIGH-COST"
+}
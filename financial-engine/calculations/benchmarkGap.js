@@ -0,0 +1,93 @@
+// Deterministic scoring of each store against the industry benchmark.
+//
+// gapPts is actual − benchmark in percentage points. gapDollars converts
+// the adverse part of that gap into dollars at the store's own sales, so it
+// is always "money left on the table": positive = worse than benchmark.
+
+export const GAP_METRICS = [
+  { key:"foodCost",     label:"Food Cost %",     benchmark:"food_cost_percent", better:"low",  weight:0.30,
+    actual: s => s.pnl.cogs.pctOfSales },
+  { key:"labor",        label:"Labor %",         benchmark:"labor_percent",     better:"low",  weight:0.30,
+    actual: s => s.pnl.labor.pctOfSales },
+  { key:"rent",         label:"Rent %",          benchmark:"rent_percent",      better:"low",  weight:0.15,
+    actual: s => s.revenue === 0 ? 0 : ((s.amounts?.occupancy || 0) / s.revenue) * 100 },
+  { key:"ebitdaMargin", label:"EBITDA Margin %", benchmark:"ebitda_margin",     better:"high", weight:0.25,
+    actual: s => s.ebitdaMargin }
+]
+
+// Adverse points at or under green → green, at or under amber → amber.
+const DEFAULT_THRESHOLDS = { green:1, amber:3 }
+
+// Each adverse point costs this much of a metric's 0–100 score.
+const POINTS_PENALTY = 10
+
+const STATUS_ORDER = ["green","amber","red"]
+
+function scoreMetric(metric, store, benchmarkValue, thresholds){
+
+  const actual = metric.actual(store)
+  const gapPts = actual - benchmarkValue
+  const adversePts = Math.max(0, metric.better === "low" ? gapPts : -gapPts)
+
+  const status =
+    adversePts <= thresholds.green ? "green" :
+    adversePts <= thresholds.amber ? "amber" : "red"
+
+  return {
+    label: metric.label,
+    actual,
+    benchmark: benchmarkValue,
+    gapPts,
+    gapDollars: (adversePts / 100) * store.revenue,
+    status,
+    score: Math.max(0, 100 - adversePts * POINTS_PENALTY)
+  }
+}
+
+function scoreStore(store, benchmark, thresholds){
+
+  const metrics = {}
+  let weighted = 0
+  let weights = 0
+
+  GAP_METRICS.forEach(metric=>{
+    const value = benchmark[metric.benchmark]
+    if(typeof value !== "number") return
+    metrics[metric.key] = scoreMetric(metric, store, value, thresholds)
+    weighted += metrics[metric.key].score * metric.weight
+    weights += metric.weight
+  })
+
+  const statuses = Object.values(metrics).map(m => m.status)
+
+  return {
+    metrics,
+    healthScore: weights === 0 ? null : Math.round(weighted / weights),
+    status: statuses.length ? STATUS_ORDER[Math.max(...statuses.map(s => STATUS_ORDER.indexOf(s)))] : null,
+    totalGapDollars: Object.values(metrics).reduce((t, m) => t + m.gapDollars, 0)
+  }
+}
+
+/**
+ * Scores every store and the consolidated total against the benchmark.
+ * Stores without sales are skipped. Returns null without a benchmark.
+ */
+export function scoreBenchmarkGaps(summary, benchmark, {thresholds = DEFAULT_THRESHOLDS} = {}){
+
+  if(!benchmark) return null
+
+  const stores = {}
+
+  Object.entries(summary.stores).forEach(([name, s])=>{
+    if(s.revenue === 0) return
+    stores[name] = scoreStore(s, benchmark, thresholds)
+  })
+
+  return {
+    benchmarkVersion: benchmark.meta?.version || null,
+    benchmarkSource: benchmark.meta?.source || null,
+    thresholds,
+    stores,
+    consolidated: scoreStore(summary.consolidated, benchmark, thresholds)
+  }
+}
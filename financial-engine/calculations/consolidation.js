@@ -1,20 +1,35 @@
-export function buildKPI(summary){
+import {buildCompSales} from "./storeMaturity.js"
+import {buildLeagueTables} from "./leagueTables.js"
+import {buildStoreRollups} from "../stores/storeRegistry.js"
 
-  const list = Object.entries(summary.stores)
+// `maturity` is the classifyStores() result; when given, the KPIs include
+// comp / non-comp splits and same-store sales growth. `registry` (a store
+// master) adds per-sq-ft / per-seat KPIs and district and region rollups.
+export function buildKPI(summary, {maturity, registry} = {}){
 
-  const sorted = list.sort(
-    (a,b)=> b[1].ebitdaMargin - a[1].ebitdaMargin
-  )
+  const list = Object.entries(summary.stores || {})
+
+  const leagueTables = buildLeagueTables(summary)
+
+  // best / worst by EBITDA margin among stores that had sales
+  const byMargin = leagueTables.ebitdaMargin.rows.filter(r => r.rank !== null)
+  const best = byMargin[0]
+  const worst = byMargin[byMargin.length-1]
 
   return {
-    bestStore:{
-      store:sorted[0][0],
-      margin:sorted[0][1].ebitdaMargin
-    },
-    worstStore:{
-      store:sorted[sorted.length-1][0],
-      margin:sorted[sorted.length-1][1].ebitdaMargin
-    },
-    consolidated: summary.consolidated
+    storeCount: list.length,
+    bestStore: best ? {
+      store:best.store,
+      margin:best.value
+    } : null,
+    worstStore: worst ? {
+      store:worst.store,
+      margin:worst.value
+    } : null,
+    leagueTables,
+    consolidated: summary.consolidated,
+    storeMaturity: maturity ? maturity.stores : null,
+    compSales: maturity ? buildCompSales(summary, maturity) : null,
+    storeRollups: registry?.size ? buildStoreRollups(summary, registry) : null
   }
 }
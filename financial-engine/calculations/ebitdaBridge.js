@@ -0,0 +1,46 @@
+// EBITDA bridge: walks from a starting EBITDA (budget or prior year) to the
+// actual one through the change in each line above EBITDA. Steps are signed
+// so that positive always helps EBITDA.
+
+const BRIDGE_LINES = ["sales","cogs","labor","controllableExpenses","occupancy"]
+const COST_LINES = ["cogs","labor","controllableExpenses","occupancy"]
+
+function bridge(pnl, basePnL, baseLabel){
+
+  const steps = BRIDGE_LINES.map(key=>{
+    const actual = pnl[key]?.amount || 0
+    const base = basePnL[key]?.amount || 0
+    return {
+      key,
+      label: pnl[key]?.label || key,
+      value: COST_LINES.includes(key) ? base - actual : actual - base
+    }
+  })
+
+  return {
+    base: { label: baseLabel, value: basePnL.ebitda?.amount || 0 },
+    steps,
+    end: { label: "Actual EBITDA", value: pnl.ebitda.amount }
+  }
+}
+
+/**
+ * Consolidated bridge against the budget when computeVariances() ran,
+ * otherwise against the prior year. Null when there is neither.
+ */
+export function buildEbitdaBridge(summary, variance){
+
+  const pnl = summary.consolidated.pnl
+
+  if(variance){
+    const budgetPnL = Object.fromEntries(
+      Object.entries(variance.consolidated).map(([key, v]) => [key, { amount: v.budget }])
+    )
+    return { against: "budget", ...bridge(pnl, budgetPnL, "Budget EBITDA") }
+  }
+
+  const priorPnL = summary.consolidated.pnlPrior
+  if(!priorPnL) return null
+
+  return { against: "priorYear", ...bridge(pnl, priorPnL, "Prior-year EBITDA") }
+}
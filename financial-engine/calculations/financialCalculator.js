@@ -1,67 +1,87 @@
-export function calculateFinancials(data){
-
-  const stores = data.stores
-
-  const result = {
-    stores:{},
-    consolidated:{
-      revenue:0,
-      expense:0,
-      ebitda:0,
-      ebitdaMargin:0
-    }
+import {buildPnL} from "./pnlHierarchy.js"
+import {
+  buildTimeline,selectView,resolveView,
+  sumPeriods,sumPeriodsAllStores,buildTrend,buildRollups
+} from "./periodEngine.js"
+
+// Headline figures kept alongside the full ladder for KPI and report code.
+function headline(pnl, revenueLY){
+
+  const revenue = pnl.sales.amount
+  const ebitda = pnl.ebitda.amount
+
+  return {
+    revenue,
+    revenueLY,
+    expense: revenue - ebitda,
+    ebitda,
+    yoyGrowth:
+      revenueLY === 0 ? 0 :
+      ((revenue - revenueLY) / revenueLY) * 100,
+    ebitdaMargin: pnl.ebitda.pctOfSales
   }
+}
 
-  Object.keys(stores).forEach(store=>{
-
-    const years = Object.keys(stores[store])
-    if(years.length < 2) return
-
-    const currentYear = Math.max(...years)
-    const previousYear = Math.min(...years)
-
-    const current = stores[store][currentYear]
-    const previous = stores[store][previousYear]
+// Works on the canonical model (see model/financialModel.js).
+//
+// `view` (MTD, QTD, YTD, T12 — usually from detectPeriodFromPrompt) picks
+// the periods summed into each store's figures, anchored at the latest
+// period; the same view one fiscal year earlier drives revenueLY and
+// yoyGrowth. `calendar` forces monthly / 445 / 13period instead of
+// detecting it. `scope` decides how far down the P&L ladder each `pnl`
+// goes: EBITDA and NET_PROFIT end at that line, FULL is the whole ladder.
+export function calculateFinancials(model, {scope = "FULL", view = "MTD", calendar} = {}){
 
-    const revenue = current.revenue || 0
+  const timeline = buildTimeline(model, {calendar})
+  const selection = selectView(timeline, resolveView(view))
 
-    const expense =
-      (current.cogs || 0) +
-      (current.payroll || 0) +
-      (current.rent || 0) +
-      (current.utilities || 0) +
-      (current.repairs || 0) +
-      (current.franchise || 0)
+  const currentKeys = selection.current.periods
+  const priorKeys = selection.comparison?.periods || []
+  const previousKeys = selection.previous?.periods || []
 
-    const ebitda = revenue - expense
+  const result = {
+    source: model.source,
+    scope,
+    period:{
+      ...selection,
+      calendar: timeline.calendar.name,
+      granularity: timeline.granularity,
+      excluded: timeline.excluded
+    },
+    stores:{},
+    consolidated:{}
+  }
 
-    const revenueLY = previous.revenue || 0
+  Object.keys(model.stores).forEach(store=>{
 
-    const yoyGrowth =
-      revenueLY === 0 ? 0 :
-      ((revenue - revenueLY) / revenueLY) * 100
+    const current = sumPeriods(model, store, currentKeys)
+    const previous = sumPeriods(model, store, priorKeys)
 
-    const ebitdaMargin =
-      revenue === 0 ? 0 :
-      (ebitda / revenue) * 100
+    const pnl = buildPnL(current, scope)
 
     result.stores[store] = {
-      revenue,
-      revenueLY,
-      expense,
-      ebitda,
-      yoyGrowth,
-      ebitdaMargin
+      ...headline(pnl, previous.revenue || 0),
+      pnl,
+      amounts: current,
+      pnlPrior: priorKeys.length ? buildPnL(previous, scope) : null,
+      // the view as of the period before (league table rank changes)
+      pnlPrevious: previousKeys.length ? buildPnL(sumPeriods(model, store, previousKeys), scope) : null
     }
 
-    result.consolidated.revenue += revenue
-    result.consolidated.expense += expense
-    result.consolidated.ebitda += ebitda
-
   })
 
-  result.consolidated.ebitdaMargin =
-    (result.consolidated.ebitda / result.consolidated.revenue) * 100
+  const consolidatedAmounts = sumPeriodsAllStores(model, currentKeys)
+  const consolidatedPnL = buildPnL(consolidatedAmounts, scope)
+
+  result.consolidated = {
+    ...headline(consolidatedPnL, sumPeriodsAllStores(model, priorKeys).revenue || 0),
+    pnl: consolidatedPnL,
+    amounts: consolidatedAmounts,
+    pnlPrior: priorKeys.length ? buildPnL(sumPeriodsAllStores(model, priorKeys), scope) : null
+  }
+
+  result.rollups = buildRollups(model, timeline, scope)
+  result.trend = buildTrend(model, timeline, scope)
 
   return result
 }
@@ -0,0 +1,96 @@
+// Store league tables for operations reviews. Each metric is read from a
+// store's summary entry; `prior` reads it from the store's P&L as of the
+// immediately preceding period (pnlPrevious), for rank changes. `better`
+// says which direction ranks first.
+export const LEAGUE_METRICS = [
+  { key:"revenue",      label:"Revenue",         better:"high",
+    value: s => s.revenue,
+    prior: s => s.pnlPrevious ? s.pnlPrevious.sales.amount : null },
+  { key:"yoyGrowth",    label:"YoY Growth %",    better:"high",
+    value: s => s.revenueLY === 0 ? null : s.yoyGrowth,
+    prior: () => null },
+  { key:"foodCostPct",  label:"Food Cost %",     better:"low",
+    value: s => s.revenue === 0 ? null : s.pnl.cogs.pctOfSales,
+    prior: s => s.pnlPrevious && s.pnlPrevious.sales.amount !== 0 ? s.pnlPrevious.cogs.pctOfSales : null },
+  { key:"laborPct",     label:"Labor %",         better:"low",
+    value: s => s.revenue === 0 ? null : s.pnl.labor.pctOfSales,
+    prior: s => s.pnlPrevious && s.pnlPrevious.sales.amount !== 0 ? s.pnlPrevious.labor.pctOfSales : null },
+  { key:"ebitdaMargin", label:"EBITDA Margin %", better:"high",
+    value: s => s.revenue === 0 ? null : s.ebitdaMargin,
+    prior: s => s.pnlPrevious && s.pnlPrevious.sales.amount !== 0 ? s.pnlPrevious.ebitda.pctOfSales : null }
+]
+
+// Competition ranking ("1224"): equal values share a rank. Stores with no
+// value (e.g. no sales) are left unranked.
+function rank(entries, better){
+
+  const ranked = entries
+    .filter(e => e.value !== null && Number.isFinite(e.value))
+    .sort((a,b) => better === "high" ? b.value - a.value : a.value - b.value)
+
+  const ranks = new Map()
+
+  ranked.forEach((e,i)=>{
+    const prev = ranked[i - 1]
+    ranks.set(e.store, prev && prev.value === e.value ? ranks.get(prev.store) : i + 1)
+  })
+
+  return ranks
+}
+
+// 1 = top quartile … 4 = bottom quartile.
+function quartile(position, count){
+  return Math.floor(((position - 1) / count) * 4) + 1
+}
+
+function buildTable(metric, stores){
+
+  const current = Object.entries(stores).map(([store, s]) => ({ store, value: metric.value(s) }))
+  const prior = Object.entries(stores).map(([store, s]) => ({ store, value: metric.prior(s) }))
+
+  const ranks = rank(current, metric.better)
+  const priorRanks = rank(prior, metric.better)
+  const rankedCount = ranks.size
+
+  const rows = current
+    .map(({store, value})=>{
+
+      const r = ranks.get(store) ?? null
+      const priorRank = priorRanks.get(store) ?? null
+
+      return {
+        rank: r,
+        store,
+        value,
+        quartile: r === null ? null : quartile(r, rankedCount),
+        priorRank,
+        // positive = moved up the table
+        rankChange: r === null || priorRank === null ? null : priorRank - r
+      }
+    })
+    .sort((a,b) => (a.rank ?? Infinity) - (b.rank ?? Infinity))
+
+  return {
+    metric: metric.key,
+    label: metric.label,
+    better: metric.better,
+    rankedCount,
+    rows
+  }
+}
+
+/**
+ * League tables for every metric in LEAGUE_METRICS. Rank changes compare
+ * with the ranks as of the immediately preceding period (the summary's
+ * period.previous); YoY growth has no prior rank.
+ */
+export function buildLeagueTables(summary){
+
+  const tables = {}
+
+  LEAGUE_METRICS.forEach(metric=>{
+    tables[metric.key] = buildTable(metric, summary.stores || {})
+  })
+
+  return tables
+}
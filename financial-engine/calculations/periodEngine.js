@@ -0,0 +1,232 @@
+import {CATEGORIES,getAmounts} from "../model/financialModel.js"
+import {buildPnL,pnlLinesForScope} from "./pnlHierarchy.js"
+import {parsePeriodLabel,resolveCalendar,quarterOf,weeksIn} from "../utils/fiscalCalendar.js"
+
+export const PERIOD_VIEWS = ["MTD","QTD","YTD","T12"]
+
+// detectPeriodFromPrompt() can also return YEAR — the fiscal year to date.
+const VIEW_ALIASES = { YEAR:"YTD" }
+
+export function resolveView(view){
+  const v = String(view || "").toUpperCase()
+  return VIEW_ALIASES[v] || (PERIOD_VIEWS.includes(v) ? v : "MTD")
+}
+
+/**
+ * Orders the model's periods on a fiscal timeline. Each entry gets
+ * { key, fiscalYear, index, abs } where abs is a running period number used
+ * for "N periods back" arithmetic. Labels with no year are assigned
+ * relative years in file order (a new year starts when the index resets).
+ * Columns that are not periods ("Total") are dropped when the rest parse.
+ */
+export function buildTimeline(model, {calendar} = {}){
+
+  const parsed = model.periods.map(key => ({ key, ...parsePeriodLabel(key) }))
+  const known = parsed.filter(p => p.granularity !== "unknown")
+
+  const usable = known.length ? known : parsed
+  const excluded = known.length ? parsed.filter(p => p.granularity === "unknown").map(p => p.key) : []
+
+  const granularity = usable[0]?.granularity || "unknown"
+  const cal = resolveCalendar(calendar, usable)
+  const perYear = granularity === "year" ? 1 : cal.periodsPerYear
+
+  if(granularity === "unknown"){
+    usable.forEach((p,i)=>{ p.fiscalYear = 0; p.index = i + 1; p.abs = i })
+    return { calendar:cal, granularity, periodsPerYear:perYear, periods:usable, excluded }
+  }
+
+  let year = 0
+  let last = null
+
+  usable.forEach(p=>{
+    if(p.fiscalYear !== null) return
+    if(last !== null && p.index <= last) year++
+    p.fiscalYear = year
+    p.relativeYear = true
+    last = p.index
+  })
+
+  usable.forEach(p => { p.abs = p.fiscalYear * perYear + (p.index - 1) })
+  usable.sort((a,b) => a.abs - b.abs)
+
+  return { calendar:cal, granularity, periodsPerYear:perYear, periods:usable, excluded }
+}
+
+// Keys of the periods making up `view`, anchored at { fiscalYear, index }.
+// T12 is the trailing fiscal year: 12 periods, or 13 on a 13-period calendar.
+function selectPeriods(timeline, view, anchor){
+
+  const {periods, granularity, calendar, periodsPerYear} = timeline
+  const anchorAbs = anchor.fiscalYear * periodsPerYear + (anchor.index - 1)
+
+  // annual data, or labels we could not place on a calendar: every view
+  // is just the anchor period itself
+  if(granularity === "year" || granularity === "unknown" || view === "MTD")
+    return periods.filter(p => p.abs === anchorAbs).map(p => p.key)
+
+  if(view === "T12")
+    return periods
+      .filter(p => p.abs <= anchorAbs && p.abs > anchorAbs - periodsPerYear)
+      .map(p => p.key)
+
+  const sameYear = periods.filter(p => p.fiscalYear === anchor.fiscalYear && p.index <= anchor.index)
+
+  if(view === "QTD"){
+    const q = quarterOf(calendar, anchor.index)
+    return sameYear.filter(p => quarterOf(calendar, p.index) === q).map(p => p.key)
+  }
+
+  return sameYear.map(p => p.key)
+}
+
+function describeSelection(timeline, keys){
+  const indexes = timeline.periods.filter(p => keys.includes(p.key)).map(p => p.index)
+  return {
+    periods: keys,
+    weeks: timeline.granularity === "year" ? null : weeksIn(timeline.calendar, indexes)
+  }
+}
+
+/**
+ * Current and prior-year period keys for a view, anchored at the latest
+ * period. comparison is null unless the file has prior-year data for every
+ * period in the current selection — a partial year is not comparable.
+ * previous is the same view as of the period before the latest (last
+ * month's MTD, QTD as it stood a period ago…); null with a single period.
+ */
+export function selectView(timeline, view){
+
+  const latest = timeline.periods[timeline.periods.length - 1]
+  if(!latest) return { view, latest:null, current:describeSelection(timeline, []), comparison:null, previous:null }
+
+  const current = selectPeriods(timeline, view, latest)
+
+  const prior = timeline.granularity === "unknown" ? [] :
+    selectPeriods(timeline, view, { fiscalYear: latest.fiscalYear - 1, index: latest.index })
+
+  const before = timeline.periods[timeline.periods.length - 2]
+  const previous = before ? selectPeriods(timeline, view, before) : []
+
+  return {
+    view,
+    latest: latest.key,
+    current: describeSelection(timeline, current),
+    comparison: prior.length && prior.length === current.length ?
+      describeSelection(timeline, prior) : null,
+    previous: previous.length ? describeSelection(timeline, previous) : null
+  }
+}
+
+// Category amounts for one store summed across period keys.
+export function sumPeriods(model, store, keys){
+
+  const total = {}
+
+  keys.forEach(key=>{
+    const amounts = getAmounts(model, store, key)
+    CATEGORIES.forEach(c=>{
+      if(amounts[c]) total[c] = (total[c] || 0) + amounts[c]
+    })
+  })
+
+  return total
+}
+
+// Same, across every store.
+export function sumPeriodsAllStores(model, keys){
+
+  const total = {}
+
+  Object.keys(model.stores).forEach(store=>{
+    const amounts = sumPeriods(model, store, keys)
+    CATEGORIES.forEach(c=>{
+      if(amounts[c]) total[c] = (total[c] || 0) + amounts[c]
+    })
+  })
+
+  return total
+}
+
+function delta(amount, base){
+  if(base === undefined) return { change:null, changePct:null }
+  return {
+    change: amount - base,
+    changePct: base === 0 ? null : ((amount - base) / Math.abs(base)) * 100
+  }
+}
+
+// Per-line series with period-over-period ("mom") and year-over-year
+// deltas. For annual data mom is null and yoy compares consecutive years.
+function lineSeries(timeline, amountsByKey, scope){
+
+  const byAbs = new Map(timeline.periods.map(p => [p.abs, p]))
+  const pnls = {}
+  timeline.periods.forEach(p => { pnls[p.key] = buildPnL(amountsByKey(p.key), scope) })
+
+  const lines = {}
+
+  pnlLinesForScope(scope).forEach(line=>{
+
+    lines[line.key] = timeline.periods.map(p=>{
+
+      const amount = pnls[p.key][line.key].amount
+      const prev = timeline.granularity === "year" ? null : byAbs.get(p.abs - 1)
+      const lastYear = timeline.granularity === "unknown" ? null : byAbs.get(p.abs - timeline.periodsPerYear)
+
+      const mom = delta(amount, prev ? pnls[prev.key][line.key].amount : undefined)
+      const yoy = delta(amount, lastYear ? pnls[lastYear.key][line.key].amount : undefined)
+
+      return {
+        period: p.key,
+        amount,
+        pctOfSales: pnls[p.key][line.key].pctOfSales,
+        mom: mom.change,
+        momPct: mom.changePct,
+        yoy: yoy.change,
+        yoyPct: yoy.changePct
+      }
+    })
+  })
+
+  return lines
+}
+
+/**
+ * Trend of every P&L line across the timeline, per store and consolidated.
+ */
+export function buildTrend(model, timeline, scope = "FULL"){
+
+  const stores = {}
+
+  Object.keys(model.stores).forEach(store=>{
+    stores[store] = lineSeries(timeline, key => sumPeriods(model, store, [key]), scope)
+  })
+
+  return {
+    periods: timeline.periods.map(p => p.key),
+    stores,
+    consolidated: lineSeries(timeline, key => sumPeriodsAllStores(model, [key]), scope)
+  }
+}
+
+/**
+ * Consolidated MTD / QTD / YTD / T12 rollups at the latest period, each
+ * with its prior-year equivalent when the file has one.
+ */
+export function buildRollups(model, timeline, scope = "FULL"){
+
+  const rollups = {}
+
+  PERIOD_VIEWS.forEach(view=>{
+    const selection = selectView(timeline, view)
+    rollups[view] = {
+      ...selection,
+      pnl: buildPnL(sumPeriodsAllStores(model, selection.current.periods), scope),
+      pnlPrior: selection.comparison ?
+        buildPnL(sumPeriodsAllStores(model, selection.comparison.periods), scope) : null
+    }
+  })
+
+  return rollups
+}
@@ -0,0 +1,88 @@
+import {sumCategories} from "../model/financialModel.js"
+
+// Restaurant P&L ladder, top to bottom. Cost lines sum model categories;
+// profit lines are derived from the lines above them. SCOPE_LAST_LINE marks
+// the last line shown for each analysis scope (see utils/promptAnalyzer.js).
+export const PNL_LINES = [
+  { key:"sales",                label:"Sales",                    type:"revenue", categories:["revenue"] },
+  { key:"cogs",                 label:"Cost of Goods Sold",       type:"cost",    categories:["cogs"] },
+  { key:"grossProfit",          label:"Gross Profit",             type:"profit" },
+  { key:"labor",                label:"Labor",                    type:"cost",    categories:["payroll"] },
+  { key:"primeCost",            label:"Prime Cost",               type:"cost" },
+  { key:"controllableExpenses", label:"Controllable Expenses",    type:"cost",    categories:["utilities","repairs","marketing","otherExpense"] },
+  { key:"controllableProfit",   label:"Controllable Profit",      type:"profit" },
+  { key:"occupancy",            label:"Occupancy & Royalties",    type:"cost",    categories:["occupancy","franchise"] },
+  { key:"ebitda",               label:"EBITDA",                   type:"profit" },
+  { key:"otherIncome",          label:"Other Income",             type:"revenue", categories:["otherIncome"] },
+  { key:"depreciation",         label:"Depreciation & Amortization", type:"cost", categories:["depreciation"] },
+  { key:"interest",             label:"Interest",                 type:"cost",    categories:["interest"] },
+  { key:"tax",                  label:"Taxes",                    type:"cost",    categories:["tax"] },
+  { key:"netProfit",            label:"Net Profit",               type:"profit" }
+]
+
+// How each subtotal is built from lines above it: line key → sign. Used by
+// computeAmounts() here and by the Excel export to write live formulas.
+export const DERIVED_LINES = {
+  grossProfit:        { sales:1, cogs:-1 },
+  primeCost:          { cogs:1, labor:1 },
+  controllableProfit: { grossProfit:1, labor:-1, controllableExpenses:-1 },
+  ebitda:             { controllableProfit:1, occupancy:-1 },
+  netProfit:          { ebitda:1, otherIncome:1, depreciation:-1, interest:-1, tax:-1 }
+}
+
+// Last ladder line per scope. EBITDA stops above other income and the
+// below-the-line costs; NET_PROFIT ends at the net-profit line. FULL is
+// every line of the ladder — today that also ends at net profit, but it
+// follows any line added below it. Unknown scopes read as FULL.
+const SCOPE_LAST_LINE = {
+  EBITDA: "ebitda",
+  NET_PROFIT: "netProfit",
+  FULL: PNL_LINES[PNL_LINES.length - 1].key
+}
+
+export function pnlLinesForScope(scope = "FULL"){
+  const last = SCOPE_LAST_LINE[scope] || SCOPE_LAST_LINE.FULL
+  const end = PNL_LINES.findIndex(l => l.key === last)
+  return PNL_LINES.slice(0, end + 1)
+}
+
+function pct(amount, sales){
+  return sales === 0 ? 0 : (amount / sales) * 100
+}
+
+// Computes every ladder amount from a category → amount map.
+function computeAmounts(amounts){
+
+  const v = {}
+
+  PNL_LINES.forEach(line=>{
+    if(line.categories) v[line.key] = sumCategories(amounts, line.categories)
+  })
+
+  Object.entries(DERIVED_LINES).forEach(([key, terms])=>{
+    v[key] = Object.entries(terms).reduce((t, [line, sign]) => t + sign * v[line], 0)
+  })
+
+  return v
+}
+
+/**
+ * Builds the P&L ladder for one store (or the consolidated total) from its
+ * category amounts. Returns { [lineKey]: { label, amount, pctOfSales } } for
+ * the lines in the requested scope, in ladder order.
+ */
+export function buildPnL(amounts, scope = "FULL"){
+
+  const values = computeAmounts(amounts)
+  const pnl = {}
+
+  pnlLinesForScope(scope).forEach(line=>{
+    pnl[line.key] = {
+      label: line.label,
+      amount: values[line.key],
+      pctOfSales: pct(values[line.key], values.sales)
+    }
+  })
+
+  return pnl
+}
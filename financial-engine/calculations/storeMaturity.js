@@ -0,0 +1,167 @@
+import {getAmounts} from "../model/financialModel.js"
+import {CALENDARS,periodEndDate} from "../utils/fiscalCalendar.js"
+
+// Restaurants are usually treated as comparable once open 18 months.
+const DEFAULT_COMP_MONTHS = 18
+
+export const STORE_STATUS = {
+  COMP: "comp",
+  NEW: "new",
+  CLOSED: "closed",
+  UNCLASSIFIED: "unclassified"
+}
+
+function monthsBetween(from, to){
+  return (to.getFullYear() - from.getFullYear()) * 12 +
+    (to.getMonth() - from.getMonth()) -
+    (to.getDate() < from.getDate() ? 1 : 0)
+}
+
+function parseDate(value){
+  if(!value) return null
+  const d = new Date(value)
+  return isNaN(d.getTime()) ? null : d
+}
+
+function classifyByDates({openDate, closeDate}, asOf, compMonths){
+
+  const opened = parseDate(openDate)
+  const closed = parseDate(closeDate)
+
+  if(closed && closed <= asOf)
+    return { status:STORE_STATUS.CLOSED, basis:"dates", closeDate }
+
+  if(!opened) return null
+
+  const monthsOpen = monthsBetween(opened, asOf)
+
+  return {
+    status: monthsOpen >= compMonths ? STORE_STATUS.COMP : STORE_STATUS.NEW,
+    basis:"dates",
+    openDate,
+    monthsOpen
+  }
+}
+
+// Without dates, a store is comp when it has sales in every period of both
+// the current and the comparison selection. No sales in the last current
+// period makes it closed; no sales in the first one (it opened during the
+// window) or missing comparison periods make it new. A gap in the middle
+// of the window (e.g. a remodel) leaves it unclassified — not comparable,
+// but not new or closed either.
+function classifyByData(model, store, currentKeys, priorKeys){
+
+  const hasSales = k => (getAmounts(model, store, k).revenue || 0) !== 0
+  const traded = keys => keys.filter(hasSales).length
+
+  const current = traded(currentKeys)
+  const prior = traded(priorKeys)
+
+  let status = STORE_STATUS.COMP
+  if(!hasSales(currentKeys[currentKeys.length - 1])) status = STORE_STATUS.CLOSED
+  else if(!hasSales(currentKeys[0]) || prior < priorKeys.length) status = STORE_STATUS.NEW
+  else if(current < currentKeys.length) status = STORE_STATUS.UNCLASSIFIED
+
+  return {
+    status,
+    basis:"periods",
+    periodsWithData: current + prior,
+    periodsExpected: currentKeys.length + priorKeys.length
+  }
+}
+
+/**
+ * Classifies every store in the summary as comp, new or closed.
+ *
+ * Open/close dates (storeDates[store] = { openDate, closeDate }) win when
+ * given; other stores are classified from which periods carry sales. With
+ * no comparison period in the file nothing can be comp and every store is
+ * "unclassified".
+ *
+ * Dates are judged as of `asOfDate`, by default the end of the latest
+ * period in the file (today only when that period has no year), so a
+ * historical file is classified as it stood then.
+ */
+export function classifyStores(model, summary, {
+  storeDates = {},
+  asOfDate,
+  compThresholdMonths = DEFAULT_COMP_MONTHS
+} = {}){
+
+  const dataEnd = periodEndDate(summary.period.latest, CALENDARS[summary.period.calendar])
+  const asOf = parseDate(asOfDate) || dataEnd || new Date()
+  const currentKeys = summary.period.current.periods
+  const priorKeys = summary.period.comparison?.periods || []
+
+  const stores = {}
+
+  Object.keys(summary.stores).forEach(store=>{
+
+    const byDates = storeDates[store] ?
+      classifyByDates(storeDates[store], asOf, compThresholdMonths) : null
+
+    if(byDates){
+      stores[store] = byDates
+      return
+    }
+
+    stores[store] = priorKeys.length ?
+      classifyByData(model, store, currentKeys, priorKeys) :
+      { status:STORE_STATUS.UNCLASSIFIED, basis:"none" }
+  })
+
+  return {
+    asOfDate: asOf.toISOString().slice(0,10),
+    asOfBasis: parseDate(asOfDate) ? "request" : dataEnd ? "data" : "today",
+    compThresholdMonths,
+    stores
+  }
+}
+
+function totals(entries){
+
+  const t = entries.reduce((acc, [, s])=>{
+    acc.revenue += s.revenue
+    acc.revenueLY += s.revenueLY
+    acc.ebitda += s.ebitda
+    return acc
+  }, { storeCount:entries.length, revenue:0, revenueLY:0, ebitda:0 })
+
+  t.ebitdaMargin = t.revenue === 0 ? 0 : (t.ebitda / t.revenue) * 100
+
+  return t
+}
+
+/**
+ * Comparable-store sales growth, new-store contribution and consolidated
+ * totals split between comp and non-comp stores.
+ */
+export function buildCompSales(summary, classification){
+
+  const entries = Object.entries(summary.stores)
+  const statusOf = store => classification.stores[store]?.status
+
+  const comp = totals(entries.filter(([store]) => statusOf(store) === STORE_STATUS.COMP))
+  const nonComp = totals(entries.filter(([store]) => statusOf(store) !== STORE_STATUS.COMP))
+  const newStores = totals(entries.filter(([store]) => statusOf(store) === STORE_STATUS.NEW))
+  const closedStores = totals(entries.filter(([store]) => statusOf(store) === STORE_STATUS.CLOSED))
+
+  const totalRevenue = comp.revenue + nonComp.revenue
+
+  return {
+    sameStoreSalesGrowth:
+      comp.revenueLY === 0 ? null :
+      ((comp.revenue - comp.revenueLY) / comp.revenueLY) * 100,
+    newStoreContribution:{
+      revenue: newStores.revenue,
+      pctOfRevenue: totalRevenue === 0 ? 0 : (newStores.revenue / totalRevenue) * 100,
+      storeCount: newStores.storeCount
+    },
+    closedStores:{
+      revenue: closedStores.revenue,
+      revenueLY: closedStores.revenueLY,
+      storeCount: closedStores.storeCount
+    },
+    consolidated:{ comp, nonComp }
+  }
+}
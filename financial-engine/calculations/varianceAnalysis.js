@@ -0,0 +1,103 @@
+import {PNL_LINES,buildPnL} from "./pnlHierarchy.js"
+import {buildTimeline,selectView,sumPeriods,sumPeriodsAllStores} from "./periodEngine.js"
+
+const LINE_TYPES = Object.fromEntries(PNL_LINES.map(l => [l.key, l.type]))
+
+// Lines read straight from the ledger (not derived subtotals such as Prime
+// Cost or Gross Profit) — these are the variance drivers.
+const DRIVER_LINES = PNL_LINES.filter(l => l.categories).map(l => l.key)
+
+const LARGEST_COUNT = 10
+
+/**
+ * Sums the budget model over the same periods as the actuals summary. When
+ * the budget uses different period labels, falls back to the same view
+ * anchored at the budget's own latest period (`aligned: false`).
+ */
+export function buildBudgetSummary(budgetModel, actualSummary, {calendar} = {}){
+
+  const wanted = actualSummary.period.current.periods
+  const aligned = wanted.length > 0 && wanted.every(k => budgetModel.periods.includes(k))
+
+  const keys = aligned ? wanted :
+    selectView(buildTimeline(budgetModel, {calendar}), actualSummary.period.view).current.periods
+
+  const stores = {}
+
+  Object.keys(budgetModel.stores).forEach(store=>{
+    stores[store] = buildPnL(sumPeriods(budgetModel, store, keys), actualSummary.scope)
+  })
+
+  return {
+    periods: keys,
+    aligned,
+    stores,
+    consolidated: buildPnL(sumPeriodsAllStores(budgetModel, keys), actualSummary.scope)
+  }
+}
+
+// Variance is signed so that positive is always favorable: actual − budget
+// for revenue and profit lines, budget − actual for cost lines.
+function lineVariance(key, label, actual, budget){
+
+  const isCost = LINE_TYPES[key] === "cost"
+  const variance = isCost ? budget - actual : actual - budget
+
+  return {
+    line: key,
+    label,
+    actual,
+    budget,
+    variance,
+    variancePct: budget === 0 ? null : (variance / Math.abs(budget)) * 100,
+    favorable: variance >= 0
+  }
+}
+
+function comparePnL(actualPnL, budgetPnL){
+
+  const lines = {}
+
+  Object.entries(actualPnL).forEach(([key, line])=>{
+    lines[key] = lineVariance(key, line.label, line.amount, budgetPnL[key]?.amount || 0)
+  })
+
+  return lines
+}
+
+/**
+ * Budget vs. actual per store and consolidated, for every P&L line in the
+ * actuals' scope. `largest` lists the biggest revenue and cost variances by
+ * absolute dollars — the ones the commentary should explain.
+ */
+export function computeVariances(actualSummary, budgetSummary){
+
+  const stores = {}
+  const largest = []
+
+  Object.entries(actualSummary.stores).forEach(([store, s])=>{
+
+    const budgetPnL = budgetSummary.stores[store]
+    if(!budgetPnL) return
+
+    stores[store] = comparePnL(s.pnl, budgetPnL)
+
+    Object.values(stores[store])
+      .filter(v => DRIVER_LINES.includes(v.line))
+      .forEach(v => largest.push({ store, ...v }))
+  })
+
+  largest.sort((a,b) => Math.abs(b.variance) - Math.abs(a.variance))
+
+  return {
+    budgetPeriods: budgetSummary.periods,
+    aligned: budgetSummary.aligned,
+    stores,
+    consolidated: comparePnL(actualSummary.consolidated.pnl, budgetSummary.consolidated),
+    largest: largest.slice(0, LARGEST_COUNT),
+    unmatchedStores:{
+      actualOnly: Object.keys(actualSummary.stores).filter(s => !budgetSummary.stores[s]),
+      budgetOnly: Object.keys(budgetSummary.stores).filter(s => !actualSummary.stores[s])
+    }
+  }
+}
@@ -0,0 +1,42 @@
+import { Resvg } from "@resvg/resvg-js";
+import { buildChartSvg } from "./svgCharts.js";
+
+// SVG → PNG without a browser. Text needs a font on the host: system fonts
+// are used when there are any, and CHART_FONT_FILES (comma-separated .ttf
+// paths) adds fonts for hosts without them, e.g. serverless images.
+
+const fontFiles = () => (process.env.CHART_FONT_FILES || "")
+  .split(",").map(f => f.trim()).filter(Boolean);
+
+/**
+ * PNG Buffer for an SVG string. `scale` renders at a multiple of the SVG's
+ * own size so the image stays sharp when printed.
+ */
+export function svgToPng(svg, { scale = 2 } = {}) {
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: "zoom", value: scale },
+    font: {
+      loadSystemFonts: true,
+      fontFiles: fontFiles()
+    }
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * Renders a chart spec (see svgCharts.js) to
+ * { type, title, svg, png, width, height } — width / height are the SVG's
+ * pixel size, for sizing the image in a document. `formats` limits what is
+ * produced ("svg", "png").
+ */
+export function renderChart(spec, { formats = ["svg", "png"], scale } = {}) {
+  const svg = buildChartSvg(spec);
+  return {
+    type: spec.type,
+    title: spec.title || null,
+    width: spec.width || 800,
+    height: spec.height || 400,
+    svg: formats.includes("svg") ? svg : null,
+    png: formats.includes("png") ? svgToPng(svg, { scale }) : null
+  };
+}
@@ -0,0 +1,124 @@
+import { renderChart } from "./chartRenderer.js";
+import { buildEbitdaBridge } from "../calculations/ebitdaBridge.js";
+
+// Chart specs from the engine's summary / variance / benchmark, plus
+// buildReportCharts() which renders the standard set for the reports.
+
+// Lines per store up to this many stores; above it only the total
+const MAX_TREND_STORES = 8;
+
+// short names so legends and axis labels fit
+const SHORT_LABELS = {
+  sales: "Sales",
+  cogs: "COGS",
+  labor: "Labor",
+  controllableExpenses: "Controllables",
+  occupancy: "Occupancy"
+};
+
+const COST_MIX_LINES = ["cogs", "labor", "controllableExpenses", "occupancy"];
+
+/**
+ * Monthly sales across the whole timeline, one line per store (or the
+ * consolidated total for single-store files and large estates).
+ */
+export function revenueTrendSpec(summary) {
+  const trend = summary.trend;
+  if (!trend?.periods?.length) return null;
+
+  const amounts = series => (series?.sales || []).map(p => p.amount);
+  const stores = Object.keys(trend.stores || {});
+
+  const series = stores.length > 1 && stores.length <= MAX_TREND_STORES
+    ? stores.map(store => ({ name: store, values: amounts(trend.stores[store]) }))
+    : [{ name: "Total", values: amounts(trend.consolidated) }];
+
+  return {
+    type: "line",
+    title: "Revenue Trend",
+    categories: trend.periods,
+    series
+  };
+}
+
+/**
+ * EBITDA margin by store, best first, with the benchmark margin as a
+ * reference line when there is one.
+ */
+export function storeMarginSpec(summary, benchmark) {
+  const stores = Object.entries(summary.stores || {})
+    .sort((a, b) => b[1].ebitdaMargin - a[1].ebitdaMargin);
+  if (!stores.length) return null;
+
+  const target = benchmark?.ebitda_margin;
+
+  return {
+    type: "bar",
+    title: "EBITDA Margin by Store",
+    format: "percent",
+    categories: stores.map(([store]) => store),
+    series: [{ name: "EBITDA margin", values: stores.map(([, s]) => s.ebitdaMargin), colorNegative: "B91C1C" }],
+    reference: Number.isFinite(target) ? { value: target, label: `Benchmark ${target}%` } : null
+  };
+}
+
+/**
+ * Cost lines as % of sales, stacked per store with the consolidated total
+ * last.
+ */
+export function costMixSpec(summary) {
+  const entities = [
+    ...Object.entries(summary.stores || {}),
+    ["Total", summary.consolidated]
+  ].filter(([, e]) => e?.pnl);
+  if (!entities.length) return null;
+
+  return {
+    type: "stackedBar",
+    title: "Cost Mix (% of Sales)",
+    format: "percent",
+    categories: entities.map(([name]) => name),
+    series: COST_MIX_LINES.map(key => ({
+      name: SHORT_LABELS[key],
+      values: entities.map(([, e]) => e.pnl[key]?.pctOfSales ?? null)
+    }))
+  };
+}
+
+/**
+ * Budget (or prior-year) to actual EBITDA; null without either.
+ */
+export function ebitdaBridgeSpec(summary, variance) {
+  const bridge = buildEbitdaBridge(summary, variance);
+  if (!bridge) return null;
+
+  return {
+    type: "waterfall",
+    title: bridge.against === "budget" ? "EBITDA Bridge: Budget to Actual" : "EBITDA Bridge: Prior Year to Actual",
+    start: bridge.base,
+    steps: bridge.steps.map(s => ({ label: SHORT_LABELS[s.key] || s.label, value: s.value })),
+    end: bridge.end
+  };
+}
+
+/**
+ * The report chart set, rendered:
+ * { revenueTrend, storeMargins, costMix, ebitdaBridge } — each the output
+ * of renderChart() or null when the data for it is missing. A resolved
+ * report `theme` sets the palette and font.
+ */
+export function buildReportCharts(summary, { variance, benchmark, formats, theme } = {}) {
+  const specs = {
+    revenueTrend: revenueTrendSpec(summary),
+    storeMargins: storeMarginSpec(summary, benchmark),
+    costMix: costMixSpec(summary),
+    ebitdaBridge: ebitdaBridgeSpec(summary, variance)
+  };
+
+  return Object.fromEntries(
+    Object.entries(specs).map(([key, spec]) => [
+      key,
+      spec ? renderChart(theme ? { ...spec, palette: theme.chartPalette, font: theme.fonts.body } : spec, { formats }) : null
+    ])
+  );
+}
@@ -0,0 +1,337 @@
+// Dependency-free SVG chart builders: line, (grouped) bar, stacked bar and
+// waterfall. Each takes a plain spec and returns an SVG string, which
+// chartRenderer.js turns into PNG for Word / PowerPoint / PDF.
+//
+// Spec fields shared by all charts:
+//   title, width (800), height (400), format ("amount" | "percent" | fn),
+//   palette (series colors), font (tried before the default fonts)
+// Colors are 6-digit hex without "#", as in the report palettes.
+
+export const CHART_PALETTE = ["1E3A8A", "F59E0B", "15803D", "B91C1C", "2E5FAA", "7C3AED", "0891B2", "DB2777"];
+
+export const CHART_COLORS = {
+  text: "1F2937",
+  muted: "6B7280",
+  grid: "E5E7EB",
+  axis: "9CA3AF",
+  positive: "15803D",
+  negative: "B91C1C",
+  total: "1E3A8A"
+};
+
+// common sans fonts on Windows / macOS / Linux hosts, in that order (left
+// unquoted — resvg stops at the first quoted name it cannot find)
+const FONT = "Arial, Helvetica, Liberation Sans, DejaVu Sans, sans-serif";
+
+const esc = s => String(s ?? "")
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const truncate = (s, n) => (s = String(s ?? "")).length > n ? s.slice(0, n - 1) + "…" : s;
+
+// Compact axis / data labels: 1.2M, 350K, 12.5%
+function formatter(format) {
+  if (typeof format === "function") return format;
+  if (format === "percent") return v => `${Number(v.toFixed(1))}%`;
+  return v => {
+    const a = Math.abs(v);
+    const sign = v < 0 ? "-" : "";
+    if (a >= 1e9) return `${sign}${Number((a / 1e9).toFixed(1))}B`;
+    if (a >= 1e6) return `${sign}${Number((a / 1e6).toFixed(1))}M`;
+    if (a >= 1e3) return `${sign}${Number((a / 1e3).toFixed(1))}K`;
+    return `${sign}${Number(a.toFixed(0))}`;
+  };
+}
+
+// Round axis bounds to 1 / 2 / 2.5 / 5 × 10^n steps, always including zero
+function niceScale(min, max, tickCount = 5) {
+  min = Math.min(0, min);
+  max = Math.max(0, max);
+  if (min === max) max = min + 1;
+
+  const raw = (max - min) / tickCount;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * mag).find(s => s >= raw);
+
+  const lo = Math.floor(min / step) * step;
+  const hi = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let v = lo; v <= hi + step / 2; v += step) ticks.push(Number(v.toPrecision(12)));
+  return { min: lo, max: hi, ticks };
+}
+
+// Frame, title, plot rectangle and value axis shared by every chart type
+function layout(spec, { legend = false } = {}) {
+  const width = spec.width || 800;
+  const height = spec.height || 400;
+  const rotate = spec.categories?.length > 8;
+  const plot = {
+    x: 70,
+    y: spec.title ? 50 : 20,
+    right: width - 20,
+    bottom: height - (rotate ? 80 : 40) - (legend ? 28 : 0)
+  };
+  plot.w = plot.right - plot.x;
+  plot.h = plot.bottom - plot.y;
+  return { width, height, plot, rotate };
+}
+
+function open({ width, height }, title, font) {
+  const family = font ? `${String(font).replace(/["']/g, "")}, ${FONT}` : FONT;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${esc(family)}">`,
+    `<rect x="0" y="0" width="${width}" height="${height}" fill="#FFFFFF"/>`,
+    title ? `<text x="${width / 2}" y="30" font-size="18" font-weight="bold" text-anchor="middle" fill="#${CHART_COLORS.text}">${esc(title)}</text>` : ""
+  ];
+}
+
+function valueAxis(out, plot, scale, fmt) {
+  const y = v => plot.bottom - ((v - scale.min) / (scale.max - scale.min)) * plot.h;
+  scale.ticks.forEach(t => {
+    out.push(`<line x1="${plot.x}" y1="${y(t)}" x2="${plot.right}" y2="${y(t)}" stroke="#${t === 0 ? CHART_COLORS.axis : CHART_COLORS.grid}" stroke-width="1"/>`);
+    out.push(`<text x="${plot.x - 8}" y="${y(t) + 4}" font-size="11" text-anchor="end" fill="#${CHART_COLORS.muted}">${esc(fmt(t))}</text>`);
+  });
+  return y;
+}
+
+// Category labels under the plot; rotated when there are many, thinned so
+// at most ~16 are printed, and cut to the width each one has (~6.5px a
+// character at 11px)
+function categoryAxis(out, plot, categories, xOf, rotate) {
+  const every = Math.ceil(categories.length / 16);
+  const fit = Math.max(4, Math.floor((plot.w / categories.length) * every / 6.5));
+  categories.forEach((c, i) => {
+    if (i % every) return;
+    const x = xOf(i);
+    const y = plot.bottom + 16;
+    out.push(rotate
+      ? `<text x="${x}" y="${y}" font-size="11" text-anchor="end" transform="rotate(-40 ${x} ${y})" fill="#${CHART_COLORS.text}">${esc(truncate(c, 18))}</text>`
+      : `<text x="${x}" y="${y}" font-size="11" text-anchor="middle" fill="#${CHART_COLORS.text}">${esc(truncate(c, fit))}</text>`);
+  });
+}
+
+function legendRow(out, { width, height }, series) {
+  const item = 140;
+  const start = Math.max(10, (width - item * series.length) / 2);
+  series.forEach((s, i) => {
+    const x = start + i * item;
+    out.push(`<rect x="${x}" y="${height - 22}" width="12" height="12" fill="#${s.color}"/>`);
+    out.push(`<text x="${x + 18}" y="${height - 12}" font-size="11" fill="#${CHART_COLORS.text}">${esc(truncate(s.name, 18))}</text>`);
+  });
+}
+
+const withColors = (series, palette = CHART_PALETTE) =>
+  series.map((s, i) => ({ ...s, color: s.color || palette[i % palette.length] }));
+
+const finite = values => values.filter(v => Number.isFinite(v));
+
+/**
+ * { categories: [..], series: [{ name, values: [..], color? }] } — one line
+ * per series; null values leave a gap.
+ */
+export function lineChart(spec) {
+  const series = withColors(spec.series, spec.palette);
+  const legend = series.length > 1;
+  const L = layout(spec, { legend });
+  const { plot } = L;
+  const fmt = formatter(spec.format);
+  const out = open(L, spec.title, spec.font);
+
+  const all = finite(series.flatMap(s => s.values));
+  const scale = niceScale(Math.min(...all, 0), Math.max(...all, 0));
+  const y = valueAxis(out, plot, scale, fmt);
+
+  const n = spec.categories.length;
+  const xOf = i => plot.x + (n === 1 ? plot.w / 2 : (i / (n - 1)) * plot.w);
+
+  series.forEach(s => {
+    // split into runs at missing values
+    let run = [];
+    const flush = () => {
+      if (run.length > 1) out.push(`<polyline points="${run.join(" ")}" fill="none" stroke="#${s.color}" stroke-width="2.5" stroke-linejoin="round"/>`);
+      run = [];
+    };
+    s.values.forEach((v, i) => Number.isFinite(v) ? run.push(`${xOf(i)},${y(v)}`) : flush());
+    flush();
+    if (n <= 24) {
+      s.values.forEach((v, i) => {
+        if (Number.isFinite(v)) out.push(`<circle cx="${xOf(i)}" cy="${y(v)}" r="3" fill="#${s.color}"/>`);
+      });
+    }
+  });
+
+  categoryAxis(out, plot, spec.categories, xOf, L.rotate);
+  if (legend) legendRow(out, L, series);
+
+  out.push("</svg>");
+  return out.join("");
+}
+
+/**
+ * { categories, series: [{ name, values, color? }], reference?: { value,
+ * label } } — grouped vertical bars, negatives below the zero line, with an
+ * optional dashed reference line (e.g. the benchmark).
+ */
+export function barChart(spec) {
+  const series = withColors(spec.series, spec.palette);
+  const legend = series.length > 1;
+  const L = layout(spec, { legend });
+  const { plot } = L;
+  const fmt = formatter(spec.format);
+  const out = open(L, spec.title, spec.font);
+
+  const all = finite([...series.flatMap(s => s.values), spec.reference?.value]);
+  const scale = niceScale(Math.min(...all, 0), Math.max(...all, 0));
+  const y = valueAxis(out, plot, scale, fmt);
+
+  const n = spec.categories.length;
+  const slot = plot.w / n;
+  const barW = (slot * 0.7) / series.length;
+  const xOf = i => plot.x + slot * i + slot / 2;
+  const labels = n * series.length <= 16;
+
+  series.forEach((s, si) => {
+    s.values.forEach((v, i) => {
+      if (!Number.isFinite(v)) return;
+      const x = plot.x + slot * i + slot * 0.15 + barW * si;
+      const top = y(Math.max(v, 0));
+      const h = Math.max(Math.abs(y(v) - y(0)), 0.5);
+      const color = s.colorNegative && v < 0 ? s.colorNegative : s.color;
+      out.push(`<rect x="${x}" y="${top}" width="${barW}" height="${h}" fill="#${color}"/>`);
+      if (labels) {
+        const ly = v >= 0 ? top - 5 : top + h + 13;
+        out.push(`<text x="${x + barW / 2}" y="${ly}" font-size="11" text-anchor="middle" fill="#${CHART_COLORS.text}">${esc(fmt(v))}</text>`);
+      }
+    });
+  });
+
+  if (spec.reference && Number.isFinite(spec.reference.value)) {
+    const ry = y(spec.reference.value);
+    out.push(`<line x1="${plot.x}" y1="${ry}" x2="${plot.right}" y2="${ry}" stroke="#${CHART_COLORS.negative}" stroke-width="1.5" stroke-dasharray="6 4"/>`);
+    out.push(`<text x="${plot.right}" y="${ry - 5}" font-size="11" text-anchor="end" fill="#${CHART_COLORS.negative}">${esc(spec.reference.label || fmt(spec.reference.value))}</text>`);
+  }
+
+  categoryAxis(out, plot, spec.categories, xOf, L.rotate);
+  if (legend) legendRow(out, L, series);
+
+  out.push("</svg>");
+  return out.join("");
+}
+
+/**
+ * { categories, series } — one stacked bar per category; positives stack up
+ * from zero, negatives down.
+ */
+export function stackedBarChart(spec) {
+  const series = withColors(spec.series, spec.palette);
+  const L = layout(spec, { legend: true });
+  const { plot } = L;
+  const fmt = formatter(spec.format);
+  const out = open(L, spec.title, spec.font);
+
+  const n = spec.categories.length;
+  const sum = (i, sign) => series.reduce((t, s) => {
+    const v = s.values[i];
+    return Number.isFinite(v) && Math.sign(v) === sign ? t + v : t;
+  }, 0);
+  const highs = spec.categories.map((_, i) => sum(i, 1));
+  const lows = spec.categories.map((_, i) => sum(i, -1));
+  const scale = niceScale(Math.min(...lows, 0), Math.max(...highs, 0));
+  const y = valueAxis(out, plot, scale, fmt);
+
+  const slot = plot.w / n;
+  const barW = Math.min(slot * 0.6, 90);
+  const xOf = i => plot.x + slot * i + slot / 2;
+
+  spec.categories.forEach((_, i) => {
+    let up = 0;
+    let down = 0;
+    series.forEach(s => {
+      const v = s.values[i];
+      if (!Number.isFinite(v) || v === 0) return;
+      const from = v > 0 ? up : down;
+      const to = from + v;
+      if (v > 0) up = to; else down = to;
+      const top = y(Math.max(from, to));
+      const h = Math.abs(y(from) - y(to));
+      out.push(`<rect x="${xOf(i) - barW / 2}" y="${top}" width="${barW}" height="${h}" fill="#${s.color}" stroke="#FFFFFF" stroke-width="0.5"/>`);
+      // segment label only when it fits
+      if (h >= 16 && barW >= 36) {
+        out.push(`<text x="${xOf(i)}" y="${top + h / 2 + 4}" font-size="10" text-anchor="middle" fill="#FFFFFF">${esc(fmt(v))}</text>`);
+      }
+    });
+    if (n <= 16) {
+      out.push(`<text x="${xOf(i)}" y="${y(up) - 5}" font-size="11" font-weight="bold" text-anchor="middle" fill="#${CHART_COLORS.text}">${esc(fmt(highs[i]))}</text>`);
+    }
+  });
+
+  categoryAxis(out, plot, spec.categories, xOf, L.rotate);
+  legendRow(out, L, series);
+
+  out.push("</svg>");
+  return out.join("");
+}
+
+/**
+ * { start: { label, value }, steps: [{ label, value }], end: { label,
+ * value } } — start and end bars from zero, each step floating from the
+ * running total; green when it adds, red when it takes away.
+ */
+export function waterfallChart(spec) {
+  const bars = [];
+  let running = spec.start.value;
+  bars.push({ label: spec.start.label, from: 0, to: running, kind: "total" });
+  spec.steps.forEach(step => {
+    bars.push({ label: step.label, from: running, to: running + step.value, kind: step.value >= 0 ? "up" : "down", value: step.value });
+    running += step.value;
+  });
+  bars.push({ label: spec.end.label, from: 0, to: spec.end.value, kind: "total" });
+
+  const categories = bars.map(b => b.label);
+  const L = layout({ ...spec, categories });
+  const { plot } = L;
+  const fmt = formatter(spec.format);
+  const out = open(L, spec.title, spec.font);
+
+  const values = bars.flatMap(b => [b.from, b.to]);
+  const scale = niceScale(Math.min(...values, 0), Math.max(...values, 0));
+  const y = valueAxis(out, plot, scale, fmt);
+
+  const slot = plot.w / bars.length;
+  const barW = slot * 0.65;
+  const xOf = i => plot.x + slot * i + slot / 2;
+  const color = { total: spec.palette?.[0] || CHART_COLORS.total, up: CHART_COLORS.positive, down: CHART_COLORS.negative };
+
+  bars.forEach((b, i) => {
+    const top = y(Math.max(b.from, b.to));
+    const h = Math.max(Math.abs(y(b.from) - y(b.to)), 1);
+    out.push(`<rect x="${xOf(i) - barW / 2}" y="${top}" width="${barW}" height="${h}" fill="#${color[b.kind]}"/>`);
+    // connector to the next bar's starting level
+    if (i < bars.length - 1) {
+      out.push(`<line x1="${xOf(i) + barW / 2}" y1="${y(b.to)}" x2="${xOf(i + 1) - barW / 2}" y2="${y(b.to)}" stroke="#${CHART_COLORS.axis}" stroke-width="1" stroke-dasharray="3 3"/>`);
+    }
+    const label = b.kind === "total" ? fmt(b.to) : `${b.value >= 0 ? "+" : ""}${fmt(b.value)}`;
+    const below = b.kind === "down" || (b.kind === "total" && b.to < 0);
+    out.push(`<text x="${xOf(i)}" y="${below ? top + h + 14 : top - 6}" font-size="11" font-weight="bold" text-anchor="middle" fill="#${CHART_COLORS.text}">${esc(label)}</text>`);
+  });
+
+  categoryAxis(out, plot, categories, xOf, L.rotate);
+
+  out.push("</svg>");
+  return out.join("");
+}
+
+export const CHART_TYPES = {
+  line: lineChart,
+  bar: barChart,
+  stackedBar: stackedBarChart,
+  waterfall: waterfallChart
+};
+
+/**
+ * Chart of any type from a spec with a `type` field (see CHART_TYPES).
+ */
+export function buildChartSvg(spec) {
+  const build = CHART_TYPES[spec?.type];
+  if (!build) throw new Error(`Unknown chart type "${spec?.type}" (available: ${Object.keys(CHART_TYPES).join(", ")})`);
+  return build(spec);
+}
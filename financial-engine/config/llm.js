@@ -0,0 +1,64 @@
+// Which provider and model each caller uses. Every route can be switched
+// from the environment without a code change:
+//
+//   LLM_PROVIDER=mock                 — every route (e.g. offline test runs)
+//   LLM_<ROUTE>_PROVIDER=local        — one route; ROUTE is upper snake case
+//   LLM_<ROUTE>_MODEL=gpt-4o-mini       ("analyze-file" → LLM_ANALYZE_FILE_…)
+//
+// Route-level env wins over LLM_PROVIDER, which wins over the table below.
+
+export const LLM_ROUTES = {
+  "analyze-file":       { provider:"openai",     model:"gpt-4o", temperature:0.1, maxTokens:8000 },
+  // per-part summaries when a large file is analyzed in chunks
+  "analyze-file-chunk": { provider:"openai",     model:"gpt-4o", temperature:0, maxTokens:2500 },
+  "chat":               { provider:"openrouter", model: process.env.OPENROUTER_MODEL || "deepseek/deepseek-chat-v3.1:free", temperature:0.2 },
+  "debug-openrouter":   { provider:"openrouter", model: process.env.OPENROUTER_MODEL || "tngtech/deepseek-r1t2-chimera:free", temperature:0.1, maxTokens:1000 },
+  "commentary":         { provider:"openai",     model:"gpt-4o", temperature:0.3 },
+  "benchmark":          { provider:"openai",     model:"gpt-4o-mini", temperature:0 }
+};
+
+// Connection settings per provider. All three speak the OpenAI chat
+// completions API; "local" is any compatible server (Ollama, vLLM,
+// LM Studio, llama.cpp …).
+export const LLM_PROVIDERS = {
+  openai: {
+    baseUrl: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    apiKeyEnv: "OPENAI_API_KEY"
+  },
+  openrouter: {
+    baseUrl: "https://openrouter.ai/api/v1",
+    apiKeyEnv: "OPENROUTER_API_KEY"
+  },
+  local: {
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1",
+    apiKeyEnv: "LOCAL_LLM_API_KEY",
+    apiKeyOptional: true
+  },
+  // record / replay — see ai/providers/mockProvider.js
+  mock: {
+    fixturesFile: process.env.LLM_MOCK_FILE || null,
+    record: process.env.LLM_MOCK_RECORD || null,
+    strict: process.env.LLM_MOCK_STRICT === "1"
+  }
+};
+
+const envKey = route => route.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+
+/**
+ * Effective settings for a route: the table entry with env overrides
+ * applied. Unknown routes throw.
+ */
+export function resolveRouteConfig(route){
+
+  const base = LLM_ROUTES[route];
+  if(!base) throw new Error(`Unknown LLM route "${route}"`);
+
+  const key = envKey(route);
+
+  return {
+    ...base,
+    route,
+    provider: process.env[`LLM_${key}_PROVIDER`] || process.env.LLM_PROVIDER || base.provider,
+    model: process.env[`LLM_${key}_MODEL`] || base.model
+  };
+}
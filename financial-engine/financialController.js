@@ -4,53 +4,220 @@ import {parseMIS} from "./parsers/misParser.js";
 import {parseR365} from "./parsers/r365Parser.js";
 import {calculateFinancials} from "./calculations/financialCalculator.js";
 import {buildKPI} from "./calculations/consolidation.js";
+import {classifyStores} from "./calculations/storeMaturity.js";
+import {createStoreRegistry} from "./stores/storeRegistry.js";
+import {scoreBenchmarkGaps} from "./calculations/benchmarkGap.js";
+import {
+  validateGrounding,buildSourceIndex,annotateUngrounded,buildGroundingFeedback
+} from "./utils/groundingValidator.js";
 import {fetchIndustryBenchmark} from "./ai/benchmarkAI.js";
-import {generateCommentary} from "./ai/commentaryAI.js";
+import {generateCommentary,generateStructuredCommentary} from "./ai/commentaryAI.js";
+import {commentaryToMarkdown,mapCommentaryText} from "./ai/commentarySchema.js";
 import {generateWordReport} from "./reports/wordReportGenerator.js";
+import {generateExcelReport} from "./reports/excelReportGenerator.js";
+import {generatePptxReport} from "./reports/pptxReportGenerator.js";
+import {detectReportType,findHeaderRow,REPORT_TYPES} from "./utils/reportTypeDetector.js";
+import {createAccountMapper} from "./mapping/accountMapper.js";
+import {detectAnalysisScope} from "./utils/promptAnalyzer.js";
+import {detectPeriodFromPrompt} from "./utils/periodDetector.js";
+import {buildBudgetSummary,computeVariances} from "./calculations/varianceAnalysis.js";
 
-export async function analyzeFinancial(input) {
+// Use the caller's reportType when it names a known format, otherwise
+// detect it from the workbook.
+function resolveReportType(reportType, rawData) {
 
-  try {
+  const requested = String(reportType || "").trim().toUpperCase();
 
-    const { fileUrl, reportType, industry, userPrompt } = input;
+  if (REPORT_TYPES.includes(requested))
+    return {
+      reportType: requested, confidence: 1, matched: ["requested by caller"],
+      headerRow: findHeaderRow(rawData[0]?.data, requested)
+    };
 
-    const rawData = await parseExcelFromUrl(fileUrl);
+  return detectReportType(rawData);
+}
 
-    let parsed;
+const PARSERS = {
+  QB: parseQB,
+  MIS: parseMIS,
+  R365: parseR365
+};
 
-    if (reportType === "QB")
-      parsed = parseQB(rawData);
+// Download → detect format → parse into the canonical model. `field` names
+// the request field the file came from, so a format error can say which.
+async function loadModel(fileUrl, reportType, mappingOptions, registry, field = "fileUrl") {
 
-    if (reportType === "MIS")
-      parsed = parseMIS(rawData);
+  const rawData = await parseExcelFromUrl(fileUrl);
 
-    if (reportType === "R365")
-      parsed = parseR365(rawData);
+  let detection;
+  try {
+    detection = resolveReportType(reportType, rawData);
+  } catch (error) {
+    error.field = field;
+    throw error;
+  }
 
-    const calculated = calculateFinancials(parsed);
+  const mapper = createAccountMapper(mappingOptions);
 
-    const kpi = buildKPI(calculated);
+  const model = PARSERS[detection.reportType](rawData, { mapper, registry, headerRow: detection.headerRow });
 
-    const benchmark = await fetchIndustryBenchmark(industry);
+  return { model, detection };
+}
 
-    const commentary = await generateCommentary(
+export async function analyzeFinancial(input) {
+
+  try {
+
+    const {
+      fileUrl, reportType, industry, userPrompt,
+      clientId, accountMapping = [],
+      period, fiscalCalendar,
+      budgetUrl, budgetReportType,
+      storeDates, asOfDate, compThresholdMonths,
+      storeMaster,
+      segment, region, allowAiBenchmark,
+      grounding: groundingMode = "report",
+      commentaryFormat = "text",
+      slideTemplate,
+      charts = true,
+      theme
+    } = input;
+
+    const mappingOptions = { clientId, overrides: accountMapping };
+    const registry = createStoreRegistry({ clientId, records: storeMaster });
+
+    const { model: parsed, detection } =
+      await loadModel(fileUrl, reportType, mappingOptions, registry);
+    const type = detection.reportType;
+
+    const scope = detectAnalysisScope(userPrompt || "");
+    const view = period || detectPeriodFromPrompt(userPrompt || "");
+
+    const calculated = calculateFinancials(parsed, {
+      scope,
+      view,
+      calendar: fiscalCalendar
+    });
+
+    // Optional budget workbook, parsed the same way and summed over the
+    // same periods as the actuals.
+    let variance = null;
+    let budgetDetection = null;
+
+    if (budgetUrl) {
+      const budget = await loadModel(budgetUrl, budgetReportType, mappingOptions, registry, "budgetUrl");
+      budgetDetection = budget.detection;
+      variance = computeVariances(
+        calculated,
+        buildBudgetSummary(budget.model, calculated, { calendar: fiscalCalendar })
+      );
+    }
+
+    // dates passed with the request win over the store master's
+    const maturity = classifyStores(parsed, calculated, {
+      storeDates: { ...registry.storeDates(), ...storeDates },
+      asOfDate,
+      compThresholdMonths
+    });
+
+    const kpi = buildKPI(calculated, { maturity, registry });
+
+    const benchmark = await fetchIndustryBenchmark(industry, {
+      segment,
+      region,
+      allowAiFallback: allowAiBenchmark
+    });
+
+    const gaps = scoreBenchmarkGaps(calculated, benchmark);
+
+    const commentaryOptions = { variances: variance?.largest, gaps };
+
+    // "structured" returns typed sections; the markdown rendering of them
+    // stands in for the free text everywhere else.
+    const structured = commentaryFormat === "structured";
+
+    const writeCommentary = async (options) => {
+      if (!structured)
+        return { text: await generateCommentary(calculated, benchmark, userPrompt, options), sections: null };
+      const sections = await generateStructuredCommentary(calculated, benchmark, userPrompt, options);
+      return { text: commentaryToMarkdown(sections), sections };
+    };
+
+    let written = await writeCommentary(commentaryOptions);
+
+    // Every number in the commentary must trace back to the data it was
+    // given (or a figure derived from it).
+    let grounding = null;
+
+    if (groundingMode !== "off") {
+
+      const index = buildSourceIndex({ calculated, benchmark, gaps, variance, kpi });
+      grounding = validateGrounding(written.text, null, { index });
+
+      if (!grounding.ok && groundingMode === "regenerate") {
+        const retry = await writeCommentary({
+          ...commentaryOptions,
+          feedback: buildGroundingFeedback(grounding)
+        });
+        const retryGrounding = validateGrounding(retry.text, null, { index });
+        if (retryGrounding.score >= grounding.score) {
+          written = retry;
+          grounding = { ...retryGrounding, regenerated: true };
+        } else {
+          grounding = { ...grounding, regenerated: false };
+        }
+      }
+
+      // structured commentary is annotated section by section (the Word and
+      // PowerPoint reports render the sections), then re-rendered as text
+      if (!grounding.ok && groundingMode !== "report") {
+        if (written.sections) {
+          const sections = mapCommentaryText(written.sections, text =>
+            annotateUngrounded(text, validateGrounding(text, null, { index }))
+          );
+          written = { text: commentaryToMarkdown(sections), sections };
+        } else {
+          written = { ...written, text: annotateUngrounded(written.text, grounding) };
+        }
+      }
+    }
+
+    const commentary = written.text;
+    const commentarySections = written.sections;
+
+    const wordBuffer = await generateWordReport(
       calculated,
       benchmark,
-      userPrompt
+      commentary,
+      { gaps, commentarySections, variance, kpi, charts, theme }
     );
 
-    const wordFile = await generateWordReport(
+    const excelBuffer = await generateExcelReport(calculated, { kpi, variance, benchmark, gaps, theme });
+
+    const pptxBuffer = await generatePptxReport(
       calculated,
       benchmark,
-      commentary
+      commentary,
+      { gaps, commentarySections, variance, kpi, template: slideTemplate, theme }
     );
 
     return {
+      reportType: type,
+      detection,
+      mapping: parsed.mapping,
+      storeResolution: parsed.storeResolution || null,
       summary: calculated,
+      budgetDetection,
+      variance,
       kpi,
       benchmark,
+      gaps,
       commentary,
-      wordFile
+      commentarySections,
+      grounding,
+      wordBase64: wordBuffer.toString("base64"),
+      excelBase64: excelBuffer.toString("base64"),
+      pptxBase64: pptxBuffer.toString("base64")
     };
 
   } catch (error) {
@@ -0,0 +1,137 @@
+import {CATEGORIES,addAmount,addTotal} from "../model/financialModel.js"
+import {DEFAULT_RULES,IGNORE} from "./defaultChartOfAccounts.js"
+import {CLIENT_MAPPINGS} from "./clientMappings.js"
+import {cleanNumber} from "../utils/numberUtils.js"
+
+const MATCH_TYPES = ["exact","prefix","regex"]
+
+// "4010 · Food Sales", "6000-10 Rent:" → "food sales", "rent"
+export function normalizeAccountLabel(label){
+  return String(label ?? "")
+    .toLowerCase()
+    .replace(/^\d[\d.-]*(\s*[·:-]\s*|\s+)/,"")
+    .replace(/[:\s]+$/,"")
+    .replace(/\s+/g," ")
+    .trim()
+}
+
+function compileRule(rule, origin){
+
+  if(!MATCH_TYPES.includes(rule.match))
+    throw new Error(`Invalid mapping rule match "${rule.match}" (use ${MATCH_TYPES.join(", ")})`)
+
+  if(rule.category !== IGNORE && !CATEGORIES.includes(rule.category))
+    throw new Error(`Invalid mapping rule category "${rule.category}"`)
+
+  const compiled = {
+    ...rule,
+    origin,
+    pattern: rule.match === "regex" ? rule.pattern : normalizeAccountLabel(rule.pattern)
+  }
+
+  if(rule.match === "regex")
+    compiled.re = new RegExp(rule.pattern,"i")
+
+  return compiled
+}
+
+function matches(rule, label){
+  if(rule.match === "exact") return label === rule.pattern
+  if(rule.match === "prefix") return label.startsWith(rule.pattern)
+  return rule.re.test(label)
+}
+
+// Exact rules first, then prefixes (longest first), then regexes in the
+// order they were declared.
+function orderRules(rules){
+
+  const byType = type => rules.filter(r => r.match === type)
+
+  return [
+    ...byType("exact"),
+    ...byType("prefix").sort((a,b) => b.pattern.length - a.pattern.length),
+    ...byType("regex")
+  ]
+}
+
+/**
+ * Creates a mapper that classifies GL line labels into model categories.
+ *
+ * Client overrides (CLIENT_MAPPINGS[clientId], then `overrides` passed by the
+ * caller) are checked before the default chart of accounts.
+ *
+ * map(label) → { category, total, rule } or null when nothing matches.
+ * flagUnmapped(label) records a line that carried amounts but was not
+ * mapped; report() summarizes mapped and unmapped lines for the response.
+ */
+export function createAccountMapper({clientId, overrides = []} = {}){
+
+  const clientRules = [
+    ...(CLIENT_MAPPINGS[clientId] || []),
+    ...overrides
+  ].map(r => compileRule(r, "client"))
+
+  const defaultRules = DEFAULT_RULES.map(r => compileRule(r, "default"))
+
+  const rules = [...orderRules(clientRules), ...orderRules(defaultRules)]
+
+  const cache = new Map()
+  const unmapped = new Map()
+  let mappedLines = 0
+
+  function map(rawLabel){
+
+    const label = normalizeAccountLabel(rawLabel)
+    if(!label) return null
+
+    if(!cache.has(label)){
+      const rule = rules.find(r => matches(r, label))
+      cache.set(label, rule ? {
+        category: rule.category,
+        total: !!rule.total,
+        rule: `${rule.origin}:${rule.match}:${rule.pattern}`
+      } : null)
+    }
+
+    const result = cache.get(label)
+    if(result) mappedLines++
+
+    return result
+  }
+
+  function flagUnmapped(rawLabel){
+    const label = String(rawLabel).trim()
+    unmapped.set(label, (unmapped.get(label) || 0) + 1)
+  }
+
+  function report(){
+    return {
+      clientId: clientId || null,
+      clientRules: clientRules.length,
+      mappedLines,
+      unmapped: [...unmapped.entries()].map(([label, occurrences]) => ({label, occurrences}))
+    }
+  }
+
+  return {map, flagUnmapped, report}
+}
+
+// Writes one mapped amount into the model: subtotal lines via addTotal,
+// detail lines via addAmount, ignored lines not at all.
+export function recordMappedAmount(model, mapping, store, period, amount){
+
+  if(!mapping || mapping.category === IGNORE) return
+
+  if(mapping.total)
+    addTotal(model, store, period, mapping.category, amount)
+  else
+    addAmount(model, store, period, mapping.category, amount)
+}
+
+// True when a row carries at least one non-zero amount — only those are
+// worth reporting as unmapped (section headers and blank rows are not).
+export function hasAmounts(values){
+  return values.some(v => cleanNumber(v) !== 0)
+}
+
+export {IGNORE}
@@ -0,0 +1,9 @@
+// Per-client chart-of-accounts overrides, keyed by clientId. Override rules
+// use the same shape as DEFAULT_RULES and are checked before them, e.g.
+//
+//   "acme-foods": [
+//     { match:"exact", pattern:"6150 kitchen smallwares", category:"otherExpense" },
+//     { match:"prefix", pattern:"co-op", category:"franchise" }
+//   ]
+
+export const CLIENT_MAPPINGS = {}
@@ -0,0 +1,92 @@
+// Default chart-of-accounts rules used by the account mapper.
+//
+// Each rule maps a normalized GL label (lower case, account number stripped,
+// single spaces) to a model category:
+//
+//   { match: "exact" | "prefix" | "regex", pattern, category, total? }
+//
+// `total: true` marks a subtotal line ("Total COGS"): when a file has one it
+// wins over the detail lines of the same category, so nothing is counted
+// twice. Category "ignore" is for computed lines (Gross Profit, Net Income)
+// that calculateFinancials derives itself.
+
+export const IGNORE = "ignore"
+
+export const DEFAULT_RULES = [
+
+  // ── computed lines and grand totals ──
+  { match:"exact", pattern:"gross profit", category:IGNORE },
+  { match:"exact", pattern:"net income", category:IGNORE },
+  { match:"exact", pattern:"net profit", category:IGNORE },
+  { match:"exact", pattern:"net operating income", category:IGNORE },
+  { match:"exact", pattern:"net other income", category:IGNORE },
+  { match:"exact", pattern:"ebitda", category:IGNORE },
+  { match:"exact", pattern:"prime cost", category:IGNORE },
+  { match:"exact", pattern:"total expenses", category:IGNORE },
+  { match:"exact", pattern:"total operating expenses", category:IGNORE },
+  { match:"exact", pattern:"total other income", category:IGNORE },
+  { match:"exact", pattern:"total other expenses", category:IGNORE },
+
+  // ── below EBITDA ──
+  { match:"exact", pattern:"total depreciation and amortization", category:"depreciation", total:true },
+  { match:"prefix", pattern:"other income", category:"otherIncome" },
+  { match:"prefix", pattern:"interest income", category:"otherIncome" },
+  { match:"regex", pattern:"\\b(depreciation|amortization)\\b", category:"depreciation" },
+  { match:"regex", pattern:"\\binterest( expense)?\\b", category:"interest" },
+  { match:"regex", pattern:"\\b(income|franchise|state|federal) tax(es)?\\b", category:"tax" },
+
+  // ── revenue ──
+  { match:"exact", pattern:"total income", category:"revenue", total:true },
+  { match:"exact", pattern:"total revenue", category:"revenue", total:true },
+  { match:"exact", pattern:"total sales", category:"revenue", total:true },
+  { match:"exact", pattern:"net sales", category:"revenue", total:true },
+  { match:"exact", pattern:"total net sales", category:"revenue", total:true },
+  { match:"prefix", pattern:"gross sales", category:"revenue" },
+  { match:"prefix", pattern:"food sales", category:"revenue" },
+  { match:"prefix", pattern:"beverage sales", category:"revenue" },
+  { match:"prefix", pattern:"liquor sales", category:"revenue" },
+  { match:"prefix", pattern:"catering", category:"revenue" },
+  { match:"prefix", pattern:"discounts", category:"revenue" },
+  { match:"prefix", pattern:"comps", category:"revenue" },
+  { match:"exact", pattern:"sales", category:"revenue" },
+  { match:"exact", pattern:"revenue", category:"revenue" },
+
+  // ── cost of goods sold ──
+  { match:"exact", pattern:"total cogs", category:"cogs", total:true },
+  { match:"exact", pattern:"total cost of goods sold", category:"cogs", total:true },
+  { match:"exact", pattern:"total cost of sales", category:"cogs", total:true },
+  { match:"prefix", pattern:"cost of goods sold", category:"cogs" },
+  { match:"prefix", pattern:"cost of sales", category:"cogs" },
+  { match:"prefix", pattern:"cogs", category:"cogs" },
+  { match:"regex", pattern:"\\b(food|beverage|bev|liquor|beer|wine|paper|packaging)\\s+(cost|costs|purchases)\\b", category:"cogs" },
+
+  // ── payroll ──
+  { match:"exact", pattern:"total payroll", category:"payroll", total:true },
+  { match:"exact", pattern:"total labor", category:"payroll", total:true },
+  { match:"exact", pattern:"total labour", category:"payroll", total:true },
+  { match:"regex", pattern:"\\b(payroll|wages?|salar(y|ies)|labou?r|employee benefits|workers'? comp(ensation)?|bonus(es)?)\\b", category:"payroll" },
+
+  // ── occupancy ──
+  { match:"exact", pattern:"total occupancy", category:"occupancy", total:true },
+  { match:"exact", pattern:"total rent", category:"occupancy", total:true },
+  { match:"regex", pattern:"\\brent(al)?\\b(?!\\s+income)", category:"occupancy" },
+  { match:"regex", pattern:"\\b(cam|common area maintenance|property tax(es)?|real estate tax(es)?)\\b", category:"occupancy" },
+
+  // ── utilities ──
+  { match:"exact", pattern:"total utilities", category:"utilities", total:true },
+  { match:"regex", pattern:"\\b(utilit(y|ies)|electric(ity)?|natural gas|gas & electric|water|sewer|trash|waste removal)\\b", category:"utilities" },
+
+  // ── repairs & maintenance ──
+  { match:"exact", pattern:"total repairs and maintenance", category:"repairs", total:true },
+  { match:"regex", pattern:"\\b(repairs?|maintenance|r\\s*&\\s*m)\\b", category:"repairs" },
+
+  // ── marketing ──
+  { match:"exact", pattern:"total marketing", category:"marketing", total:true },
+  { match:"regex", pattern:"\\b(marketing|advertising|promotions?|local store marketing)\\b(?!\\s+fund)", category:"marketing" },
+
+  // ── franchise / royalty ──
+  { match:"regex", pattern:"\\b(royalt(y|ies)|franchise fees?|ad(vertising)? fund)\\b", category:"franchise" },
+
+  // ── everything else that is clearly an expense ──
+  { match:"regex", pattern:"\\b(expenses?|insurance|supplies|bank (fees|charges)|credit card fees|merchant fees|licen[cs]es|permits|professional fees|accounting|legal|telephone|internet|software)\\b", category:"otherExpense" }
+]
@@ -0,0 +1,136 @@
+// Canonical financial data model shared by every parser and calculation.
+//
+// A model is entity × period × account-category × amount:
+//
+//   {
+//     source: "MIS",
+//     periods: ["2023", "2024"],          // oldest → newest
+//     stores: {
+//       "Store A": {
+//         "2023": { revenue: 1000, cogs: 300, ... },
+//         "2024": { ... }
+//       }
+//     }
+//   }
+//
+// Period keys are always strings. Categories not present in a period are
+// simply absent and read as 0.
+
+export const REVENUE_CATEGORIES = ["revenue"]
+
+// Operating expenses — everything between sales and EBITDA.
+export const EXPENSE_CATEGORIES = [
+  "cogs",
+  "payroll",
+  "utilities",
+  "repairs",
+  "marketing",
+  "otherExpense",
+  "occupancy",
+  "franchise"
+]
+
+// Below EBITDA. otherIncome is added back, the rest are deducted.
+export const BELOW_EBITDA_CATEGORIES = [
+  "otherIncome",
+  "depreciation",
+  "interest",
+  "tax"
+]
+
+export const CATEGORIES = [
+  ...REVENUE_CATEGORIES,
+  ...EXPENSE_CATEGORIES,
+  ...BELOW_EBITDA_CATEGORIES
+]
+
+// Entity name used by formats that report a single location (e.g. R365
+// period reports with no store columns).
+export const ALL_STORES = "All Stores"
+
+export function createFinancialModel(source){
+  return {
+    source,
+    periods:[],
+    stores:{}
+  }
+}
+
+function bucket(model, store, period){
+
+  const key = String(period)
+
+  if(!model.periods.includes(key))
+    model.periods.push(key)
+
+  if(!model.stores[store])
+    model.stores[store] = {}
+
+  if(!model.stores[store][key])
+    model.stores[store][key] = {}
+
+  return model.stores[store][key]
+}
+
+function assertCategory(category){
+  if(!CATEGORIES.includes(category))
+    throw new Error(`Unknown account category: ${category}`)
+}
+
+// Adds amount to whatever is already recorded for the cell.
+export function addAmount(model, store, period, category, amount){
+  assertCategory(category)
+  const cell = bucket(model, store, period)
+  cell[category] = (cell[category] || 0) + (amount || 0)
+}
+
+// Records a subtotal line ("Total COGS"). finalizeModel() uses it in place
+// of the detail lines for that category, so totals and details present in
+// the same file are not double counted.
+export function addTotal(model, store, period, category, amount){
+  assertCategory(category)
+  bucket(model, store, period)
+  model.totals = model.totals || {}
+  const totals = model.totals[store] = model.totals[store] || {}
+  const cell = totals[String(period)] = totals[String(period)] || {}
+  cell[category] = (cell[category] || 0) + (amount || 0)
+}
+
+// Registers a store/period with no amounts yet so it still shows up
+// downstream (e.g. a store column that is entirely blank).
+export function ensurePeriod(model, store, period){
+  bucket(model, store, period)
+}
+
+export function getAmounts(model, store, period){
+  return model.stores[store]?.[String(period)] || {}
+}
+
+// Sorts periods numerically when every key is a number (years), otherwise
+// keeps the order the parser found them in.
+export function orderPeriods(model){
+
+  if(model.periods.every(p => p !== "" && !isNaN(Number(p))))
+    model.periods.sort((a,b) => Number(a) - Number(b))
+
+  return model
+}
+
+// Resolves recorded totals and orders periods. Parsers call this once
+// they have read every line.
+export function finalizeModel(model){
+
+  Object.entries(model.totals || {}).forEach(([store, periods])=>{
+    Object.entries(periods).forEach(([period, totals])=>{
+      Object.assign(model.stores[store][period], totals)
+    })
+  })
+
+  delete model.totals
+
+  return orderPeriods(model)
+}
+
+export function sumCategories(amounts, categories){
+  return categories.reduce((total, c) => total + (amounts[c] || 0), 0)
+}
@@ -0,0 +1,49 @@
+// Rebuilds the page layout from OCR word boxes. Tesseract's own text joins
+// the words of a line with single spaces, which collapses the columns of a
+// table; here each word is placed at the text column matching its x
+// position, so amounts stay under their headers.
+
+const median = values => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Monospaced text for one page from Tesseract lines
+ * ([{ words: [{ text, bbox: { x0, y0, x1, y1 } }] }]).
+ */
+export function layoutText(lines) {
+  const words = lines.flatMap(l => l.words).filter(w => w.text.trim());
+  if (!words.length) return "";
+
+  // average glyph width sets the column grid
+  const charWidth = median(words.map(w => (w.bbox.x1 - w.bbox.x0) / w.text.length)) || 1;
+  const lineHeight = median(lines.map(l => l.bbox.y1 - l.bbox.y0)) || 1;
+  const left = Math.min(...words.map(w => w.bbox.x0));
+
+  const out = [];
+  let lastBottom = null;
+
+  [...lines]
+    .filter(l => l.words.some(w => w.text.trim()))
+    .sort((a, b) => a.bbox.y0 - b.bbox.y0)
+    .forEach(line => {
+      // keep paragraph / section breaks
+      if (lastBottom !== null && line.bbox.y0 - lastBottom > lineHeight * 1.5) out.push("");
+      lastBottom = line.bbox.y1;
+
+      let text = "";
+      [...line.words]
+        .filter(w => w.text.trim())
+        .sort((a, b) => a.bbox.x0 - b.bbox.x0)
+        .forEach(w => {
+          const column = Math.round((w.bbox.x0 - left) / charWidth);
+          const pad = text ? Math.max(column - text.length, 1) : column;
+          text += " ".repeat(pad) + w.text.trim();
+        });
+      out.push(text.trimEnd());
+    });
+
+  return out.join("\n");
+}
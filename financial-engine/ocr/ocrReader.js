@@ -0,0 +1,71 @@
+import os from "os";
+import { createRequire } from "module";
+import { createWorker } from "tesseract.js";
+import { layoutText } from "./ocrLayout.js";
+
+// Local OCR with tesseract.js. Language data comes from the bundled
+// @tesseract.js-data/eng package, so nothing is downloaded at run time;
+// OCR_LANG_PATH (a directory or URL holding <lang>.traineddata.gz) and
+// OCR_LANGS ("eng+fra") switch to other languages.
+
+// Mean word confidence (0–100) below which a page is treated as unreadable
+export const OCR_MIN_CONFIDENCE = 70;
+
+const require = createRequire(import.meta.url);
+
+const pageText = pages => pages.map(p => `### Page ${p.page}\n${p.text}`).join("\n\n");
+
+function langPath() {
+  return process.env.OCR_LANG_PATH || require("@tesseract.js-data/eng").langPath;
+}
+
+/**
+ * OCR for page images ([{ page, png }] or Buffers). Returns
+ * { pages: [{ page, confidence, words, text }], text, confidence } —
+ * `text` has the column layout kept (see ocrLayout.js), page confidence
+ * is Tesseract's 0–100 score and the overall one is weighted by words.
+ */
+export async function recognizePages(images, { langs = process.env.OCR_LANGS || "eng" } = {}) {
+  const worker = await createWorker(langs, 1, {
+    langPath: langPath(),
+    cachePath: os.tmpdir(),
+    gzip: true
+  });
+
+  try {
+    const pages = [];
+    for (const [i, image] of images.entries()) {
+      const png = Buffer.isBuffer(image) ? image : image.png;
+      const { data } = await worker.recognize(png, {}, { blocks: true, text: true });
+
+      pages.push({
+        page: image.page || i + 1,
+        confidence: Math.round(data.confidence),
+        words: data.words.length,
+        text: layoutText(data.lines)
+      });
+    }
+
+    const words = pages.reduce((sum, p) => sum + p.words, 0);
+    return {
+      pages,
+      text: pageText(pages),
+      confidence: words ? Math.round(pages.reduce((sum, p) => sum + p.confidence * p.words, 0) / words) : 0
+    };
+  } finally {
+    await worker.terminate();
+  }
+}
+
+/**
+ * Splits a recognizePages() result by page: `text` holds the pages read
+ * with confidence, `unreadable` lists the pages that were not — no words
+ * found, or a score under `minConfidence` — for another reader to take.
+ */
+export function splitByConfidence(result, minConfidence = OCR_MIN_CONFIDENCE) {
+  const readable = p => p.words > 0 && p.confidence >= minConfidence;
+  return {
+    text: pageText(result.pages.filter(readable)),
+    unreadable: result.pages.filter(p => !readable(p)).map(p => p.page)
+  };
+}
@@ -0,0 +1,51 @@
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+
+// PDF pages → PNG images, for OCR and for the vision models. pdf.js draws
+// on @napi-rs/canvas under Node, so no browser or system libraries are
+// needed.
+
+// 200 dpi — small print still OCRs well, pages stay a few MB
+const DEFAULT_SCALE = 200 / 72;
+
+/**
+ * Renders up to `maxPages` pages as
+ * [{ page, width, height, png }] (page numbers from 1), plus the document's
+ * page count: { pages, pageCount }.
+ */
+export async function rasterizePdf(buffer, { scale = DEFAULT_SCALE, maxPages = Infinity } = {}) {
+  const doc = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pages = [];
+    const count = Math.min(doc.numPages, maxPages);
+
+    for (let n = 1; n <= count; n++) {
+      const page = await doc.getPage(n);
+      const viewport = page.getViewport({ scale });
+      const canvasAndContext = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+      // scans are often transparent — paint white underneath
+      canvasAndContext.context.fillStyle = "#ffffff";
+      canvasAndContext.context.fillRect(0, 0, canvasAndContext.canvas.width, canvasAndContext.canvas.height);
+
+      await page.render({ canvasContext: canvasAndContext.context, viewport }).promise;
+      pages.push({
+        page: n,
+        width: canvasAndContext.canvas.width,
+        height: canvasAndContext.canvas.height,
+        png: canvasAndContext.canvas.toBuffer("image/png")
+      });
+      doc.canvasFactory.destroy(canvasAndContext);
+      page.cleanup();
+    }
+
+    return { pages, pageCount: doc.numPages };
+  } finally {
+    await doc.destroy();
+  }
+}
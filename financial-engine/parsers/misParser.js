@@ -1,15 +1,18 @@
-export function parseMIS(rawSheets){
+import {createFinancialModel,ensurePeriod,finalizeModel} from "../model/financialModel.js"
+import {createAccountMapper,recordMappedAmount,hasAmounts} from "../mapping/accountMapper.js"
+import {cleanNumber} from "../utils/numberUtils.js"
 
-  const stores = {}
-  const years = []
+// `registry` (stores/storeRegistry.js) resolves store column headers to
+// canonical store names; without one headers are used as-is.
+export function parseMIS(rawSheets, {mapper = createAccountMapper(), registry} = {}){
+
+  const model = createFinancialModel("MIS")
 
   rawSheets.forEach(sheet=>{
 
     const year = Number(sheet.sheetName.replace(/\D/g,""))
     if(!year) return
 
-    years.push(year)
-
     const rows = sheet.data
 
     let headerIndex = -1
@@ -51,7 +54,7 @@ export function parseMIS(rawSheets){
       ){
 
         storeColumns.push({
-          name,
+          name: registry ? registry.canonicalName(name) : name,
           col:index
         })
 
@@ -69,36 +72,16 @@ export function parseMIS(rawSheets){
 
       if(!accountRaw) continue
 
-      const account = accountRaw.toString().toLowerCase()
-
-      storeColumns.forEach(store=>{
+      const mapping = mapper.map(accountRaw)
 
-        const value = Number(
-          String(values[store.col] || 0)
-          .replace(/[$,]/g,"")
-        )
+      if(!mapping && hasAmounts(storeColumns.map(store => values[store.col])))
+        mapper.flagUnmapped(accountRaw)
 
-        if(!stores[store.name])
-          stores[store.name] = {}
-
-        if(!stores[store.name][year])
-          stores[store.name][year] = {}
-
-        if(account.includes("total income")){
-          stores[store.name][year].revenue = value
-        }
-
-        if(account.includes("total cogs")){
-          stores[store.name][year].cogs = value
-        }
+      storeColumns.forEach(store=>{
 
-        if(account.includes("payroll")){
-          stores[store.name][year].payroll = value
-        }
+        ensurePeriod(model, store.name, year)
 
-        if(account.includes("rent")){
-          stores[store.name][year].rent = value
-        }
+        recordMappedAmount(model, mapping, store.name, year, cleanNumber(values[store.col]))
 
       })
 
@@ -106,8 +89,8 @@ export function parseMIS(rawSheets){
 
   })
 
-  return {
-    stores,
-    years
-  }
+  model.mapping = mapper.report()
+  if(registry) model.storeResolution = registry.report()
+
+  return finalizeModel(model)
 }
@@ -1,48 +1,60 @@
-export function parseQB(rawSheets) {
+import {createFinancialModel,ensurePeriod,finalizeModel} from "../model/financialModel.js";
+import {createAccountMapper,recordMappedAmount,hasAmounts} from "../mapping/accountMapper.js";
+import {cleanNumber} from "../utils/numberUtils.js";
+import {findHeaderRow,headerCells} from "../utils/reportTypeDetector.js";
+
+// QuickBooks "Profit and Loss by Class" exports cover a single period.
+const PERIOD = "MTD";
+
+// `registry` (stores/storeRegistry.js) resolves class column headers to
+// canonical store names; without one headers are used as-is. `headerRow`
+// is the class row found by format detection (found here when missing).
+export function parseQB(rawSheets, {mapper = createAccountMapper(), registry, headerRow} = {}) {
 
   const sheet = rawSheets[0];
   const rows = sheet.data;
 
-  const stores = {};
-
-  // Detect header row containing store names
-  const headerRow = rows[2]; // based on your file structure
-  const storeNames = Object.values(headerRow).slice(1, -1); 
-  // skip account column & total column
-
-  storeNames.forEach(name => {
-    stores[name] = {
-      periods: {
-        MTD: {
-          revenue: 0,
-          expenses: 0
-        }
-      }
-    };
-  });
+  const model = createFinancialModel("QB");
+
+  const headerIndex = headerRow ?? findHeaderRow(rows, "QB");
+  if (headerIndex === null || headerIndex === undefined)
+    throw new Error("QB class header row not detected");
+
+  // skip the account column and the total column; blank headers are
+  // spacer columns, not stores
+  const storeNames = headerCells(rows, headerIndex).slice(1, -1)
+    .map(name => name && name.toLowerCase() !== "total"
+      ? (registry ? registry.canonicalName(name) : name)
+      : undefined);
+
+  storeNames.filter(Boolean).forEach(name => ensurePeriod(model, name, PERIOD));
 
-  rows.forEach(row => {
+  rows.forEach((row, i) => {
 
-    const account = Object.values(row)[0]?.toString().toLowerCase();
-    if (!account) return;
+    if (i <= headerIndex) return;
+
+    const label = Object.values(row)[0];
+    if (!label) return;
 
     const values = Object.values(row).slice(1, -1);
 
+    const mapping = mapper.map(label);
+
+    if (!mapping) {
+      if (hasAmounts(values)) mapper.flagUnmapped(label);
+      return;
+    }
+
     values.forEach((value, index) => {
       const store = storeNames[index];
+      if (store === undefined) return;
 
-      if (account.includes("gross sales") ||
-          account.includes("income")) {
-        stores[store].periods.MTD.revenue += Number(value || 0);
-      }
-
-      if (account.includes("expense") ||
-          account.includes("rent") ||
-          account.includes("payroll")) {
-        stores[store].periods.MTD.expenses += Number(value || 0);
-      }
+      recordMappedAmount(model, mapping, store, PERIOD, cleanNumber(value));
     });
   });
 
-  return { stores };
+  model.mapping = mapper.report();
+  if (registry) model.storeResolution = registry.report();
+
+  return finalizeModel(model);
 }
@@ -1,41 +1,52 @@
-export function parseR365(rawSheets) {
+import {createFinancialModel,ensurePeriod,finalizeModel,ALL_STORES} from "../model/financialModel.js";
+import {createAccountMapper,recordMappedAmount,hasAmounts} from "../mapping/accountMapper.js";
+import {cleanNumber} from "../utils/numberUtils.js";
+import {findHeaderRow,headerCells} from "../utils/reportTypeDetector.js";
+
+// R365 period reports have no store columns: the whole file is one entity
+// and each column is a fiscal period. `headerRow` is the period row found
+// by format detection (found here when missing).
+export function parseR365(rawSheets, {mapper = createAccountMapper(), headerRow} = {}) {
 
   const sheet = rawSheets[0];
   const rows = sheet.data;
 
-  const periods = {};
-  const headerRow = rows[5]; // period names row
+  const model = createFinancialModel("R365");
 
-  const periodNames = Object.values(headerRow).slice(1);
+  const headerIndex = headerRow ?? findHeaderRow(rows, "R365");
+  if (headerIndex === null || headerIndex === undefined)
+    throw new Error("R365 period header row not detected");
 
-  periodNames.forEach(period => {
-    periods[period] = {
-      revenue: 0,
-      expenses: 0
-    };
-  });
+  // blank headers are spacer columns, not periods
+  const periodNames = headerCells(rows, headerIndex).slice(1).map(name => name || undefined);
+
+  periodNames.filter(Boolean).forEach(period => ensurePeriod(model, ALL_STORES, period));
+
+  rows.forEach((row, i) => {
 
-  rows.forEach(row => {
+    if (i <= headerIndex) return;
 
-    const account = Object.values(row)[0]?.toString().toLowerCase();
-    if (!account) return;
+    const label = Object.values(row)[0];
+    if (!label) return;
 
     const values = Object.values(row).slice(1);
 
+    const mapping = mapper.map(label);
+
+    if (!mapping) {
+      if (hasAmounts(values)) mapper.flagUnmapped(label);
+      return;
+    }
+
     values.forEach((value, index) => {
       const period = periodNames[index];
+      if (period === undefined) return;
 
-      if (account.includes("net sales") ||
-          account.includes("gross sales")) {
-        periods[period].revenue += Number(value || 0);
-      }
-
-      if (account.includes("expense") &&
-          !account.includes("cogs")) {
-        periods[period].expenses += Number(value || 0);
-      }
+      recordMappedAmount(model, mapping, ALL_STORES, period, cleanNumber(value));
     });
   });
 
-  return { periods };
+  model.mapping = mapper.report();
+
+  return finalizeModel(model);
 }
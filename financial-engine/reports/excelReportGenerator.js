@@ -0,0 +1,456 @@
+import ExcelJS from "exceljs";
+import { DERIVED_LINES, PNL_LINES } from "../calculations/pnlHierarchy.js";
+import { LEAGUE_METRICS } from "../calculations/leagueTables.js";
+import { GAP_METRICS } from "../calculations/benchmarkGap.js";
+import { resolveReportTheme, themeLogo } from "./reportThemes.js";
+
+// Auditable Excel workbook of the engine's results. Ledger lines are
+// values; every subtotal, total, ratio and rank is a live formula pointing
+// at them, so the figures can be traced cell by cell. Budget and benchmark
+// figures are inputs as well — no sheet holds them — but the actuals set
+// against them link back to the P&L sheets. Formulas carry their computed
+// result too, so viewers that do not recalculate still show them.
+
+const AMOUNT  = "#,##0;-#,##0";
+const PERCENT = "0.0%";
+const POINTS  = "+0.0;-0.0;0.0";
+
+const argb = hex => ({ argb: `FF${hex}` });
+const solid = hex => ({ type: "pattern", pattern: "solid", fgColor: argb(hex) });
+
+// Theme per workbook, so sheet helpers can style from any row / sheet
+const THEMES = new WeakMap();
+const themeOf = workbook => THEMES.get(workbook);
+
+// Excel's paper size codes
+const PAPER_SIZE = { letter: 1, a4: 9 };
+
+// Title row, blank row, then the header row — frozen below the header
+const HEADER_ROW = 3;
+
+// Excel sheet names: ≤ 31 chars, none of []:*?/\ , unique (case-insensitive)
+function sheetName(name, used) {
+  const base = String(name).replace(/[[\]:*?/\\]/g, " ").trim().slice(0, 31) || "Sheet";
+  let candidate = base;
+  for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+    const suffix = ` (${i})`;
+    candidate = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+const ref = name => `'${name.replace(/'/g, "''")}'`;
+
+const f = (formula, result) => ({
+  formula,
+  result: typeof result === "number" && !Number.isFinite(result) ? undefined : result
+});
+
+// ledger inputs to the cent, so the sheet does not show float noise
+const money = v => Math.round(v * 100) / 100;
+
+const COST_LINES = PNL_LINES.filter(l => l.type === "cost").map(l => l.key);
+
+function addSheet(workbook, name, title, columns) {
+  const ws = workbook.addWorksheet(name, {
+    views: [{ state: "frozen", xSplit: 1, ySplit: HEADER_ROW }]
+  });
+
+  const theme = themeOf(workbook);
+
+  ws.getCell("A1").value = title;
+  ws.getCell("A1").font = { name: theme.fonts.heading, bold: true, size: 14, color: argb(theme.colors.primary) };
+
+  const font = { name: theme.fonts.body };
+  ws.columns = columns.map(c => ({ key: c.key, width: c.width || 14, style: c.numFmt ? { numFmt: c.numFmt, font } : { font } }));
+
+  const header = ws.getRow(HEADER_ROW);
+  columns.forEach((c, i) => { header.getCell(i + 1).value = c.header; });
+  header.font = { name: theme.fonts.body, bold: true, color: argb(theme.colors.tableHeaderText) };
+  header.eachCell(cell => { cell.fill = solid(theme.colors.tableHeader); });
+
+  return ws;
+}
+
+function styleTotal(row) {
+  const theme = themeOf(row.worksheet.workbook);
+  row.font = { name: theme.fonts.body, bold: true };
+  row.eachCell(cell => {
+    cell.fill = solid(theme.colors.tableStripe);
+    cell.border = { top: { style: "thin" } };
+  });
+}
+
+// ── P&L sheets ──
+
+// Writes a P&L ladder starting on the row after the header. `ledgerValue`
+// gives the value (or formula) for lines read from the ledger; subtotals
+// become formulas over the rows above. Returns line key → row number.
+function writePnL(ws, pnl, prior, ledgerValue) {
+  const rows = {};
+  const keys = Object.keys(pnl);
+  keys.forEach((key, i) => { rows[key] = HEADER_ROW + 1 + i; });
+
+  const salesRow = rows.sales;
+
+  keys.forEach(key => {
+    const r = rows[key];
+    const row = ws.getRow(r);
+    row.getCell(1).value = pnl[key].label;
+
+    const terms = DERIVED_LINES[key];
+    const cellFor = (col, amount) => terms
+      ? f(Object.entries(terms).map(([line, sign], i) => `${sign < 0 ? "-" : (i ? "+" : "")}${col}${rows[line]}`).join(""), amount)
+      : ledgerValue(key, col, amount);
+
+    row.getCell(2).value = cellFor("B", pnl[key].amount);
+    row.getCell(3).value = f(`IF(B$${salesRow}=0,0,B${r}/B$${salesRow})`, pnl[key].pctOfSales / 100);
+
+    if (prior) {
+      const p = prior[key];
+      row.getCell(4).value = cellFor("D", p?.amount ?? 0);
+      row.getCell(5).value = f(`IF(D$${salesRow}=0,0,D${r}/D$${salesRow})`, (p?.pctOfSales ?? 0) / 100);
+      row.getCell(6).value = f(`B${r}-D${r}`, pnl[key].amount - (p?.amount ?? 0));
+    }
+
+    if (terms) styleTotal(row);
+  });
+
+  return rows;
+}
+
+const PNL_COLUMNS = [
+  { key: "line",     header: "Line",       width: 30 },
+  { key: "amount",   header: "Current",    numFmt: AMOUNT },
+  { key: "pct",      header: "% of Sales", numFmt: PERCENT, width: 11 },
+  { key: "prior",    header: "Prior Year", numFmt: AMOUNT },
+  { key: "priorPct", header: "% of Sales", numFmt: PERCENT, width: 11 },
+  { key: "change",   header: "Change",     numFmt: AMOUNT }
+];
+
+function addStorePnL(workbook, name, store, s, periodLabel) {
+  const columns = s.pnlPrior ? PNL_COLUMNS : PNL_COLUMNS.slice(0, 3);
+  const ws = addSheet(workbook, name, `${store} — P&L ${periodLabel}`, columns);
+  return writePnL(ws, s.pnl, s.pnlPrior, (key, col, amount) => money(amount));
+}
+
+const hasPriorYear = summary => Boolean(summary.consolidated?.pnlPrior);
+
+// Consolidated P&L: ledger lines sum the same cell on every store sheet.
+function writeConsolidatedPnL(ws, summary, storeSheets) {
+  return writePnL(ws, summary.consolidated.pnl, summary.consolidated.pnlPrior, (key, col, amount) => {
+    if (!storeSheets.length) return money(amount);
+    const sum = storeSheets.map(({ sheet, rows }) => `${ref(sheet)}!${col}${rows[key]}`).join("+");
+    return f(sum, amount);
+  });
+}
+
+// ── Summary ──
+
+const SUMMARY_COLUMNS = [
+  { key: "store",     header: "Store",          width: 28 },
+  { key: "revenue",   header: "Revenue",        numFmt: AMOUNT },
+  { key: "revenueLY", header: "Revenue LY",     numFmt: AMOUNT },
+  { key: "yoy",       header: "YoY Growth",     numFmt: PERCENT },
+  { key: "ebitda",    header: "EBITDA",         numFmt: AMOUNT },
+  { key: "margin",    header: "EBITDA Margin",  numFmt: PERCENT }
+];
+
+function writeSummary(ws, summary, storeSheets, consolidated) {
+  const first = HEADER_ROW + 1;
+
+  storeSheets.forEach(({ store, sheet, rows }, i) => {
+    const s = summary.stores[store];
+    const r = first + i;
+    const row = ws.getRow(r);
+    row.getCell(1).value = store;
+    row.getCell(2).value = f(`${ref(sheet)}!B${rows.sales}`, s.revenue);
+    row.getCell(3).value = s.pnlPrior ? f(`${ref(sheet)}!D${rows.sales}`, s.revenueLY) : s.revenueLY;
+    row.getCell(4).value = f(`IF(C${r}=0,"",(B${r}-C${r})/C${r})`, s.revenueLY === 0 ? undefined : s.yoyGrowth / 100);
+    row.getCell(5).value = f(`${ref(sheet)}!B${rows.ebitda}`, s.ebitda);
+    row.getCell(6).value = f(`IF(B${r}=0,"",E${r}/B${r})`, s.revenue === 0 ? undefined : s.ebitdaMargin / 100);
+  });
+
+  const last = first + storeSheets.length - 1;
+  const t = last + 1;
+  const c = summary.consolidated;
+  const total = ws.getRow(t);
+  total.getCell(1).value = "Total";
+  total.getCell(2).value = f(`SUM(B${first}:B${last})`, c.revenue);
+  total.getCell(3).value = f(`SUM(C${first}:C${last})`, c.revenueLY);
+  total.getCell(4).value = f(`IF(C${t}=0,"",(B${t}-C${t})/C${t})`, c.revenueLY === 0 ? undefined : c.yoyGrowth / 100);
+  total.getCell(5).value = f(`SUM(E${first}:E${last})`, c.ebitda);
+  total.getCell(6).value = f(`IF(B${t}=0,"",E${t}/B${t})`, c.revenue === 0 ? undefined : c.ebitdaMargin / 100);
+  styleTotal(total);
+
+  // cross-check against the consolidated P&L sheet
+  const check = ws.getRow(t + 2);
+  check.getCell(1).value = "Check: total vs consolidated P&L";
+  check.getCell(2).value = f(`B${t}-${ref(consolidated.sheet)}!B${consolidated.rows.sales}`, 0);
+  check.getCell(5).value = f(`E${t}-${ref(consolidated.sheet)}!B${consolidated.rows.ebitda}`, 0);
+  check.font = { name: themeOf(ws.workbook).fonts.body, italic: true, color: argb(themeOf(ws.workbook).colors.muted) };
+
+  return ws;
+}
+
+// ── KPI league table ──
+
+// Five columns per metric: value, rank, quartile, the value as of the
+// previous period and the rank change, which ranks that column the same way.
+function addLeagueTable(workbook, summary, kpi) {
+  const tables = kpi?.leagueTables || {};
+  const metrics = LEAGUE_METRICS.filter(m => tables[m.key]);
+
+  const columns = [{ key: "store", header: "Store", width: 28 }];
+  metrics.forEach(m => {
+    const numFmt = m.key === "revenue" ? AMOUNT : PERCENT;
+    columns.push(
+      { key: `${m.key}Value`, header: m.label, numFmt, width: 15 },
+      { key: `${m.key}Rank`, header: "Rank", width: 7 },
+      { key: `${m.key}Quartile`, header: "Q", width: 5 },
+      { key: `${m.key}Previous`, header: "Prev. Period", numFmt, width: 12 },
+      { key: `${m.key}Change`, header: "Δ Rank", numFmt: "+0;-0;0", width: 8 }
+    );
+  });
+
+  const ws = addSheet(workbook, "KPI League", "Store league tables (rank 1 = best; Δ Rank > 0 moved up)", columns);
+
+  const stores = Object.keys(summary.stores);
+  const first = HEADER_ROW + 1;
+  const last = first + stores.length - 1;
+
+  stores.forEach((store, i) => {
+    const r = first + i;
+    const row = ws.getRow(r);
+    row.getCell(1).value = store;
+
+    metrics.forEach((m, mi) => {
+      const col = 2 + mi * 5;
+      const letter = ws.getColumn(col).letter;
+      const rankLetter = ws.getColumn(col + 1).letter;
+      const priorLetter = ws.getColumn(col + 3).letter;
+      const entry = tables[m.key].rows.find(x => x.store === store);
+      const cellValue = v => v === null || v === undefined || !Number.isFinite(v) ? null : (m.key === "revenue" ? v : v / 100);
+      const range = `${letter}$${first}:${letter}$${last}`;
+      const priorRange = `${priorLetter}$${first}:${priorLetter}$${last}`;
+      const order = m.better === "low" ? 1 : 0;
+
+      row.getCell(col).value = cellValue(entry?.value);
+      // RANK gives the same "1224" competition ranking as the engine
+      row.getCell(col + 1).value = f(`IF(${letter}${r}="","",RANK(${letter}${r},${range},${order}))`, entry?.rank ?? undefined);
+      row.getCell(col + 2).value = f(`IF(${letter}${r}="","",INT((${rankLetter}${r}-1)/COUNT(${range})*4)+1)`, entry?.quartile ?? undefined);
+      row.getCell(col + 3).value = cellValue(m.prior(summary.stores[store]));
+      row.getCell(col + 4).value = f(
+        `IF(OR(${letter}${r}="",${priorLetter}${r}=""),"",RANK(${priorLetter}${r},${priorRange},${order})-${rankLetter}${r})`,
+        entry?.rankChange ?? undefined
+      );
+    });
+  });
+
+  return ws;
+}
+
+// `pnlSheets` ({ stores: store → { sheet, rows }, consolidated }) locates
+// the P&L sheets; `pnlCell` points at one line's column there.
+const pnlCell = ({ sheet, rows }, line, col) => `${ref(sheet)}!${col}${rows[line]}`;
+
+// ── Variance ──
+
+// Actuals link to the P&L sheets; budgets are inputs.
+function addVariance(workbook, variance, pnlSheets) {
+  const ws = addSheet(workbook, "Variance", "Budget vs actual (variance > 0 is favorable)", [
+    { key: "store",    header: "Store",     width: 28 },
+    { key: "line",     header: "Line",      width: 28 },
+    { key: "actual",   header: "Actual",    numFmt: AMOUNT },
+    { key: "budget",   header: "Budget",    numFmt: AMOUNT },
+    { key: "variance", header: "Variance",  numFmt: AMOUNT },
+    { key: "pct",      header: "Var %",     numFmt: PERCENT, width: 10 },
+    { key: "fav",      header: "Favorable", width: 11 }
+  ]);
+
+  if (!variance) {
+    ws.getCell(`A${HEADER_ROW + 1}`).value = "No budget supplied.";
+    return ws;
+  }
+
+  let r = HEADER_ROW + 1;
+
+  const writeBlock = (entity, lines, pnl, isTotal) => {
+    Object.values(lines).forEach(v => {
+      const row = ws.getRow(r);
+      // cost lines: favorable when under budget
+      const isCost = COST_LINES.includes(v.line);
+      row.getCell(1).value = entity;
+      row.getCell(2).value = v.label;
+      row.getCell(3).value = pnl?.rows[v.line] ? f(pnlCell(pnl, v.line, "B"), v.actual) : money(v.actual);
+      row.getCell(4).value = money(v.budget);
+      row.getCell(5).value = f(isCost ? `D${r}-C${r}` : `C${r}-D${r}`, v.variance);
+      row.getCell(6).value = f(`IF(D${r}=0,"",E${r}/ABS(D${r}))`, v.variancePct === null ? undefined : v.variancePct / 100);
+      row.getCell(7).value = f(`IF(E${r}>=0,"Yes","No")`, v.favorable ? "Yes" : "No");
+      if (isTotal) styleTotal(row);
+      r++;
+    });
+  };
+
+  Object.entries(variance.stores).forEach(([store, lines]) => writeBlock(store, lines, pnlSheets.stores[store], false));
+  writeBlock("Consolidated", variance.consolidated, pnlSheets.consolidated, true);
+
+  const { actualOnly, budgetOnly } = variance.unmatchedStores;
+  if (actualOnly.length || budgetOnly.length) {
+    ws.getCell(`A${r + 1}`).value = `Not compared — no budget: ${actualOnly.join(", ") || "none"}; budget only: ${budgetOnly.join(", ") || "none"}`;
+  }
+
+  return ws;
+}
+
+// ── Benchmark ──
+
+// P&L line whose % of sales is each gap metric's actual. Rent is part of
+// the occupancy line, so its actual stays an input.
+const GAP_LINES = { foodCost: "cogs", labor: "labor", ebitdaMargin: "ebitda" };
+
+// Actuals are the % of sales cells on the P&L sheets (`pnlSheets`, as for
+// the variance) and the $ gap prices the adverse gap at the sales cell there;
+// benchmarks are inputs.
+function addBenchmark(workbook, benchmark, gaps, pnlSheets) {
+  const ws = addSheet(workbook, "Benchmark", "Benchmark comparison (gap in percentage points; $ gap > 0 is unfavorable)", [
+    { key: "entity",    header: "Store",     width: 28 },
+    { key: "metric",    header: "Metric",    width: 18 },
+    { key: "actual",    header: "Actual",    numFmt: PERCENT },
+    { key: "benchmark", header: "Benchmark", numFmt: PERCENT },
+    { key: "gap",       header: "Gap (pts)", numFmt: POINTS },
+    { key: "dollars",   header: "$ Gap",     numFmt: AMOUNT },
+    { key: "status",    header: "Status",    width: 10 },
+    { key: "health",    header: "Health",    width: 9 }
+  ]);
+
+  if (!benchmark || !gaps) {
+    ws.getCell(`A${HEADER_ROW + 1}`).value = "No benchmark available for this industry.";
+    return ws;
+  }
+
+  let r = HEADER_ROW + 1;
+
+  const writeEntity = (entity, g, pnl, isTotal) => {
+    GAP_METRICS.filter(m => g.metrics[m.key]).forEach(m => {
+      const metric = g.metrics[m.key];
+      const line = GAP_LINES[m.key];
+      const sales = pnlCell(pnl, "sales", "B");
+      const row = ws.getRow(r);
+      row.getCell(1).value = entity;
+      row.getCell(2).value = metric.label;
+      row.getCell(3).value = pnl.rows[line] ? f(pnlCell(pnl, line, "C"), metric.actual / 100) : metric.actual / 100;
+      row.getCell(4).value = metric.benchmark / 100;
+      row.getCell(5).value = f(`(C${r}-D${r})*100`, metric.gapPts);
+      // only the adverse part of the gap, as in benchmarkGap.js
+      const adverse = m.better === "low" ? `C${r}-D${r}` : `D${r}-C${r}`;
+      row.getCell(6).value = f(`MAX(0,${adverse})*${sales}`, metric.gapDollars);
+      row.getCell(7).value = metric.status.toUpperCase();
+      row.getCell(8).value = g.healthScore;
+      if (isTotal) styleTotal(row);
+      r++;
+    });
+  };
+
+  Object.entries(gaps.stores).forEach(([store, g]) => writeEntity(store, g, pnlSheets.stores[store], false));
+  writeEntity("Consolidated", gaps.consolidated, pnlSheets.consolidated, true);
+
+  const meta = benchmark.meta || {};
+  r++;
+  ws.getCell(`A${r++}`).value = meta.source === "library"
+    ? `Benchmark library v${meta.version}: ${meta.industry} / ${meta.segment} / ${meta.region}${meta.unsourced ? ` — ${meta.warning}` : ""}`
+    : (meta.warning || `Benchmark source: ${meta.source || "unknown"}`);
+  Object.entries(meta.figures || {}).forEach(([metric, fig]) => {
+    ws.getCell(`A${r++}`).value = `${metric}: ${fig.value}% (range ${fig.range?.join("–")}%) — ${fig.source?.title || fig.source?.id || ""}`;
+  });
+
+  return ws;
+}
+
+// Header / footer codes treat "&" as a control character
+const hf = text => String(text || "").replace(/&/g, "&&");
+
+// Printing: theme paper size, landscape, fit to one page wide; header text
+// left, footer text / confidentiality notice / page numbers along the foot
+function applyPageSetup(ws, theme) {
+  const margin = theme.page.margin;
+  ws.pageSetup = {
+    paperSize: PAPER_SIZE[theme.page.size],
+    orientation: "landscape",
+    fitToPage: true,
+    fitToWidth: 1,
+    fitToHeight: 0,
+    margins: { left: margin, right: margin, top: margin + 0.3, bottom: margin + 0.3, header: 0.3, footer: 0.3 }
+  };
+
+  const footer = [
+    theme.footer ? `&L${hf(theme.footer)}` : "",
+    theme.confidentiality ? `&C${hf(theme.confidentiality)}` : "",
+    theme.pageNumbers ? "&RPage &P of &N" : ""
+  ].join("");
+
+  ws.headerFooter = {
+    oddHeader: theme.header ? `&L${hf(theme.header)}` : "",
+    oddFooter: footer
+  };
+}
+
+function describePeriod(period) {
+  const current = period?.current?.periods || [];
+  const range = current.length > 1 ? `${current[0]} – ${current[current.length - 1]}` : (current[0] || period?.latest || "");
+  return `${period?.view || ""} ${range}`.trim();
+}
+
+/**
+ * Builds the workbook and returns it as a Buffer. Sheets: Summary,
+ * Consolidated P&L, one P&L per store, KPI League, Variance, Benchmark.
+ * `theme` (see reportThemes.js) sets fonts, colors, paper size, the print
+ * header / footer and the logo on the Summary sheet.
+ */
+export async function generateExcelReport(summary, { kpi, variance, benchmark, gaps, theme } = {}) {
+  const resolved = resolveReportTheme(theme);
+  const workbook = new ExcelJS.Workbook();
+  THEMES.set(workbook, resolved);
+  workbook.creator = "ziel-chat-backend";
+  workbook.created = new Date();
+  // recalculate on open so edited inputs flow through
+  workbook.calcProperties.fullCalcOnLoad = true;
+
+  const periodLabel = describePeriod(summary.period);
+  const used = new Set(["summary", "consolidated p&l", "kpi league", "variance", "benchmark"]);
+
+  // Created first for tab order; filled once the store sheets exist
+  const summaryWs = addSheet(workbook, "Summary", `Financial summary — ${periodLabel}`, SUMMARY_COLUMNS);
+  const consolidatedWs = addSheet(workbook, "Consolidated P&L", `Consolidated — P&L ${periodLabel}`,
+    hasPriorYear(summary) ? PNL_COLUMNS : PNL_COLUMNS.slice(0, 3));
+
+  const storeSheets = Object.entries(summary.stores || {}).map(([store, s]) => {
+    const sheet = sheetName(`P&L ${store}`, used);
+    const rows = addStorePnL(workbook, sheet, store, s, periodLabel);
+    return { store, sheet, rows };
+  });
+
+  const consolidatedRows = writeConsolidatedPnL(consolidatedWs, summary, storeSheets);
+  writeSummary(summaryWs, summary, storeSheets, { sheet: consolidatedWs.name, rows: consolidatedRows });
+
+  const pnlSheets = {
+    stores: Object.fromEntries(storeSheets.map(({ store, sheet, rows }) => [store, { sheet, rows }])),
+    consolidated: { sheet: consolidatedWs.name, rows: consolidatedRows }
+  };
+
+  addLeagueTable(workbook, summary, kpi);
+  addVariance(workbook, variance, pnlSheets);
+  addBenchmark(workbook, benchmark, gaps, pnlSheets);
+
+  workbook.worksheets.forEach(ws => applyPageSetup(ws, resolved));
+
+  const logo = themeLogo(resolved);
+  if (logo) {
+    const image = workbook.addImage({ base64: logo.base64, extension: logo.type === "jpg" ? "jpeg" : "png" });
+    // top right of the Summary sheet, clear of the table
+    summaryWs.addImage(image, { tl: { col: SUMMARY_COLUMNS.length + 0.5, row: 0 }, ext: { width: logo.width, height: logo.height } });
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
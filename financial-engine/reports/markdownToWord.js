@@ -0,0 +1,420 @@
+import {
+  Document, Packer, Paragraph, TextRun, Table, TableRow, TableCell,
+  WidthType, BorderStyle, AlignmentType, HeadingLevel, ShadingType,
+  LevelFormat, ImageRun, Header, Footer, PageNumber
+} from "docx";
+import { renderChart } from "../charts/chartRenderer.js";
+import { resolveReportTheme, pageGeometry, themeLogo } from "./reportThemes.js";
+
+// Markdown (as written by the analysis and commentary models) → Word.
+// Shared by api/analyze-file.js and the financial engine's report. Fonts,
+// colors and page setup come from a report theme (reportThemes.js); the
+// helpers take a resolved theme and default to the "default" one.
+
+const DEFAULT_THEME = resolveReportTheme();
+
+// Column widths passed to buildWordTable are laid out for this content
+// width (US Letter, 1" margins) and scaled to the theme's page
+export const REFERENCE_WIDTH = 9360;
+
+// Images are sized in pixels at 96 dpi (15 DXA per pixel)
+const DXA_PER_PX = 15;
+
+// Column border helper
+const cellBorders = theme => {
+  const border = { style: BorderStyle.SINGLE, size: 1, color: theme.colors.border };
+  return { top: border, bottom: border, left: border, right: border };
+};
+
+// Parse inline **bold** and *italic* within a paragraph string (font and
+// color come from the document's default style)
+export function parseInlineMarkup(text) {
+  const runs = [];
+  // Split on **bold** and *italic* tokens
+  const tokens = text.split(/(\*\*[^*]+\*\*|\*[^*]+\*)/);
+  for (const tok of tokens) {
+    if (tok.startsWith("**") && tok.endsWith("**")) {
+      runs.push(new TextRun({ text: tok.slice(2, -2), bold: true, size: 22 }));
+    } else if (tok.startsWith("*") && tok.endsWith("*")) {
+      runs.push(new TextRun({ text: tok.slice(1, -1), italics: true, size: 22 }));
+    } else if (tok) {
+      runs.push(new TextRun({ text: tok, size: 22 }));
+    }
+  }
+  return runs.length ? runs : [new TextRun({ text: "", size: 22 })];
+}
+
+// Build a styled Word table from 2D array of strings. `align` sets a
+// per-column alignment (numbers right-aligned); `widths` overrides the even
+// column split (DXA against REFERENCE_WIDTH, scaled to the page);
+// `boldRows` lists row indexes to emphasise, e.g. subtotals.
+export function buildWordTable(rows, { align = [], widths, boldRows = [], theme = DEFAULT_THEME } = {}) {
+  if (!rows.length) return null;
+  const { contentWidth } = pageGeometry(theme);
+  const borders    = cellBorders(theme);
+  // Distribute columns evenly across content width
+  const colCount   = rows[0].length || 1;
+  const scale      = widths ? contentWidth / widths.reduce((t, w) => t + w, 0) : 1;
+  const colWidth   = Math.floor(contentWidth / colCount);
+  const colWidths  = widths ? widths.map(w => Math.floor(w * scale)) : Array(colCount).fill(colWidth);
+  // Adjust last col to absorb rounding remainder
+  colWidths[colCount - 1] = contentWidth - colWidths.slice(0, -1).reduce((t, w) => t + w, 0);
+
+  return new Table({
+    width: { size: contentWidth, type: WidthType.DXA },
+    columnWidths: colWidths,
+    rows: rows.map((rowData, ri) => {
+      const isHeader = ri === 0;
+      return new TableRow({
+        tableHeader: isHeader,
+        children: rowData.map((cellText, ci) =>
+          new TableCell({
+            borders,
+            width: { size: colWidths[ci], type: WidthType.DXA },
+            shading: {
+              fill: isHeader ? theme.colors.tableHeader : (ri % 2 === 0 ? theme.colors.tableStripe : "FFFFFF"),
+              type: ShadingType.CLEAR
+            },
+            margins: { top: 80, bottom: 80, left: 120, right: 120 },
+            children: [new Paragraph({
+              children: [new TextRun({
+                text: String(cellText ?? ""),
+                bold: isHeader || boldRows.includes(ri),
+                color: isHeader ? theme.colors.tableHeaderText : theme.colors.text,
+                size: 20
+              })],
+              alignment: align[ci] || AlignmentType.LEFT
+            })]
+          })
+        )
+      });
+    })
+  });
+}
+
+// Centered chart image (renderChart() output), by default at the content
+// width
+export function buildChartParagraph(chart, { width, theme = DEFAULT_THEME } = {}) {
+  width = width || Math.floor(pageGeometry(theme).contentWidth / DXA_PER_PX);
+  return new Paragraph({
+    alignment: AlignmentType.CENTER,
+    spacing: { before: 120, after: 160 },
+    children: [new ImageRun({
+      type: "png",
+      data: chart.png,
+      transformation: { width, height: Math.round(width * chart.height / chart.width) }
+    })]
+  });
+}
+
+/**
+ * Markdown → docx paragraphs and tables (headings, pipe tables, bullets,
+ * numbered lists, quotes, rules, **bold** / *italic*). A fenced ```chart
+ * block holding a JSON chart spec (see charts/svgCharts.js) renders as an
+ * image; one that does not parse is printed as text. With `demoteH1`
+ * every heading renders as Heading 2, for embedding under a report
+ * section of its own.
+ */
+export function markdownToElements(markdownText, { demoteH1 = false, theme = DEFAULT_THEME } = {}) {
+  const elements   = [];
+  const lines      = markdownText.split("\n");
+  let tableBuffer  = [];   // accumulate pipe rows
+  let inTable      = false;
+  let chartBuffer  = null; // lines of an open ```chart block
+
+  const flushTable = () => {
+    if (!tableBuffer.length) return;
+    const table = buildWordTable(tableBuffer, { theme });
+    if (table) {
+      elements.push(table);
+      elements.push(new Paragraph({ text: "", spacing: { after: 160 } }));
+    }
+    tableBuffer = [];
+    inTable     = false;
+  };
+
+  const flushChart = () => {
+    try {
+      const spec = { ...JSON.parse(chartBuffer.join("\n")), palette: theme.chartPalette, font: theme.fonts.body };
+      elements.push(buildChartParagraph(renderChart(spec, { formats: ["png"] }), { theme }));
+    } catch (e) {
+      console.warn("⚠️ Chart block not rendered:", e.message);
+      chartBuffer.forEach(l => elements.push(new Paragraph({ children: parseInlineMarkup(l) })));
+    }
+    chartBuffer = null;
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine.trimEnd();
+
+    // Chart block
+    if (chartBuffer) {
+      if (line.trim() === "```") flushChart();
+      else chartBuffer.push(line);
+      continue;
+    }
+    if (/^```chart\s*$/.test(line.trim())) {
+      if (inTable) flushTable();
+      chartBuffer = [];
+      continue;
+    }
+
+    // Empty line
+    if (!line.trim()) {
+      if (inTable) flushTable();
+      else elements.push(new Paragraph({ text: "", spacing: { after: 80 } }));
+      continue;
+    }
+
+    // Headings
+    if (line.trimStart().startsWith("#")) {
+      if (inTable) flushTable();
+      const hMatch = line.match(/^(#{1,6})\s+(.*)/);
+      if (hMatch) {
+        const level  = hMatch[1].length;
+        const text   = hMatch[2].replace(/\*\*/g, "").replace(/\*/g, "").trim();
+        const isH1   = level === 1 && !demoteH1;
+        elements.push(new Paragraph({
+          heading: isH1 ? HeadingLevel.HEADING_1 : HeadingLevel.HEADING_2,
+          children: [new TextRun({ text, bold: true })],
+          spacing: { before: isH1 ? 400 : 280, after: 160 },
+          border: isH1 ? {
+            bottom: { style: BorderStyle.SINGLE, size: 6, color: theme.colors.primary, space: 1 }
+          } : undefined
+        }));
+        continue;
+      }
+    }
+
+    // Table row (contains "|")
+    if (line.includes("|")) {
+      const cells = line.split("|").map(c => c.trim()).filter((c, i, arr) => i > 0 && i < arr.length - 1);
+      if (!cells.length) {
+        if (inTable) flushTable();
+        continue;
+      }
+      // Separator row (--- :--- etc.)
+      if (cells.every(c => /^[-: ]+$/.test(c))) {
+        inTable = true; // next rows are data rows (first row already buffered as header)
+        continue;
+      }
+      tableBuffer.push(cells);
+      continue;
+    }
+
+    // If we were in a table and hit a non-table line, flush
+    if (inTable) flushTable();
+
+    // Horizontal rule
+    if (/^[-─═*]{3,}$/.test(line.trim())) {
+      elements.push(new Paragraph({
+        text: "",
+        border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: theme.colors.border, space: 1 } },
+        spacing: { before: 120, after: 120 }
+      }));
+      continue;
+    }
+
+    // Bullet list
+    if (/^[-*•]\s+/.test(line.trimStart())) {
+      const content = line.replace(/^\s*[-*•]\s+/, "");
+      elements.push(new Paragraph({
+        numbering: { reference: "bullets", level: 0 },
+        children: parseInlineMarkup(content),
+        spacing: { before: 60, after: 60 }
+      }));
+      continue;
+    }
+
+    // Numbered list
+    if (/^\d+\.\s+/.test(line.trimStart())) {
+      const content = line.replace(/^\d+\.\s+/, "");
+      elements.push(new Paragraph({
+        numbering: { reference: "numbers", level: 0 },
+        children: parseInlineMarkup(content),
+        spacing: { before: 60, after: 60 }
+      }));
+      continue;
+    }
+
+    // Block quote ("> ")
+    if (line.trimStart().startsWith("> ")) {
+      const content = line.replace(/^>\s+/, "");
+      elements.push(new Paragraph({
+        children: [new TextRun({ text: content, italics: true, size: 22, color: theme.colors.muted })],
+        indent: { left: 720 },
+        spacing: { before: 60, after: 60 }
+      }));
+      continue;
+    }
+
+    // Normal paragraph
+    elements.push(new Paragraph({
+      children: parseInlineMarkup(line),
+      spacing: { before: 60, after: 80 }
+    }));
+  }
+
+  // Flush any remaining table / unterminated chart block
+  if (inTable) flushTable();
+  if (chartBuffer) flushChart();
+
+  return elements;
+}
+
+// Numbering definitions the "bullets" / "numbers" references above rely on
+export const WORD_NUMBERING = {
+  config: [
+    {
+      reference: "bullets",
+      levels: [{
+        level: 0, format: LevelFormat.BULLET, text: "•",
+        alignment: AlignmentType.LEFT,
+        style: { paragraph: { indent: { left: 720, hanging: 360 } } }
+      }]
+    },
+    {
+      reference: "numbers",
+      levels: [{
+        level: 0, format: LevelFormat.DECIMAL, text: "%1.",
+        alignment: AlignmentType.LEFT,
+        style: { paragraph: { indent: { left: 720, hanging: 360 } } }
+      }]
+    }
+  ]
+};
+
+/**
+ * Document styles for a theme: default body font / color, Heading 1–3 in
+ * the heading font and theme colors, and "Note" for captions.
+ */
+export function buildWordStyles(theme = DEFAULT_THEME) {
+  const { fonts, colors } = theme;
+  return {
+    default: {
+      document: { run: { font: fonts.body, size: 22, color: colors.text } }
+    },
+    paragraphStyles: [
+      {
+        id: "Heading1", name: "Heading 1", basedOn: "Normal", next: "Normal", quickFormat: true,
+        run:       { size: 32, bold: true, font: fonts.heading, color: colors.primary },
+        paragraph: { spacing: { before: 400, after: 160 }, outlineLevel: 0 }
+      },
+      {
+        id: "Heading2", name: "Heading 2", basedOn: "Normal", next: "Normal", quickFormat: true,
+        run:       { size: 26, bold: true, font: fonts.heading, color: colors.secondary },
+        paragraph: { spacing: { before: 280, after: 160 }, outlineLevel: 1 }
+      },
+      {
+        id: "Heading3", name: "Heading 3", basedOn: "Normal", next: "Normal", quickFormat: true,
+        run:       { size: 23, bold: true, font: fonts.heading, color: colors.secondary },
+        paragraph: { spacing: { before: 200, after: 120 }, outlineLevel: 2 }
+      },
+      {
+        id: "Note", name: "Note", basedOn: "Normal", next: "Normal",
+        run:       { size: 18, italics: true, color: colors.muted },
+        paragraph: { spacing: { before: 60, after: 80 } }
+      }
+    ]
+  };
+}
+
+const small = (text, opts = {}) => new TextRun({ text, size: 16, ...opts });
+
+function buildHeader(theme) {
+  const logo = themeLogo(theme);
+  if (!logo && !theme.header) return null;
+
+  const children = [];
+  if (logo) {
+    children.push(new ImageRun({
+      type: logo.type,
+      data: logo.buffer,
+      transformation: { width: logo.width, height: logo.height }
+    }));
+  }
+  if (theme.header) {
+    if (logo) children.push(new TextRun({ text: "\t" }));
+    children.push(small(theme.header, { color: theme.colors.muted }));
+  }
+
+  const { contentWidth } = pageGeometry(theme);
+  return new Header({
+    children: [new Paragraph({
+      children,
+      // header text right-aligned against the logo
+      tabStops: [{ type: "right", position: contentWidth }],
+      border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: theme.colors.border, space: 4 } }
+    })]
+  });
+}
+
+function buildFooter(theme) {
+  if (!theme.footer && !theme.pageNumbers && !theme.confidentiality) return null;
+
+  const { contentWidth } = pageGeometry(theme);
+  const children = [];
+
+  const line = [];
+  if (theme.footer) line.push(small(theme.footer, { color: theme.colors.muted }));
+  if (theme.pageNumbers) {
+    line.push(new TextRun({
+      children: ["\tPage ", PageNumber.CURRENT, " of ", PageNumber.TOTAL_PAGES],
+      size: 16,
+      color: theme.colors.muted
+    }));
+  }
+  if (line.length) {
+    children.push(new Paragraph({ children: line, tabStops: [{ type: "right", position: contentWidth }] }));
+  }
+  if (theme.confidentiality) {
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [small(theme.confidentiality, { italics: true, color: theme.colors.muted })]
+    }));
+  }
+
+  return new Footer({ children });
+}
+
+/**
+ * Document section for a theme: page size and margins, header (logo and
+ * header text) and footer (footer text, page numbers, confidentiality
+ * notice). With `coverPage` the first page has neither.
+ */
+export function buildWordSection(children, { theme = DEFAULT_THEME, coverPage = false } = {}) {
+  const { width, height, margin } = pageGeometry(theme);
+  const header = buildHeader(theme);
+  const footer = buildFooter(theme);
+  const blank = () => new Paragraph({ text: "" });
+
+  return {
+    properties: {
+      titlePage: coverPage,
+      page: {
+        size:   { width, height },
+        margin: { top: margin, right: margin, bottom: margin, left: margin }
+      }
+    },
+    headers: header ? { default: header, ...(coverPage ? { first: new Header({ children: [blank()] }) } : {}) } : undefined,
+    footers: footer ? { default: footer, ...(coverPage ? { first: new Footer({ children: [blank()] }) } : {}) } : undefined,
+    children
+  };
+}
+
+/**
+ * Markdown → Word document as base64. `theme` is a theme name or override
+ * object (see reportThemes.js).
+ */
+export async function markdownToWordBase64(markdownText, { theme } = {}) {
+  const resolved = resolveReportTheme(theme);
+
+  const doc = new Document({
+    numbering: WORD_NUMBERING,
+    styles: buildWordStyles(resolved),
+    sections: [buildWordSection(markdownToElements(markdownText, { theme: resolved }), { theme: resolved })]
+  });
+
+  const buffer = await Packer.toBuffer(doc);
+  return buffer.toString("base64");
+}
@@ -0,0 +1,364 @@
+import PptxGenJS from "pptxgenjs";
+import { resolveSlideTemplate } from "./slideTemplates.js";
+import { resolveReportTheme } from "./reportThemes.js";
+import { buildEbitdaBridge } from "../calculations/ebitdaBridge.js";
+import { GAP_METRICS } from "../calculations/benchmarkGap.js";
+import { formatAmount, formatPercent, formatPoints } from "../utils/numberUtils.js";
+
+// Board deck built from the same objects as the Word report: title,
+// KPI scorecard, top / bottom stores, EBITDA bridge (waterfall), benchmark
+// comparison, one slide per region and the commentary. Returned as a Buffer.
+
+// 16:9 slide is 10 × 5.625 in
+const W = 10;
+const BODY_Y = 1.05;
+const BODY_H = 4.0;
+
+const STATUS_COLOR = t => ({ green: t.colors.positive, amber: t.colors.accent, red: t.colors.negative });
+
+function describePeriod(period) {
+  const current = period?.current?.periods || [];
+  const range = current.length > 1 ? `${current[0]} – ${current[current.length - 1]}` : (current[0] || period?.latest || "");
+  return `${period?.view || ""} · ${range}`;
+}
+
+function defineMasters(pptx, t) {
+  const logo = t.logo ? [{ image: { x: W - 0.3 - (t.logo.w || 1.2), y: 0.15, w: t.logo.w || 1.2, h: t.logo.h || 0.5, ...(t.logo.data ? { data: t.logo.data } : { path: t.logo.path }) } }] : [];
+
+  pptx.defineSlideMaster({
+    title: "CONTENT",
+    background: { color: t.colors.background },
+    objects: [
+      { rect: { x: 0, y: 0.85, w: W, h: 0.04, fill: { color: t.colors.primary } } },
+      { text: { text: t.footer || "", options: { x: 0.4, y: 5.25, w: 7, h: 0.3, fontFace: t.fonts.body, fontSize: 8, color: t.colors.muted } } },
+      ...logo
+    ],
+    slideNumber: { x: W - 0.8, y: 5.25, w: 0.5, h: 0.3, fontFace: t.fonts.body, fontSize: 8, color: t.colors.muted }
+  });
+
+  pptx.defineSlideMaster({
+    title: "TITLE",
+    background: { color: t.colors.primary },
+    objects: logo
+  });
+}
+
+function addContentSlide(pptx, t, title, subtitle) {
+  const slide = pptx.addSlide({ masterName: "CONTENT" });
+  slide.addText(title, { x: 0.4, y: 0.2, w: 7.5, h: 0.45, fontFace: t.fonts.heading, fontSize: 22, bold: true, color: t.colors.primary });
+  if (subtitle) {
+    slide.addText(subtitle, { x: 0.4, y: 0.58, w: 7.5, h: 0.25, fontFace: t.fonts.body, fontSize: 10, color: t.colors.muted });
+  }
+  return slide;
+}
+
+// Table rows in pptxgenjs cell format; first row is the header, numeric
+// columns (align "right") per `align`.
+function tableRows(t, header, rows, align = []) {
+  const head = header.map((text, i) => ({
+    text,
+    options: { bold: true, color: "FFFFFF", fill: { color: t.colors.tableHeader }, align: align[i] || "left" }
+  }));
+  const body = rows.map((row, ri) => row.map((cell, i) => {
+    const c = typeof cell === "object" && cell !== null ? cell : { text: String(cell ?? "") };
+    return {
+      text: c.text,
+      options: {
+        align: align[i] || "left",
+        fill: { color: ri % 2 ? t.colors.tableStripe : "FFFFFF" },
+        ...(c.color ? { color: c.color, bold: true } : {})
+      }
+    };
+  }));
+  return [head, ...body];
+}
+
+const tableOptions = (t, x, y, w, colW) => ({
+  x, y, w, colW,
+  fontFace: t.fonts.body,
+  fontSize: 10,
+  color: t.colors.text,
+  border: { type: "solid", pt: 0.5, color: "CCCCCC" },
+  valign: "middle"
+});
+
+// ── Slides ──
+
+function addTitleSlide(pptx, t, summary, { title, clientName }) {
+  const slide = pptx.addSlide({ masterName: "TITLE" });
+  if (clientName) {
+    slide.addText(clientName, { x: 0.6, y: 1.4, w: 8.8, h: 0.4, fontFace: t.fonts.body, fontSize: 16, color: "FFFFFF" });
+  }
+  slide.addText(title, { x: 0.6, y: 1.8, w: 8.8, h: 1.0, fontFace: t.fonts.heading, fontSize: 36, bold: true, color: "FFFFFF" });
+  slide.addShape(pptx.ShapeType.rect, { x: 0.6, y: 2.85, w: 1.5, h: 0.06, fill: { color: t.colors.accent }, line: { color: t.colors.accent } });
+  slide.addText(describePeriod(summary.period), { x: 0.6, y: 3.05, w: 8.8, h: 0.4, fontFace: t.fonts.body, fontSize: 16, color: "FFFFFF" });
+  const storeCount = Object.keys(summary.stores || {}).length;
+  slide.addText(`${storeCount} store${storeCount === 1 ? "" : "s"} · prepared ${new Date().toISOString().slice(0, 10)}`, {
+    x: 0.6, y: 3.45, w: 8.8, h: 0.3, fontFace: t.fonts.body, fontSize: 11, color: "D1D5DB"
+  });
+}
+
+function addScorecard(pptx, t, summary, { kpi, gaps }) {
+  const c = summary.consolidated;
+  const slide = addContentSlide(pptx, t, "KPI Scorecard", `Consolidated · ${describePeriod(summary.period)}`);
+
+  const tone = v => v === null || v === undefined ? t.colors.text : (v >= 0 ? t.colors.positive : t.colors.negative);
+
+  const tiles = [
+    { label: "Revenue", value: formatAmount(c.revenue), note: c.revenueLY ? `LY ${formatAmount(c.revenueLY)}` : "" },
+    { label: "YoY Growth", value: c.revenueLY ? formatPercent(c.yoyGrowth) : "-", color: c.revenueLY ? tone(c.yoyGrowth) : undefined },
+    { label: "EBITDA", value: formatAmount(c.ebitda), color: tone(c.ebitda) },
+    { label: "EBITDA Margin", value: formatPercent(c.ebitdaMargin), color: tone(c.ebitdaMargin) },
+    { label: "Food Cost", value: formatPercent(c.pnl.cogs.pctOfSales) },
+    { label: "Labor", value: formatPercent(c.pnl.labor.pctOfSales) }
+  ];
+
+  const sss = kpi?.compSales?.sameStoreSalesGrowth;
+  if (sss !== null && sss !== undefined) {
+    tiles.push({ label: "Same-Store Sales", value: formatPercent(sss), color: tone(sss) });
+  }
+  if (gaps?.consolidated?.healthScore !== null && gaps?.consolidated?.healthScore !== undefined) {
+    tiles.push({
+      label: "Benchmark Health",
+      value: `${gaps.consolidated.healthScore}/100`,
+      color: STATUS_COLOR(t)[gaps.consolidated.status],
+      note: `${(gaps.consolidated.status || "").toUpperCase()}`
+    });
+  }
+
+  const perRow = 4;
+  const tileW = 2.15;
+  const tileH = 1.6;
+  tiles.slice(0, 8).forEach((tile, i) => {
+    const x = 0.4 + (i % perRow) * (tileW + 0.1);
+    const y = BODY_Y + 0.2 + Math.floor(i / perRow) * (tileH + 0.2);
+    slide.addShape(pptx.ShapeType.rect, { x, y, w: tileW, h: tileH, fill: { color: t.colors.tile }, line: { color: t.colors.tile } });
+    slide.addText(tile.label, { x: x + 0.1, y: y + 0.1, w: tileW - 0.2, h: 0.3, fontFace: t.fonts.body, fontSize: 11, color: t.colors.muted });
+    slide.addText(tile.value, { x: x + 0.1, y: y + 0.45, w: tileW - 0.2, h: 0.6, fontFace: t.fonts.heading, fontSize: 24, bold: true, color: tile.color || t.colors.primary });
+    if (tile.note) {
+      slide.addText(tile.note, { x: x + 0.1, y: y + 1.1, w: tileW - 0.2, h: 0.3, fontFace: t.fonts.body, fontSize: 9, color: t.colors.muted });
+    }
+  });
+}
+
+function addTopBottom(pptx, t, summary, { kpi }) {
+  const table = kpi?.leagueTables?.ebitdaMargin;
+  const ranked = (table?.rows || []).filter(r => r.rank !== null);
+  if (!ranked.length) return;
+
+  // the two lists never share a store; a single store only appears on top
+  const n = Math.min(t.topStoreCount, Math.floor(ranked.length / 2));
+  const top = ranked.slice(0, Math.max(n, 1));
+  const bottom = n ? ranked.slice(-n).reverse() : [];
+
+  const slide = addContentSlide(pptx, t, "Top & Bottom Stores", `Ranked by EBITDA margin · ${ranked.length} stores`);
+
+  const rowsFor = list => list.map(r => {
+    const s = summary.stores[r.store];
+    const move = r.rankChange === null ? "" : (r.rankChange > 0 ? `▲${r.rankChange}` : r.rankChange < 0 ? `▼${-r.rankChange}` : "–");
+    return [String(r.rank), r.store, formatAmount(s.revenue), formatPercent(r.value), move];
+  });
+
+  const header = ["#", "Store", "Revenue", "Margin", "Move"];
+  const align = ["right", "left", "right", "right", "center"];
+  const colW = [0.35, 1.65, 1.1, 0.8, 0.55];
+
+  slide.addText("Top", { x: 0.4, y: BODY_Y + 0.05, w: 4.4, h: 0.3, fontFace: t.fonts.heading, fontSize: 13, bold: true, color: t.colors.positive });
+  slide.addTable(tableRows(t, header, rowsFor(top), align), tableOptions(t, 0.4, BODY_Y + 0.4, 4.45, colW));
+
+  if (!bottom.length) return;
+
+  slide.addText("Bottom", { x: 5.15, y: BODY_Y + 0.05, w: 4.4, h: 0.3, fontFace: t.fonts.heading, fontSize: 13, bold: true, color: t.colors.negative });
+  slide.addTable(tableRows(t, header, rowsFor(bottom), align), tableOptions(t, 5.15, BODY_Y + 0.4, 4.45, colW));
+}
+
+// Waterfall drawn with shapes: start and end bars from zero, each step
+// floats from the running total.
+function addWaterfall(pptx, t, summary, { variance }) {
+  const bridge = buildEbitdaBridge(summary, variance);
+  if (!bridge) return;
+
+  const slide = addContentSlide(pptx, t, "EBITDA Bridge",
+    bridge.against === "budget" ? "Budget to actual, consolidated" : "Prior year to current, consolidated");
+
+  const bars = [];
+  let running = bridge.base.value;
+  bars.push({ label: bridge.base.label, from: 0, to: running, kind: "total" });
+  bridge.steps.forEach(step => {
+    bars.push({ label: step.label, from: running, to: running + step.value, kind: step.value >= 0 ? "up" : "down", value: step.value });
+    running += step.value;
+  });
+  bars.push({ label: bridge.end.label, from: 0, to: bridge.end.value, kind: "total" });
+
+  const values = bars.flatMap(b => [b.from, b.to]);
+  const max = Math.max(0, ...values);
+  const min = Math.min(0, ...values);
+  const span = max - min || 1;
+
+  const chartX = 0.6;
+  const chartY = BODY_Y + 0.35;
+  const chartH = 3.0;
+  const slot = (W - 1.2) / bars.length;
+  const yOf = v => chartY + ((max - v) / span) * chartH;
+
+  // zero line
+  slide.addShape(pptx.ShapeType.line, { x: chartX, y: yOf(0), w: W - 1.2, h: 0, line: { color: "9CA3AF", width: 0.75 } });
+
+  const colorOf = kind => kind === "total" ? t.colors.primary : kind === "up" ? t.colors.positive : t.colors.negative;
+
+  bars.forEach((b, i) => {
+    const top = yOf(Math.max(b.from, b.to));
+    const h = Math.max(Math.abs(yOf(b.from) - yOf(b.to)), 0.01);
+    const x = chartX + i * slot + slot * 0.15;
+    const w = slot * 0.7;
+    slide.addShape(pptx.ShapeType.rect, { x, y: top, w, h, fill: { color: colorOf(b.kind) }, line: { color: colorOf(b.kind) } });
+    const label = b.kind === "total" ? formatAmount(b.to) : `${b.value >= 0 ? "+" : ""}${formatAmount(b.value)}`;
+    slide.addText(label, { x: x - 0.1, y: top - 0.28, w: w + 0.2, h: 0.25, fontFace: t.fonts.body, fontSize: 9, bold: true, align: "center", color: t.colors.text });
+    slide.addText(b.label, { x: x - 0.1, y: chartY + chartH + 0.1, w: w + 0.2, h: 0.45, fontFace: t.fonts.body, fontSize: 8, align: "center", valign: "top", color: t.colors.muted });
+  });
+}
+
+function addBenchmark(pptx, t, summary, { benchmark, gaps }) {
+  if (!benchmark || !gaps) return;
+
+  const meta = benchmark.meta || {};
+  const slide = addContentSlide(pptx, t, "Benchmark Comparison",
+    meta.source === "library"
+      ? `Library v${meta.version} · ${meta.industry} / ${meta.segment} / ${meta.region}${meta.unsourced ? " · unsourced placeholders, indicative only" : ""}`
+      : (meta.warning || ""));
+
+  const metrics = GAP_METRICS.filter(m => gaps.consolidated.metrics[m.key]).map(m => gaps.consolidated.metrics[m.key]);
+
+  slide.addChart(pptx.ChartType.bar, [
+    { name: "Actual",    labels: metrics.map(m => m.label), values: metrics.map(m => Number(m.actual.toFixed(1))) },
+    { name: "Benchmark", labels: metrics.map(m => m.label), values: metrics.map(m => m.benchmark) }
+  ], {
+    x: 0.4, y: BODY_Y + 0.1, w: 4.6, h: 3.8,
+    barDir: "col",
+    chartColors: [t.colors.primary, t.colors.accent],
+    showLegend: true, legendPos: "b", legendFontSize: 9,
+    showValue: true, dataLabelFontSize: 8, dataLabelFormatCode: "0.0",
+    catAxisLabelFontSize: 9, valAxisLabelFontSize: 8,
+    valAxisLabelFormatCode: "0"
+  });
+
+  const colors = STATUS_COLOR(t);
+  const rows = metrics.map(m => [
+    m.label,
+    formatPercent(m.actual),
+    formatPercent(m.benchmark),
+    formatPoints(m.gapPts),
+    { text: m.status.toUpperCase(), color: colors[m.status] }
+  ]);
+  slide.addTable(tableRows(t, ["Metric", "Actual", "Bench", "Gap", "Status"], rows, ["left", "right", "right", "right", "center"]),
+    tableOptions(t, 5.2, BODY_Y + 0.2, 4.4, [1.4, 0.75, 0.75, 0.8, 0.7]));
+
+  const worst = Object.entries(gaps.stores).sort((a, b) => b[1].totalGapDollars - a[1].totalGapDollars)[0];
+  if (worst && worst[1].totalGapDollars > 0) {
+    slide.addText(`Largest gap: ${worst[0]} — ${formatAmount(worst[1].totalGapDollars)} a period against benchmark`, {
+      x: 5.2, y: BODY_Y + 2.6, w: 4.4, h: 0.5, fontFace: t.fonts.body, fontSize: 10, italic: true, color: t.colors.muted
+    });
+  }
+}
+
+function addRegionSlides(pptx, t, summary, { kpi }) {
+  const rollups = kpi?.storeRollups;
+  if (!rollups) return;
+
+  Object.entries(rollups.region).forEach(([region, g]) => {
+    const slide = addContentSlide(pptx, t, `Region: ${region}`, `${g.storeCount} store${g.storeCount === 1 ? "" : "s"} · ${describePeriod(summary.period)}`);
+
+    const facts = [
+      ["Revenue", formatAmount(g.revenue)],
+      ["YoY Growth", g.revenueLY ? formatPercent(g.yoyGrowth) : "-"],
+      ["EBITDA", formatAmount(g.ebitda)],
+      ["EBITDA Margin", formatPercent(g.ebitdaMargin)],
+      ["Sales / sq ft", g.salesPerSqFt === null ? "-" : formatAmount(g.salesPerSqFt)],
+      ["Sales / seat", g.salesPerSeat === null ? "-" : formatAmount(g.salesPerSeat)]
+    ];
+    slide.addTable(tableRows(t, ["Metric", "Value"], facts, ["left", "right"]), tableOptions(t, 0.4, BODY_Y + 0.2, 3.0, [1.6, 1.4]));
+
+    const stores = Object.entries(rollups.stores)
+      .filter(([, r]) => r.region === region)
+      .map(([store]) => [store, summary.stores[store]])
+      .sort((a, b) => b[1].ebitdaMargin - a[1].ebitdaMargin);
+
+    const rows = stores.map(([store, s]) => [
+      store,
+      formatAmount(s.revenue),
+      s.revenueLY ? formatPercent(s.yoyGrowth) : "-",
+      formatAmount(s.ebitda),
+      { text: formatPercent(s.ebitdaMargin), color: s.ebitdaMargin < g.ebitdaMargin ? t.colors.negative : undefined }
+    ]);
+    slide.addTable(tableRows(t, ["Store", "Revenue", "YoY", "EBITDA", "Margin"], rows, ["left", "right", "right", "right", "right"]),
+      { ...tableOptions(t, 3.7, BODY_Y + 0.2, 5.9, [1.9, 1.1, 0.8, 1.1, 1.0]), autoPage: true, autoPageRepeatHeader: true, autoPageSlideStartY: BODY_Y + 0.2 });
+  });
+}
+
+function addCommentary(pptx, t, commentary, commentarySections) {
+  if (commentarySections) {
+    const slide = addContentSlide(pptx, t, "Executive Summary");
+    slide.addText(commentarySections.executiveSummary, {
+      x: 0.4, y: BODY_Y + 0.1, w: W - 0.8, h: BODY_H - 0.2, fontFace: t.fonts.body, fontSize: 14, color: t.colors.text, valign: "top"
+    });
+
+    if (commentarySections.actionItems.length) {
+      const actions = addContentSlide(pptx, t, "Action Items");
+      const rows = commentarySections.actionItems.map(a => [
+        { text: a.priority.toUpperCase(), color: a.priority === "high" ? t.colors.negative : a.priority === "medium" ? t.colors.accent : t.colors.neutral },
+        a.action,
+        a.store || "All stores"
+      ]);
+      actions.addTable(tableRows(t, ["Priority", "Action", "Store"], rows), {
+        ...tableOptions(t, 0.4, BODY_Y + 0.1, W - 0.8, [1.0, 6.0, 2.2]),
+        autoPage: true, autoPageRepeatHeader: true, autoPageSlideStartY: BODY_Y + 0.1
+      });
+    }
+    return;
+  }
+
+  if (!commentary) return;
+
+  // Free-text commentary: the opening section only — the full text is in
+  // the Word report.
+  const sections = commentary.split(/\n(?=#{1,3}\s)/);
+  const first = sections.find(s => s.replace(/^#.*\n?/, "").trim()) || commentary;
+  const heading = (first.match(/^#{1,3}\s+(.*)/) || [])[1] || "Commentary";
+  const body = first.replace(/^#{1,3}\s+.*\n?/, "").replace(/\*\*/g, "").trim();
+
+  const slide = addContentSlide(pptx, t, heading.replace(/\*\*/g, ""));
+  slide.addText(body.slice(0, 1500), {
+    x: 0.4, y: BODY_Y + 0.1, w: W - 0.8, h: BODY_H - 0.2, fontFace: t.fonts.body, fontSize: 12, color: t.colors.text, valign: "top", fit: "shrink"
+  });
+}
+
+/**
+ * Builds the deck and returns it as a Buffer. `template` is a name from
+ * slideTemplates.js or an override object; `theme`, a report theme
+ * (reportThemes.js), brands the deck underneath it. Slides without data (no budget
+ * and no prior year, no benchmark, no store master regions) are left out.
+ */
+export async function generatePptxReport(
+  summary,
+  benchmark,
+  commentary,
+  { gaps, commentarySections, variance, kpi, template, theme, title = "Financial Performance Review", clientName } = {}
+) {
+  const t = resolveSlideTemplate(template, theme ? resolveReportTheme(theme) : null);
+
+  const pptx = new PptxGenJS();
+  pptx.layout = t.layout;
+  pptx.title = title;
+
+  defineMasters(pptx, t);
+
+  addTitleSlide(pptx, t, summary, { title, clientName });
+  addScorecard(pptx, t, summary, { kpi, gaps });
+  addTopBottom(pptx, t, summary, { kpi });
+  addWaterfall(pptx, t, summary, { variance });
+  addBenchmark(pptx, t, summary, { benchmark, gaps });
+  addRegionSlides(pptx, t, summary, { kpi });
+  addCommentary(pptx, t, commentary, commentarySections);
+
+  return pptx.write({ outputType: "nodebuffer" });
+}
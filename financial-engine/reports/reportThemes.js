@@ -0,0 +1,147 @@
+// Report themes (client branding) shared by every document generator:
+// Word (both the board report and the markdown export), Excel, PowerPoint
+// and the charts. A request picks one by name, or passes an object that is
+// merged over a named theme ({ base: "classic", colors: {...} }).
+//
+// Colors are 6-digit hex without "#". `logo` is { data, width, height }:
+// base64 or a data: URL (PNG or JPEG), size in pixels as printed.
+
+export const REPORT_THEMES = {
+
+  default: {
+    fonts: { heading: "Arial", body: "Arial" },
+    colors: {
+      primary:         "1E3A8A",  // titles, Heading 1, rules
+      secondary:       "2E5FAA",  // Heading 2 / 3
+      accent:          "F59E0B",
+      text:            "000000",
+      muted:           "555555",  // notes, captions
+      tableHeader:     "1E3A8A",
+      tableHeaderText: "FFFFFF",
+      tableStripe:     "F2F5FB",
+      border:          "CCCCCC",
+      positive:        "15803D",
+      negative:        "B91C1C"
+    },
+    chartPalette: ["1E3A8A", "F59E0B", "15803D", "B91C1C", "2E5FAA", "7C3AED", "0891B2", "DB2777"],
+    logo: null,
+    page: { size: "letter", margin: 1 },   // "letter" | "a4"; margin in inches
+    header: null,                          // text at the top of every page
+    footer: null,                          // text at the bottom of every page
+    confidentiality: null,                 // notice under the footer
+    pageNumbers: true
+  },
+
+  classic: {
+    fonts: { heading: "Georgia", body: "Calibri" },
+    colors: {
+      primary:     "7F1D1D",
+      secondary:   "44403C",
+      accent:      "B45309",
+      text:        "1C1917",
+      muted:       "57534E",
+      tableHeader: "44403C",
+      tableStripe: "F5F5F4",
+      border:      "D6D3D1"
+    },
+    chartPalette: ["7F1D1D", "B45309", "44403C", "A8A29E", "15803D", "1E3A8A"],
+    page: { size: "a4", margin: 0.8 },
+    confidentiality: "Confidential — not for distribution"
+  }
+};
+
+// Page sizes in DXA (twentieths of a point; 1440 per inch)
+export const PAGE_SIZES = {
+  letter: { width: 12240, height: 15840 },
+  a4:     { width: 11906, height: 16838 }
+};
+
+const isObject = v => v && typeof v === "object" && !Array.isArray(v);
+
+function merge(base, override) {
+  const out = { ...base };
+  Object.entries(override || {}).forEach(([k, v]) => {
+    out[k] = isObject(v) && isObject(base[k]) ? merge(base[k], v) : v;
+  });
+  return out;
+}
+
+const HEX_COLOR = /^[0-9A-Fa-f]{6}$/;
+
+// Every color and palette entry must be 6-digit hex — the generators
+// write them straight into the documents, where anything else breaks
+function checkColors(theme) {
+  const colors = [
+    ...Object.entries(theme.colors || {}).map(([key, value]) => [`colors.${key}`, value]),
+    ...(theme.chartPalette || []).map((value, i) => [`chartPalette[${i}]`, value])
+  ];
+  colors.forEach(([name, value]) => {
+    if (typeof value !== "string" || !HEX_COLOR.test(value)) {
+      throw new Error(`Theme color ${name} must be 6-digit hex without "#" (got ${JSON.stringify(value)})`);
+    }
+  });
+}
+
+/**
+ * Theme by name or override object, always complete (merged over
+ * "default"). Unknown names and page sizes, and colors that are not
+ * 6-digit hex, throw.
+ */
+export function resolveReportTheme(theme) {
+  if (!theme) return REPORT_THEMES.default;
+
+  let resolved;
+  if (typeof theme === "string") {
+    if (!REPORT_THEMES[theme]) {
+      throw new Error(`Unknown report theme "${theme}" (available: ${Object.keys(REPORT_THEMES).join(", ")})`);
+    }
+    resolved = merge(REPORT_THEMES.default, REPORT_THEMES[theme]);
+  } else {
+    const { base, ...overrides } = theme;
+    resolved = merge(resolveReportTheme(base), overrides);
+  }
+
+  checkColors(resolved);
+
+  const size = String(resolved.page.size).toLowerCase();
+  if (!PAGE_SIZES[size]) {
+    throw new Error(`Unknown page size "${resolved.page.size}" (available: ${Object.keys(PAGE_SIZES).join(", ")})`);
+  }
+  return { ...resolved, page: { ...resolved.page, size } };
+}
+
+/**
+ * Page geometry in DXA for a resolved theme.
+ */
+export function pageGeometry(theme) {
+  const { width, height } = PAGE_SIZES[theme.page.size];
+  const margin = Math.round(theme.page.margin * 1440);
+  return { width, height, margin, contentWidth: width - margin * 2 };
+}
+
+/**
+ * Decoded logo — { buffer, type: "png" | "jpg", base64, mime, width,
+ * height } — or null when the theme has none.
+ */
+export function themeLogo(theme) {
+  if (!theme.logo?.data) return null;
+
+  const match = String(theme.logo.data).match(/^data:([^;]+);base64,(.*)$/s);
+  const base64 = (match ? match[2] : theme.logo.data).replace(/\s/g, "");
+  const buffer = Buffer.from(base64, "base64");
+
+  // PNG starts 89 50 4E 47, JPEG FF D8
+  const type = buffer[0] === 0x89 && buffer[1] === 0x50 ? "png"
+    : buffer[0] === 0xff && buffer[1] === 0xd8 ? "jpg"
+    : null;
+  if (!type) throw new Error("Theme logo must be a PNG or JPEG image");
+
+  return {
+    buffer,
+    base64,
+    type,
+    mime: type === "png" ? "image/png" : "image/jpeg",
+    width: theme.logo.width || 120,
+    height: theme.logo.height || 40
+  };
+}
@@ -0,0 +1,100 @@
+import { themeLogo } from "./reportThemes.js";
+
+// Slide templates for the PowerPoint deck. A request picks one by name, or
+// passes an object that is merged over "default" (so a client only has to
+// override what differs, e.g. colors and logo). With a report theme the
+// theme's fonts, colors, logo and notice are laid over "default" first.
+//
+// Colors are 6-digit hex without "#". `logo` is { data: "image/png;base64,…" }
+// or { path } plus optional { w, h } in inches.
+
+export const SLIDE_TEMPLATES = {
+
+  default: {
+    layout: "LAYOUT_16x9",
+    fonts: { heading: "Arial", body: "Arial" },
+    colors: {
+      primary:     "1E3A8A",
+      secondary:   "2E5FAA",
+      accent:      "F59E0B",
+      text:        "1F2937",
+      muted:       "6B7280",
+      background:  "FFFFFF",
+      tile:        "F2F5FB",
+      positive:    "15803D",
+      negative:    "B91C1C",
+      neutral:     "6B7280",
+      tableHeader: "1E3A8A",
+      tableStripe: "F2F5FB"
+    },
+    footer: "Confidential — prepared for management",
+    logo: null,
+    topStoreCount: 5
+  },
+
+  dark: {
+    colors: {
+      primary:     "0F172A",
+      secondary:   "38BDF8",
+      text:        "0F172A",
+      tile:        "E2E8F0",
+      tableHeader: "0F172A",
+      tableStripe: "F1F5F9"
+    }
+  }
+};
+
+const isObject = v => v && typeof v === "object" && !Array.isArray(v);
+
+function merge(base, override) {
+  const out = { ...base };
+  Object.entries(override || {}).forEach(([k, v]) => {
+    out[k] = isObject(v) && isObject(base[k]) ? merge(base[k], v) : v;
+  });
+  return out;
+}
+
+/**
+ * Slide settings taken from a resolved report theme (reportThemes.js).
+ */
+export function slideTemplateFromTheme(theme) {
+  const { colors } = theme;
+  const logo = themeLogo(theme);
+  return {
+    fonts: theme.fonts,
+    colors: {
+      primary:     colors.primary,
+      secondary:   colors.secondary,
+      accent:      colors.accent,
+      text:        colors.text,
+      muted:       colors.muted,
+      positive:    colors.positive,
+      negative:    colors.negative,
+      tableHeader: colors.tableHeader,
+      tableStripe: colors.tableStripe
+    },
+    footer: theme.confidentiality || theme.footer || SLIDE_TEMPLATES.default.footer,
+    // pptxgenjs sizes in inches (96 px each)
+    logo: logo ? { data: `${logo.mime};base64,${logo.base64}`, w: logo.width / 96, h: logo.height / 96 } : null
+  };
+}
+
+/**
+ * Template by name or override object, over the report theme when one is
+ * given; unknown names throw.
+ */
+export function resolveSlideTemplate(template, theme) {
+  const defaults = theme ? merge(SLIDE_TEMPLATES.default, slideTemplateFromTheme(theme)) : SLIDE_TEMPLATES.default;
+  if (!template) return defaults;
+
+  if (typeof template === "string") {
+    if (!SLIDE_TEMPLATES[template]) {
+      throw new Error(`Unknown slide template "${template}" (available: ${Object.keys(SLIDE_TEMPLATES).join(", ")})`);
+    }
+    return merge(defaults, SLIDE_TEMPLATES[template]);
+  }
+
+  // { base: "dark", colors: {...} } — overrides on top of a named template
+  const { base, ...overrides } = template;
+  return merge(resolveSlideTemplate(base, theme), overrides);
+}
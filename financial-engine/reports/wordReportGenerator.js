@@ -1,60 +1,413 @@
 import {
-Document,Packer,Paragraph,HeadingLevel,
-Table,TableRow,TableCell,TextRun
+  Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType,
+  PageBreak, TableOfContents, BorderStyle
 } from "docx";
-import fs from "fs";
-import {v4 as uuidv4} from "uuid";
+import {
+  WORD_NUMBERING, buildWordStyles, buildWordSection,
+  buildWordTable, buildChartParagraph, markdownToElements, parseInlineMarkup
+} from "./markdownToWord.js";
+import { resolveReportTheme } from "./reportThemes.js";
+import { buildReportCharts } from "../charts/financialCharts.js";
+import { PNL_LINES } from "../calculations/pnlHierarchy.js";
+import { GAP_METRICS } from "../calculations/benchmarkGap.js";
+import { metricLabel } from "../ai/commentarySchema.js";
+import { formatAmount, formatPercent, formatPoints } from "../utils/numberUtils.js";
+
+// Board pack built from the engine's summary: cover, contents, consolidated
+// P&L, one page per store, benchmark comparison, budget variances and the
+// commentary. Returned as a Buffer — nothing is written to disk.
+
+const R = AlignmentType.RIGHT;
+const L = AlignmentType.LEFT;
+
+// Subtotals (lines derived from the ones above) print bold
+const SUBTOTAL_LINES = PNL_LINES.filter(l => !l.categories).map(l => l.key);
+
+const heading = (text, level = HeadingLevel.HEADING_1, pageBreakBefore = false) =>
+  new Paragraph({ text, heading: level, pageBreakBefore });
+
+const para = (text, opts = {}) =>
+  new Paragraph({ children: [new TextRun({ text, size: 22, ...opts })], spacing: { before: 60, after: 80 } });
+
+// italic caption in the theme's muted color (the "Note" style)
+const note = text => new Paragraph({ style: "Note", text });
+
+const spacer = () => new Paragraph({ text: "", spacing: { after: 160 } });
+
+function describePeriod(period) {
+  if (!period) return "";
+  const current = period.current?.periods || [];
+  const range = current.length > 1 ? `${current[0]} – ${current[current.length - 1]}` : (current[0] || period.latest);
+  return `${period.view} · ${range}`;
+}
+
+// ── P&L table ──
+function buildPnLTable(pnl, prior, theme) {
+  const keys = Object.keys(pnl);
+
+  const header = prior
+    ? ["", "Current", "% of Sales", "Prior Year", "% of Sales", "Change"]
+    : ["", "Amount", "% of Sales"];
+
+  const rows = keys.map(key => {
+    const line = pnl[key];
+    const row = [line.label, formatAmount(line.amount), formatPercent(line.pctOfSales)];
+    if (prior) {
+      const p = prior[key];
+      row.push(
+        formatAmount(p?.amount),
+        formatPercent(p?.pctOfSales),
+        p ? formatAmount(line.amount - p.amount) : "-"
+      );
+    }
+    return row;
+  });
+
+  const boldRows = keys
+    .map((key, i) => SUBTOTAL_LINES.includes(key) ? i + 1 : null)
+    .filter(i => i !== null);
+
+  return buildWordTable([header, ...rows], {
+    theme,
+    align: [L, R, R, R, R, R],
+    widths: prior ? [2760, 1400, 1100, 1400, 1100, 1600] : [4560, 2600, 2200],
+    boldRows
+  });
+}
+
+// ── Headline figures ──
+function buildKeyFigures(entity, storeCount, theme) {
+  const rows = [
+    ["Metric", "Value"],
+    ["Revenue", formatAmount(entity.revenue)],
+    ["Revenue (prior year)", entity.revenueLY ? formatAmount(entity.revenueLY) : "-"],
+    ["YoY growth", entity.revenueLY ? formatPercent(entity.yoyGrowth) : "-"],
+    ["EBITDA", formatAmount(entity.ebitda)],
+    ["EBITDA margin", formatPercent(entity.ebitdaMargin)]
+  ];
+  if (storeCount !== undefined) rows.push(["Stores", String(storeCount)]);
+  return buildWordTable(rows, { theme, align: [L, R], widths: [5360, 4000] });
+}
+
+// ── Benchmark gap rows (one entity) ──
+function gapRows(entityGaps) {
+  return GAP_METRICS
+    .filter(m => entityGaps?.metrics?.[m.key])
+    .map(m => {
+      const g = entityGaps.metrics[m.key];
+      return [
+        g.label,
+        formatPercent(g.actual),
+        formatPercent(g.benchmark),
+        formatPoints(g.gapPts),
+        formatAmount(g.gapDollars),
+        g.status.toUpperCase()
+      ];
+    });
+}
+
+const GAP_HEADER = ["Metric", "Actual", "Benchmark", "Gap", "$ Gap", "Status"];
+const GAP_ALIGN  = [L, R, R, R, R, L];
+
+function buildStoreGapTable(gaps, theme) {
+  const header = ["Store", "Food Cost", "Labor", "Rent", "EBITDA", "$ Gap", "Health", "Status"];
+  const pts = m => m ? formatPoints(m.gapPts) : "-";
+
+  const rows = Object.entries(gaps.stores).map(([store, g]) => [
+    store,
+    pts(g.metrics.foodCost),
+    pts(g.metrics.labor),
+    pts(g.metrics.rent),
+    pts(g.metrics.ebitdaMargin),
+    formatAmount(g.totalGapDollars),
+    g.healthScore ?? "-",
+    (g.status || "-").toUpperCase()
+  ]);
+
+  return buildWordTable([header, ...rows], {
+    theme,
+    align: [L, R, R, R, R, R, R, L],
+    widths: [1960, 1000, 1000, 1000, 1000, 1300, 900, 1200]
+  });
+}
+
+// ── Variance rows ──
+const VARIANCE_HEADER = ["Store", "Line", "Actual", "Budget", "Variance", "Var %", ""];
+const VARIANCE_ALIGN  = [L, L, R, R, R, R, L];
+const VARIANCE_WIDTHS = [1760, 1800, 1300, 1300, 1300, 900, 1000];
+
+const varianceRow = v => [
+  v.store,
+  v.label,
+  formatAmount(v.actual),
+  formatAmount(v.budget),
+  formatAmount(v.variance),
+  formatPercent(v.variancePct),
+  v.favorable ? "Fav" : "Unfav"
+];
+
+// ── Sections ──
+
+function buildCover(summary, benchmark, { title, clientName, theme }) {
+  const storeCount = Object.keys(summary.stores || {}).length;
+  const bm = benchmark?.meta;
+
+  const line = (text, size, opts = {}) => new Paragraph({
+    alignment: AlignmentType.CENTER,
+    spacing: { after: 200 },
+    children: [new TextRun({ text, size, ...opts })]
+  });
+
+  return [
+    new Paragraph({ text: "", spacing: { before: 3000 } }),
+    ...(clientName ? [line(clientName, 28, { color: theme.colors.muted })] : []),
+    line(title, 56, { bold: true, font: theme.fonts.heading, color: theme.colors.primary }),
+    new Paragraph({
+      text: "",
+      border: { bottom: { style: BorderStyle.SINGLE, size: 12, color: theme.colors.primary, space: 1 } },
+      spacing: { after: 400 }
+    }),
+    line(describePeriod(summary.period), 28),
+    line(`${summary.source || "Financial"} data · ${storeCount} store${storeCount === 1 ? "" : "s"} · ${summary.scope} scope`, 22, { color: theme.colors.muted }),
+    ...(bm ? [line(`Benchmark: ${bm.industry || ""} ${bm.segment || ""} ${bm.region || ""} (${bm.source}${bm.version ? ` v${bm.version}` : ""}${bm.unsourced ? ", unsourced placeholders" : ""})`.replace(/\s+/g, " "), 20, { color: theme.colors.muted })] : []),
+    line(`Prepared ${new Date().toISOString().slice(0, 10)}`, 20, { color: theme.colors.muted }),
+    new Paragraph({ children: [new PageBreak()] })
+  ];
+}
+
+function buildContents(theme) {
+  return [
+    // not a heading, so it stays out of its own table
+    new Paragraph({ children: [new TextRun({ text: "Contents", bold: true, font: theme.fonts.heading, size: 32, color: theme.colors.primary })], spacing: { after: 200 } }),
+    new TableOfContents("Contents", { hyperlink: true, headingStyleRange: "1-2" }),
+    note("Right-click and choose Update Field if page numbers are missing.")
+  ];
+}
+
+// `charts` is buildReportCharts() output, or {} for a report without them
+function buildConsolidated(summary, charts, theme) {
+  const storeCount = Object.keys(summary.stores || {}).length;
+  const chart = key => charts[key] ? [buildChartParagraph(charts[key], { theme })] : [];
+  return [
+    heading("Consolidated P&L", HeadingLevel.HEADING_1, true),
+    note(describePeriod(summary.period)),
+    buildKeyFigures(summary.consolidated, storeCount, theme),
+    spacer(),
+    ...chart("revenueTrend"),
+    buildPnLTable(summary.consolidated.pnl, summary.consolidated.pnlPrior, theme),
+    spacer(),
+    ...chart("ebitdaBridge"),
+    heading("Store Summary", HeadingLevel.HEADING_2),
+    buildWordTable([
+      ["Store", "Revenue", "YoY", "EBITDA", "EBITDA %"],
+      ...Object.entries(summary.stores || {}).map(([store, s]) => [
+        store,
+        formatAmount(s.revenue),
+        s.revenueLY ? formatPercent(s.yoyGrowth) : "-",
+        formatAmount(s.ebitda),
+        formatPercent(s.ebitdaMargin)
+      ])
+    ], { theme, align: [L, R, R, R, R], widths: [3160, 1700, 1200, 1700, 1600] }),
+    // comparisons only mean something with more than one store
+    ...(storeCount > 1 ? [spacer(), ...chart("storeMargins"), ...chart("costMix")] : [])
+  ];
+}
+
+function buildStorePage(store, s, { gaps, variance, kpi, commentarySections, theme }) {
+  const out = [heading(store, HeadingLevel.HEADING_2, true)];
+
+  const league = kpi?.leagueTables?.ebitdaMargin?.rows?.find(r => r.store === store);
+  if (league?.rank) {
+    out.push(note(`EBITDA margin rank ${league.rank} of ${kpi.leagueTables.ebitdaMargin.rankedCount} (quartile ${league.quartile})`));
+  }
+
+  out.push(buildKeyFigures(s, undefined, theme), spacer(), buildPnLTable(s.pnl, s.pnlPrior, theme), spacer());
+
+  const storeGaps = gapRows(gaps?.stores?.[store]);
+  if (storeGaps.length) {
+    out.push(heading("Against Benchmark", HeadingLevel.HEADING_3));
+    out.push(buildWordTable([GAP_HEADER, ...storeGaps], { theme, align: GAP_ALIGN }), spacer());
+  }
+
+  const storeVariances = (variance?.largest || []).filter(v => v.store === store);
+  if (storeVariances.length) {
+    out.push(heading("Largest Budget Variances", HeadingLevel.HEADING_3));
+    out.push(buildWordTable([VARIANCE_HEADER, ...storeVariances.map(varianceRow)], { theme, align: VARIANCE_ALIGN, widths: VARIANCE_WIDTHS }), spacer());
+  }
+
+  const findings = (commentarySections?.storeFindings || []).filter(f => f.store === store);
+  if (findings.length) {
+    out.push(heading("Findings", HeadingLevel.HEADING_3));
+    findings.forEach(f => out.push(new Paragraph({
+      numbering: { reference: "bullets", level: 0 },
+      children: parseInlineMarkup(`**${metricLabel(f.metric)} (${f.severity}):** ${f.finding}`)
+    })));
+  }
+
+  return out;
+}
+
+function buildBenchmarkSection(benchmark, gaps, theme) {
+  const out = [heading("Benchmark Comparison", HeadingLevel.HEADING_1, true)];
+
+  if (!benchmark) {
+    out.push(para("No benchmark was available for this industry, so stores were not scored."));
+    return out;
+  }
+
+  const bm = benchmark.meta || {};
+  out.push(note(bm.source === "library"
+    ? `Benchmark library v${bm.version} — ${bm.industry} / ${bm.segment} / ${bm.region}${bm.unsourced ? `. ${bm.warning}.` : ""}`
+    : `${bm.warning || "Benchmark source: " + (bm.source || "unknown")}`));
+
+  const rows = gaps ? gapRows(gaps.consolidated) : [];
+  if (rows.length) {
+    out.push(heading("Consolidated", HeadingLevel.HEADING_2));
+    out.push(buildWordTable([GAP_HEADER, ...rows], { theme, align: GAP_ALIGN }), spacer());
+  }
+
+  if (gaps && Object.keys(gaps.stores).length) {
+    out.push(heading("By Store", HeadingLevel.HEADING_2));
+    out.push(note(`Gaps in percentage points against benchmark; $ gap is the adverse gap at the store's sales. Green ≤ ${gaps.thresholds.green} pt, amber ≤ ${gaps.thresholds.amber} pts.`));
+    out.push(buildStoreGapTable(gaps, theme), spacer());
+  }
+
+  // where each figure comes from
+  const figures = Object.entries(bm.figures || {});
+  if (figures.length) {
+    out.push(heading("Sources", HeadingLevel.HEADING_2));
+    out.push(buildWordTable([
+      ["Figure", "Value", "Range", "Source"],
+      ...figures.map(([metric, f]) => [
+        metric,
+        formatPercent(f.value),
+        f.range ? `${formatPercent(f.range[0])} – ${formatPercent(f.range[1])}` : "-",
+        !f.source ? "-"
+          : f.source.unsourced ? `${f.source.title} (${f.source.compiled})`
+          : `${f.source.title} (${f.source.publisher}, ${f.source.compiled})`
+      ])
+    ], { theme, align: [L, R, R, L], widths: [2400, 1200, 2000, 3760] }));
+  }
+
+  return out;
+}
+
+function buildVarianceSection(variance, theme) {
+  const out = [heading("Variance Highlights", HeadingLevel.HEADING_1, true)];
 
+  if (!variance.aligned) {
+    out.push(note("The budget does not share the actuals' period labels; it was summed over its own matching view."));
+  }
+
+  const c = variance.consolidated;
+  const headline = ["sales", "ebitda", "netProfit"].filter(k => c[k]);
+  if (headline.length) {
+    out.push(heading("Consolidated", HeadingLevel.HEADING_2));
+    out.push(buildWordTable([
+      ["Line", "Actual", "Budget", "Variance", "Var %"],
+      ...headline.map(k => [c[k].label, formatAmount(c[k].actual), formatAmount(c[k].budget), formatAmount(c[k].variance), formatPercent(c[k].variancePct)])
+    ], { theme, align: [L, R, R, R, R] }), spacer());
+  }
+
+  if (variance.largest.length) {
+    out.push(heading("Largest Store Variances", HeadingLevel.HEADING_2));
+    out.push(note("Positive variance is favorable: above budget for sales, below budget for costs."));
+    out.push(buildWordTable([VARIANCE_HEADER, ...variance.largest.map(varianceRow)], { theme, align: VARIANCE_ALIGN, widths: VARIANCE_WIDTHS }));
+  }
+
+  const { actualOnly, budgetOnly } = variance.unmatchedStores;
+  if (actualOnly.length || budgetOnly.length) {
+    out.push(note(`Not compared — no budget: ${actualOnly.join(", ") || "none"}; budget only: ${budgetOnly.join(", ") || "none"}.`));
+  }
+
+  return out;
+}
+
+function buildCommentarySection(commentary, sections, theme) {
+  const out = [heading("Management Commentary", HeadingLevel.HEADING_1, true)];
+
+  if (!sections) {
+    out.push(...markdownToElements(commentary || "", { demoteH1: true, theme }));
+    return out;
+  }
+
+  out.push(heading("Executive Summary", HeadingLevel.HEADING_2), para(sections.executiveSummary));
+
+  if (sections.storeFindings.length) {
+    out.push(heading("Store Findings", HeadingLevel.HEADING_2));
+    const byStore = new Map();
+    sections.storeFindings.forEach(f => {
+      if (!byStore.has(f.store)) byStore.set(f.store, []);
+      byStore.get(f.store).push(f);
+    });
+    byStore.forEach((findings, store) => {
+      out.push(heading(store, HeadingLevel.HEADING_3));
+      findings.forEach(f => out.push(new Paragraph({
+        numbering: { reference: "bullets", level: 0 },
+        children: parseInlineMarkup(`**${metricLabel(f.metric)} (${f.severity}):** ${f.finding}`)
+      })));
+    });
+  }
+
+  if (sections.benchmarkComparison.length) {
+    out.push(heading("Benchmark Comparison", HeadingLevel.HEADING_2));
+    out.push(buildWordTable([
+      ["Metric", "Actual", "Benchmark", "Finding"],
+      ...sections.benchmarkComparison.map(b => [metricLabel(b.metric), formatPercent(b.actual), formatPercent(b.benchmark), b.finding])
+    ], { theme, align: [L, R, R, L], widths: [1800, 1100, 1100, 5360] }));
+  }
+
+  if (sections.actionItems.length) {
+    out.push(heading("Action Items", HeadingLevel.HEADING_2));
+    sections.actionItems.forEach(a => out.push(new Paragraph({
+      numbering: { reference: "numbers", level: 0 },
+      children: parseInlineMarkup(`**[${a.priority.toUpperCase()}]** ${a.action} *(${metricLabel(a.metric)}${a.store ? `, ${a.store}` : ""})*`)
+    })));
+  }
+
+  return out;
+}
+
+/**
+ * Builds the Word report and returns it as a Buffer.
+ *
+ * `commentarySections` (structured commentary) renders as typed sections
+ * and per-store findings; otherwise the markdown commentary is rendered
+ * as-is. `variance` adds the variance highlights, `kpi` the store ranks.
+ * Charts (revenue trend, EBITDA bridge, store margins, cost mix) are drawn
+ * unless `charts` is false. `theme` is a report theme name or override
+ * object (see reportThemes.js).
+ */
 export async function generateWordReport(
-summary,
-benchmark,
-commentary
-){
-
-const rows = [];
-
-rows.push(new TableRow({
-children:[
-new TableCell({children:[new Paragraph("Store")]}),
-new TableCell({children:[new Paragraph("Revenue")]}),
-new TableCell({children:[new Paragraph("EBITDA")]}),
-new TableCell({children:[new Paragraph("Margin %")]})
-]}));
-
-Object.keys(summary.stores||{}).forEach(store=>{
-const s = summary.stores[store];
-
-rows.push(new TableRow({
-children:[
-new TableCell({children:[new Paragraph(store)]}),
-new TableCell({children:[new Paragraph(s.revenue.toString())]}),
-new TableCell({children:[new Paragraph(s.ebitda.toString())]}),
-new TableCell({children:[new Paragraph(s.ebitdaMargin.toFixed(2))]})
-]}));
-});
-
-const table = new Table({rows});
-
-const doc = new Document({
-sections:[{
-children:[
-new Paragraph({
-text:"Financial MIS Report",
-heading:HeadingLevel.HEADING_1
-}),
-table,
-new Paragraph({
-text:"Management Commentary",
-heading:HeadingLevel.HEADING_2
-}),
-new Paragraph(commentary)
-]
-}]
-});
-
-const filePath=`/tmp/${uuidv4()}.docx`;
-const buffer=await Packer.toBuffer(doc);
-fs.writeFileSync(filePath,buffer);
-
-return filePath;
+  summary,
+  benchmark,
+  commentary,
+  { gaps, commentarySections, variance, kpi, charts = true, theme, title = "Financial MIS Report", clientName } = {}
+) {
+  const resolved = resolveReportTheme(theme);
+  const stores = Object.entries(summary.stores || {});
+  const rendered = charts ? buildReportCharts(summary, { variance, benchmark, formats: ["png"], theme: resolved }) : {};
+
+  const children = [
+    ...buildCover(summary, benchmark, { title, clientName, theme: resolved }),
+    ...buildContents(resolved),
+    ...buildConsolidated(summary, rendered, resolved),
+    heading("Store Performance", HeadingLevel.HEADING_1, true),
+    note(`${stores.length} store${stores.length === 1 ? "" : "s"}, one page each.`),
+    ...stores.flatMap(([store, s]) => buildStorePage(store, s, { gaps, variance, kpi, commentarySections, theme: resolved })),
+    ...buildBenchmarkSection(benchmark, gaps, resolved),
+    ...(variance ? buildVarianceSection(variance, resolved) : []),
+    ...buildCommentarySection(commentary, commentarySections, resolved)
+  ];
+
+  const doc = new Document({
+    title,
+    features: { updateFields: true },
+    numbering: WORD_NUMBERING,
+    styles: buildWordStyles(resolved),
+    // no header / footer on the cover
+    sections: [buildWordSection(children, { theme: resolved, coverPage: true })]
+  });
+
+  return Packer.toBuffer(doc);
 }
@@ -0,0 +1,13 @@
+// Store master records per client, keyed by clientId. Callers can also pass
+// a storeMaster array with the request. Each record:
+//
+//   {
+//     id: "S012",                         // canonical store ID
+//     name: "Downtown",                   // canonical display name
+//     aliases: ["Store #12", "DT - 012"], // other spellings seen in exports
+//     region: "West", district: "Bay Area", brand: "Ziel Burger",
+//     squareFeet: 2400, seats: 64,
+//     openDate: "2019-03-01", closeDate: null
+//   }
+
+export const STORE_MASTERS = {}
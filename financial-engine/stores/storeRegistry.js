@@ -0,0 +1,182 @@
+import {STORE_MASTERS} from "./storeMasters.js"
+
+const UNASSIGNED = "Unassigned"
+
+// "Store #012 - Downtown" and "store 12 downtown" normalize the same way.
+export function normalizeStoreName(name){
+  return String(name ?? "")
+    .toLowerCase()
+    .replace(/&/g," and ")
+    .replace(/[^a-z0-9]+/g," ")
+    .split(" ")
+    .filter(w => w && !["store","restaurant","location","unit","no"].includes(w))
+    .map(w => /^\d+$/.test(w) ? String(Number(w)) : w)
+    .join(" ")
+}
+
+// The store number in a header or ID: "Store #012 - Downtown" → "12",
+// "S-007" → "7". Null unless there is exactly one number.
+function storeNumber(name){
+  const numbers = String(name ?? "").match(/\d+/g) || []
+  return numbers.length === 1 ? String(Number(numbers[0])) : null
+}
+
+/**
+ * Creates a registry over store master records (see storeMasters.js).
+ *
+ * canonicalName(header) resolves a spreadsheet column header against each
+ * record's name, id and aliases (then, failing that, by store number when
+ * exactly one record's ID carries it) and returns the record's canonical
+ * name; headers that match nothing come back trimmed and are listed by
+ * report().
+ */
+export function createStoreRegistry({clientId, records} = {}){
+
+  const master = records || STORE_MASTERS[clientId] || []
+
+  const byKey = new Map()
+  const byName = new Map()
+  const byNumber = new Map()
+
+  master.forEach(record=>{
+
+    if(!record.id || !record.name)
+      throw new Error("Store master records need an id and a name")
+
+    byName.set(record.name, record)
+
+    const keys = [record.id, record.name, ...(record.aliases || [])]
+
+    keys.forEach(key=>{
+      const k = normalizeStoreName(key)
+      const existing = byKey.get(k)
+      if(existing && existing !== record)
+        throw new Error(`Store alias "${key}" matches both ${existing.id} and ${record.id}`)
+      byKey.set(k, record)
+    })
+
+    const number = storeNumber(record.id)
+    if(number !== null)
+      byNumber.set(number, byNumber.has(number) ? null : record)
+  })
+
+  const resolved = new Map()
+  const unresolved = new Set()
+
+  function canonicalName(header){
+
+    const raw = String(header ?? "").trim()
+    const record = byKey.get(normalizeStoreName(raw)) ||
+      byNumber.get(storeNumber(raw))
+
+    if(!record){
+      if(master.length) unresolved.add(raw)
+      return raw
+    }
+
+    resolved.set(raw, record.id)
+    return record.name
+  }
+
+  function get(name){
+    return byName.get(name) || null
+  }
+
+  // Open/close dates in the shape classifyStores() expects.
+  function storeDates(){
+    const dates = {}
+    master.forEach(r=>{
+      if(r.openDate || r.closeDate)
+        dates[r.name] = { openDate:r.openDate || null, closeDate:r.closeDate || null }
+    })
+    return dates
+  }
+
+  function report(){
+    return {
+      storeCount: master.length,
+      resolved: Object.fromEntries(resolved),
+      unresolved: [...unresolved]
+    }
+  }
+
+  return {canonicalName, get, storeDates, report, size: master.length}
+}
+
+function ratio(amount, base){
+  return base ? amount / base : null
+}
+
+// Group revenue per unit of `field` (squareFeet, seats), over only the
+// stores whose record gives that field — so stores with no record (or no
+// figure) leave both the revenue and the base.
+function groupRatio(entries, field){
+  const known = entries.filter(({record}) => record?.[field])
+  return ratio(
+    known.reduce((t, {s}) => t + s.revenue, 0),
+    known.reduce((t, {record}) => t + record[field], 0)
+  )
+}
+
+function rollupGroup(entries){
+
+  const g = entries.reduce((acc, {s, record})=>{
+    acc.storeCount++
+    acc.revenue += s.revenue
+    acc.revenueLY += s.revenueLY
+    acc.ebitda += s.ebitda
+    acc.squareFeet += record?.squareFeet || 0
+    acc.seats += record?.seats || 0
+    return acc
+  }, { storeCount:0, revenue:0, revenueLY:0, ebitda:0, squareFeet:0, seats:0 })
+
+  g.ebitdaMargin = g.revenue === 0 ? 0 : (g.ebitda / g.revenue) * 100
+  g.yoyGrowth = g.revenueLY === 0 ? 0 : ((g.revenue - g.revenueLY) / g.revenueLY) * 100
+  g.salesPerSqFt = groupRatio(entries, "squareFeet")
+  g.salesPerSeat = groupRatio(entries, "seats")
+
+  return g
+}
+
+/**
+ * Per-store master attributes with per-square-foot and per-seat KPIs, and
+ * region / district rollups. Figures cover the summary's selected period.
+ */
+export function buildStoreRollups(summary, registry){
+
+  const entries = Object.entries(summary.stores).map(([store, s]) => ({
+    store, s, record: registry.get(store)
+  }))
+
+  const stores = {}
+
+  entries.forEach(({store, s, record})=>{
+    stores[store] = {
+      storeId: record?.id || null,
+      region: record?.region || UNASSIGNED,
+      district: record?.district || UNASSIGNED,
+      brand: record?.brand || null,
+      squareFeet: record?.squareFeet || null,
+      seats: record?.seats || null,
+      salesPerSqFt: ratio(s.revenue, record?.squareFeet),
+      salesPerSeat: ratio(s.revenue, record?.seats),
+      ebitdaPerSqFt: ratio(s.ebitda, record?.squareFeet)
+    }
+  })
+
+  const groupBy = field => {
+    const groups = {}
+    entries.forEach(e=>{
+      const key = stores[e.store][field]
+      if(!groups[key]) groups[key] = []
+      groups[key].push(e)
+    })
+    return Object.fromEntries(Object.entries(groups).map(([k, list]) => [k, rollupGroup(list)]))
+  }
+
+  return {
+    stores,
+    district: groupBy("district"),
+    region: groupBy("region")
+  }
+}
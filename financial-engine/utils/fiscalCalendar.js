@@ -0,0 +1,119 @@
+// Fiscal calendars and period-label parsing for the period engine.
+//
+// monthly   — 12 calendar months, quarters of 3
+// 445       — 12 periods of 4/4/5 weeks, quarters of 3
+// 13period  — 13 four-week periods, quarters of 3/3/3/4 (common in R365)
+
+export const CALENDARS = {
+  monthly: {
+    name:"monthly",
+    periodsPerYear:12,
+    quarters:[3,3,3,3],
+    weeks:null
+  },
+  "445": {
+    name:"445",
+    periodsPerYear:12,
+    quarters:[3,3,3,3],
+    weeks:[4,4,5, 4,4,5, 4,4,5, 4,4,5]
+  },
+  "13period": {
+    name:"13period",
+    periodsPerYear:13,
+    quarters:[3,3,3,4],
+    weeks:Array(13).fill(4)
+  }
+}
+
+const MONTHS = ["jan","feb","mar","apr","may","jun","jul","aug","sep","oct","nov","dec"]
+
+function fullYear(y){
+  const n = Number(y)
+  return n < 100 ? 2000 + n : n
+}
+
+/**
+ * Reads a period column/sheet label. Returns
+ * { granularity: "year" | "month" | "period" | "unknown", fiscalYear, index }
+ * where index is the 1-based month/period within the year. fiscalYear is
+ * null when the label has none (e.g. "Period 4").
+ */
+export function parsePeriodLabel(label){
+
+  const s = String(label ?? "").trim().toLowerCase()
+  let m
+
+  // "2024", "FY 2024", "FY24"
+  if((m = s.match(/^(?:fy\s*)?((?:19|20)\d{2})$/)) || (m = s.match(/^fy\s*(\d{2})$/)))
+    return { granularity:"year", fiscalYear:fullYear(m[1]), index:1 }
+
+  // "2024-03", "2024/3"
+  if((m = s.match(/^((?:19|20)\d{2})[-/](\d{1,2})$/)))
+    return { granularity:"month", fiscalYear:Number(m[1]), index:Number(m[2]) }
+
+  // "03/2024", "3-24"
+  if((m = s.match(/^(\d{1,2})[-/]((?:19|20)?\d{2})$/)))
+    return { granularity:"month", fiscalYear:fullYear(m[2]), index:Number(m[1]) }
+
+  // "Mar 2024", "March-24", "mar"
+  if((m = s.match(/^([a-z]{3})[a-z]*\.?[\s\-']*((?:19|20)?\d{2})?$/)) && MONTHS.includes(m[1]))
+    return { granularity:"month", fiscalYear:m[2] ? fullYear(m[2]) : null, index:MONTHS.indexOf(m[1]) + 1 }
+
+  // "Period 3 2024", "P03 FY24", "2024 P3", "Period 3"
+  if((m = s.match(/^(?:(?:fy\s*)?((?:19|20)?\d{2})\s+)?(?:p|period)\s*0?(\d{1,2})(?:\s*[-\s]\s*(?:fy\s*)?((?:19|20)?\d{2}))?$/)))
+    return {
+      granularity:"period",
+      fiscalYear: m[1] || m[3] ? fullYear(m[1] || m[3]) : null,
+      index:Number(m[2])
+    }
+
+  return { granularity:"unknown", fiscalYear:null, index:null }
+}
+
+// Auto-picks a calendar: a period 13 means 13-period, otherwise monthly
+// unless the caller asked for one explicitly.
+export function resolveCalendar(requested, parsedPeriods){
+
+  if(requested && CALENDARS[requested]) return CALENDARS[requested]
+
+  if(parsedPeriods.some(p => p.index === 13)) return CALENDARS["13period"]
+
+  return CALENDARS.monthly
+}
+
+export function quarterOf(calendar, index){
+
+  let end = 0
+
+  for(let q = 0; q < calendar.quarters.length; q++){
+    end += calendar.quarters[q]
+    if(index <= end) return q + 1
+  }
+
+  return calendar.quarters.length
+}
+
+export function weeksIn(calendar, indexes){
+  if(!calendar.weeks) return null
+  return indexes.reduce((total, i) => total + (calendar.weeks[i - 1] || 0), 0)
+}
+
+/**
+ * Last day of a period label as a UTC date, or null when the label carries
+ * no year. Fiscal periods are placed from January 1 by their weeks (4-4-5,
+ * 13 × 4); monthly periods end with their month.
+ */
+export function periodEndDate(label, calendar = CALENDARS.monthly){
+
+  const {granularity, fiscalYear, index} = parsePeriodLabel(label)
+  if(fiscalYear === null || granularity === "unknown") return null
+
+  if(granularity === "year") return new Date(Date.UTC(fiscalYear, 11, 31))
+
+  if(granularity === "period" && calendar.weeks){
+    const days = weeksIn(calendar, Array.from({length:index}, (_, i) => i + 1)) * 7
+    return new Date(Date.UTC(fiscalYear, 0, days))
+  }
+
+  return new Date(Date.UTC(fiscalYear, index, 0))
+}
@@ -0,0 +1,302 @@
+// Checks that every amount and percentage in an AI reply can be traced to
+// the source data (or a figure derived from it), allowing for the rounding
+// the reply was written with.
+
+const SCALES = { k:1e3, thousand:1e3, m:1e6, mn:1e6, million:1e6, b:1e9, bn:1e9, billion:1e9 }
+
+// Sales / revenue rows and columns: other figures are indexed as a
+// percent of them
+const SALES_LABEL_RE = /^\W*(total |net |gross )?(sales|revenue)\b/i
+const SALES_KEYS = ["sales","revenue"]
+
+const NUMBER_RE = /(-|−)?(?:(\$|₹|£|€)\s?)?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(%|(?:k|m|mn|bn?)\b|[ ]?(?:thousand|million|billion)\b)?/gi
+
+function sentenceAround(text, index){
+  const start = Math.max(
+    text.lastIndexOf(". ", index) + 1,
+    text.lastIndexOf("\n", index) + 1,
+    0
+  )
+  const endDot = text.indexOf(". ", index)
+  const endLine = text.indexOf("\n", index)
+  const ends = [endDot === -1 ? text.length : endDot + 1, endLine === -1 ? text.length : endLine]
+  return { start, end: Math.min(...ends), text: text.slice(start, Math.min(...ends)).trim() }
+}
+
+/**
+ * Pulls amounts and percentages out of free text. Years, list numbering,
+ * identifiers glued to letters ("Q1", "P05", "FY24") and bare small counts
+ * ("3 stores") are skipped — they are not figures to verify.
+ */
+export function extractNumbers(text, {keepSmall = false} = {}){
+
+  const found = []
+  const s = String(text || "")
+  let m
+
+  NUMBER_RE.lastIndex = 0
+
+  while((m = NUMBER_RE.exec(s)) !== null){
+
+    const [raw, minus, currency, intPart, fraction, suffixRaw] = m
+    const before = s[m.index - 1] || ""
+    const after = s[m.index + raw.length] || ""
+    const parenthesized = before === "(" && after === ")"
+
+    if(/[A-Za-z_]/.test(before) || /[A-Za-z_\d]/.test(after)) continue
+    // "1." / "12)" at the start of a line is list numbering
+    if(/(^|\n)\s*$/.test(s.slice(0, m.index)) && /^[.)]/.test(s.slice(m.index + raw.length))) continue
+
+    const suffix = (suffixRaw || "").trim().toLowerCase()
+    const isPercent = suffix === "%"
+    const scale = SCALES[suffix] || 1
+    const hasCommas = intPart.includes(",")
+    const decimals = fraction ? fraction.length - 1 : 0
+
+    let value = Number(intPart.replace(/,/g,"") + (fraction || "")) * scale
+    if(minus || parenthesized) value = -value
+
+    const plainInt = !isPercent && !currency && !hasCommas && !fraction && scale === 1
+    if(plainInt && value >= 1900 && value <= 2100) continue
+    if(plainInt && Math.abs(value) <= 12 && !keepSmall) continue
+
+    found.push({
+      raw,
+      value,
+      isPercent,
+      decimals,
+      scale,
+      index: m.index,
+      sentence: sentenceAround(s, m.index).text
+    })
+  }
+
+  return found
+}
+
+// Change between two figures: amount, and percent when the base is not 0
+const change = (a, b) => b === 0 ? [a - b] : [a - b, ((a - b) / Math.abs(b)) * 100]
+
+const amountOf = v =>
+  typeof v === "number" && Number.isFinite(v) ? v :
+  typeof v?.amount === "number" && Number.isFinite(v.amount) ? v.amount : null
+
+// Current vs prior figures at the same place in two structures
+// (pnl / pnlPrior, revenue / revenueLY).
+function pairLeaves(current, prior, out){
+  const a = amountOf(current)
+  const b = amountOf(prior)
+  if(a !== null && b !== null) out.push(...change(a, b))
+  if(current && prior && typeof current === "object" && typeof prior === "object")
+    Object.keys(current).forEach(k => { if(k in prior) pairLeaves(current[k], prior[k], out) })
+}
+
+// Numbers of a data object (an engine summary) plus the figures relating
+// its own lines: each line as a percent of the object's sales, current vs
+// prior-year keys, and consecutive entries of a series.
+function collectFromObject(value, out, base){
+
+  if(typeof value === "number" && Number.isFinite(value)) base.push(value)
+  else if(typeof value === "string"){
+    extractNumbers(value, {keepSmall:true}).forEach(n => base.push(n.value))
+  }
+  else if(Array.isArray(value)){
+    value.forEach((v, i) => {
+      if(i > 0 && v && typeof v === "object" && !Array.isArray(v)) pairLeaves(v, value[i - 1], out)
+      collectFromObject(v, out, base)
+    })
+  }
+  else if(value && typeof value === "object"){
+
+    const sales = amountOf(value.sales) ?? amountOf(value.revenue)
+    Object.entries(value).forEach(([k, v]) => {
+      const amount = amountOf(v)
+      if(sales && amount !== null && !SALES_KEYS.includes(k)) out.push((amount / sales) * 100)
+
+      const prior = value[`${k}Prior`] ?? value[`${k}LY`]
+      if(prior !== undefined) pairLeaves(v, prior, out)
+
+      collectFromObject(v, out, base)
+    })
+  }
+}
+
+// Cells of a delimited line: tab or pipe tables, CSV (quote-aware, and
+// leaving "1,234,567" whole) or columns laid out with runs of spaces. One
+// cell when the line is prose.
+function splitCells(line){
+  if(/[\t|]/.test(line)) return line.split(/[\t|]/)
+  const csv = line.split(/,(?!\d{3}(?:\D|$))(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+  return csv.length > 1 ? csv : line.split(/ {2,}/)
+}
+
+// The value a cell holds when it is a single number, else null.
+function cellValue(cell){
+  const nums = extractNumbers(cell, {keepSmall:true})
+  return nums.length === 1 ? nums[0].value : null
+}
+
+// Numbers of document text (CSV sheets, OCR / PDF tables) plus the figures
+// relating a line to itself and to sales: changes between neighbouring
+// columns and across the whole row, the row total, and each value as a
+// percent of the sales row (same column) or sales column (same row).
+function collectFromText(text, out, base){
+
+  extractNumbers(text, {keepSmall:true}).forEach(n => base.push(n.value))
+
+  let salesRow = null
+  let salesCol = null
+
+  text.split("\n").forEach(line => {
+
+    // a heading or blank line starts a new table
+    if(!line.trim() || /^\s*#/.test(line)){
+      salesRow = null
+      salesCol = null
+      return
+    }
+
+    let cells = splitCells(line)
+    let values = cells.map(cellValue)
+    // prose: numbers in reading order
+    if(cells.length === 1){
+      values = extractNumbers(line, {keepSmall:true}).map(n => n.value)
+      cells = values.map(() => "")
+    }
+
+    const known = values.map((v, i) => [v, i]).filter(([v]) => v !== null)
+
+    if(!known.length){
+      const col = cells.findIndex(c => SALES_LABEL_RE.test(c))
+      if(col !== -1) salesCol = col
+      return
+    }
+
+    known.forEach(([v], i) => {
+      if(Math.abs(v) <= 1) out.push(v * 100)
+      if(i > 0) out.push(...change(v, known[i - 1][0]))
+    })
+    if(known.length > 2) out.push(...change(known[known.length - 1][0], known[0][0]))
+    if(known.length > 1) out.push(known.reduce((t, [v]) => t + v, 0))
+
+    if(SALES_LABEL_RE.test(cells[0] || line)){
+      salesRow = values
+      return
+    }
+
+    known.forEach(([v, i]) => {
+      const rowSales = salesRow?.[i]
+      if(rowSales) out.push((v / rowSales) * 100)
+      const colSales = salesCol !== null && salesCol !== i ? values[salesCol] : null
+      if(colSales) out.push((v / colSales) * 100)
+    })
+  })
+}
+
+/**
+ * Every number the reply may legitimately use: the source's own numbers and
+ * the figures derived from related pairs of them — the same line across
+ * periods, a line against sales (see collectFromObject / collectFromText).
+ * Unrelated numbers are not combined, so invented figures don't pass by
+ * coincidence. Returned sorted for range search.
+ */
+export function buildSourceIndex(source){
+
+  const base = []
+  const derived = []
+
+  if(typeof source === "string") collectFromText(source, derived, base)
+  else collectFromObject(source, derived, base)
+
+  return {
+    count: new Set(base).size,
+    sorted: Float64Array.from([...base, ...derived].filter(Number.isFinite).map(Math.abs)).sort()
+  }
+}
+
+function hasValueWithin(sorted, lo, hi){
+  let left = 0
+  let right = sorted.length
+  while(left < right){
+    const mid = (left + right) >> 1
+    if(sorted[mid] < lo) left = mid + 1
+    else right = mid
+  }
+  return left < sorted.length && sorted[left] <= hi
+}
+
+// Half a unit of the precision the reply was written at: "12.3%" covers
+// 12.25–12.35, "1.2M" covers 1.15M–1.25M, "1,234" covers 1233.5–1234.5.
+function tolerance(n){
+  return 0.5 * Math.pow(10, -n.decimals) * n.scale + 1e-9
+}
+
+/**
+ * Validates a reply against its source (document text or a data object).
+ *
+ * Returns { checked, grounded, ungrounded: [{ raw, value, sentence }],
+ * score, ok }. score is the grounded share (1 when nothing to check).
+ */
+export function validateGrounding(reply, source, {index} = {}){
+
+  const idx = index || buildSourceIndex(source)
+  const numbers = extractNumbers(reply)
+
+  const ungrounded = []
+
+  numbers.forEach(n=>{
+    const tol = tolerance(n)
+    const ok =
+      hasValueWithin(idx.sorted, n.value - tol, n.value + tol) ||
+      hasValueWithin(idx.sorted, -n.value - tol, -n.value + tol)
+    if(!ok) ungrounded.push({ raw:n.raw, value:n.value, sentence:n.sentence })
+  })
+
+  const checked = numbers.length
+
+  return {
+    checked,
+    grounded: checked - ungrounded.length,
+    ungrounded,
+    score: checked === 0 ? 1 : Number(((checked - ungrounded.length) / checked).toFixed(3)),
+    ok: ungrounded.length === 0,
+    sourceNumbers: idx.count
+  }
+}
+
+/**
+ * Marks each sentence holding an untraceable number with an inline note.
+ */
+export function annotateUngrounded(reply, report){
+
+  if(!report?.ungrounded?.length) return reply
+
+  let out = reply
+  const bySentence = new Map()
+
+  report.ungrounded.forEach(u=>{
+    if(!u.sentence) return
+    if(!bySentence.has(u.sentence)) bySentence.set(u.sentence, [])
+    bySentence.get(u.sentence).push(u.raw)
+  })
+
+  bySentence.forEach((raws, sentence)=>{
+    // a function, so "$&" or "$'" in the text are not read as patterns
+    out = out.replace(sentence, () => `${sentence} ⚠️ [unverified: ${raws.join(", ")}]`)
+  })
+
+  return out
+}
+
+/**
+ * Instruction appended to the prompt when regenerating a reply that used
+ * untraceable numbers.
+ */
+export function buildGroundingFeedback(report){
+  const list = report.ungrounded.map(u => `- ${u.raw} (in: "${u.sentence.slice(0, 160)}")`).join("\n")
+  return `CORRECTION REQUIRED: your previous answer used these numbers, which do not appear in the source data and cannot be derived from it:
+${list}
+Rewrite the answer using ONLY figures present in the source data. If a figure is not available, say so instead of estimating it.`
+}
+
+export const GROUNDING_MODES = ["off","report","annotate","regenerate"]
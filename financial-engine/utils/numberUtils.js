@@ -4,11 +4,46 @@ if(v===null||v===undefined) return 0;
 
 if(typeof v==="number") return v;
 
-const cleaned = v.toString()
+const raw = v.toString().trim();
+
+// accounting negatives: (1,234) → -1234
+const negative = /^\(.*\)$/.test(raw);
+
+const cleaned = raw
 .replace(/[$,()%]/g,"")
 .trim();
 
 const num = Number(cleaned);
 
-return isNaN(num)?0:num;
+if(isNaN(num)) return 0;
+
+return negative?-num:num;
+}
+
+// Report formatting: whole amounts with US commas, percentages to one
+// decimal, negatives with a leading minus. Missing values print as "-".
+
+const missing = v => v===null||v===undefined||!Number.isFinite(v);
+
+// toFixed without "-0.0"
+const fixed = (v,decimals) => {
+const f = v.toFixed(decimals);
+return Number(f)===0 ? (0).toFixed(decimals) : f;
+};
+
+export function formatAmount(v,decimals=0){
+if(missing(v)) return "-";
+return Number(fixed(v,decimals)).toLocaleString("en-US",{minimumFractionDigits:decimals,maximumFractionDigits:decimals});
+}
+
+export function formatPercent(v,decimals=1){
+if(missing(v)) return "-";
+return `${fixed(v,decimals)}%`;
+}
+
+// signed percentage-point change, e.g. "+1.2 pts"
+export function formatPoints(v,decimals=1){
+if(missing(v)) return "-";
+const f = fixed(v,decimals);
+return `${Number(f)>=0?"+":""}${f} pts`;
 }
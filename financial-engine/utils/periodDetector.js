@@ -5,6 +5,7 @@ const p = prompt.toLowerCase();
 if(p.includes("ytd")) return "YTD";
 if(p.includes("qtd")) return "QTD";
 if(p.includes("mtd")) return "MTD";
+if(p.includes("ttm") || p.includes("t12") || p.includes("trailing")) return "T12";
 if(p.includes("year")) return "YEAR";
 
 return "MTD";
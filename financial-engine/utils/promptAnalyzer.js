@@ -1,3 +1,5 @@
+// EBITDA or NET_PROFIT when the prompt asks about one (the P&L then ends
+// at that line); otherwise FULL.
 export function detectAnalysisScope(prompt){
 
   const p = prompt.toLowerCase()
@@ -0,0 +1,58 @@
+// Tabular views of structured exports (JSON, or XML parsed to objects).
+// Every array of records becomes a sheet of CSV rows — the shape
+// analyze-file builds from workbooks, so exports are analyzed (and
+// chunked) like spreadsheets.
+
+const isPlainObject = v => v !== null && typeof v === "object" && !Array.isArray(v)
+
+// An array is a table when at least half of its items are objects
+const isRecordArray = v => Array.isArray(v) && v.length > 0 && v.filter(isPlainObject).length * 2 >= v.length
+
+// Nested objects become dotted columns; arrays inside a record stay JSON
+function flatten(record, prefix = "", out = {}){
+  Object.entries(record).forEach(([k, v]) => {
+    const key = prefix ? `${prefix}.${k}` : k
+    if (isPlainObject(v)) flatten(v, key, out)
+    else out[key] = Array.isArray(v) ? JSON.stringify(v) : v
+  })
+  return out
+}
+
+function csvCell(v){
+  if (v === null || v === undefined) return ""
+  const s = String(v)
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+function toSheet(name, records){
+  const rows = records.filter(isPlainObject).map(r => flatten(r))
+  const columns = [...new Set(rows.flatMap(r => Object.keys(r)))]
+  return {
+    name,
+    rows: [columns.map(csvCell).join(","), ...rows.map(r => columns.map(c => csvCell(r[c])).join(","))]
+  }
+}
+
+/**
+ * Sheets ([{ name, rows: [csvLine, …] }]) for every array of records in
+ * `data`, named by path ("orders", "report.stores"). Values outside the
+ * tables go to a leading "Fields" sheet (path, value). Empty when `data`
+ * holds no records.
+ */
+export function recordsToSheets(data){
+  const tables = []
+  const fields = []
+
+  const walk = (value, path) => {
+    if (isRecordArray(value)) tables.push(toSheet(path || "records", value))
+    else if (Array.isArray(value)) value.forEach((v, i) => walk(v, `${path}[${i}]`))
+    else if (isPlainObject(value)) Object.entries(value).forEach(([k, v]) => walk(v, path ? `${path}.${k}` : k))
+    else fields.push([path || "value", value])
+  }
+  walk(data, "")
+
+  if (!tables.length) return []
+  return fields.length
+    ? [{ name: "Fields", rows: ["path,value", ...fields.map(f => f.map(csvCell).join(","))] }, ...tables]
+    : tables
+}
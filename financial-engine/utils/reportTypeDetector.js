@@ -0,0 +1,243 @@
+// Identifies which export format a workbook is, from the sheets returned by
+// parseExcelFromUrl. Each format collects weighted signals from sheet names,
+// the header rows and the account labels in the first column; the best
+// scoring format wins if it clears MIN_CONFIDENCE.
+
+export const REPORT_TYPES = ["QB", "MIS", "R365"]
+
+// `code` on the error thrown when a workbook is not a format we read — a
+// problem with the upload, not the engine
+export const UNKNOWN_FORMAT = "UNKNOWN_REPORT_FORMAT"
+
+const MIN_CONFIDENCE = 0.35
+const HEADER_SCAN_ROWS = 12
+
+const YEAR_RE = /\b(19|20)\d{2}\b/
+const PERIOD_RE = /^(p|period)\s*0?\d{1,2}\b/i
+
+const SIGNALS = {
+
+  QB: [
+    { weight:3, source:"header", label:"'Profit and Loss by Class' title",
+      test: cell => /profit\s*(and|&)\s*loss\s*by\s*class/.test(cell) },
+    { weight:1, source:"header", label:"'Profit and Loss' title",
+      test: cell => /profit\s*(and|&)\s*loss/.test(cell) },
+    { weight:1, source:"header", label:"'Total' class column",
+      test: cell => cell === "total" },
+    { weight:2, source:"account", label:"'Net Income' line",
+      test: label => label === "net income" },
+    { weight:1, source:"account", label:"'Total Income' line",
+      test: label => label === "total income" },
+    { weight:1, source:"account", label:"'Cost of Goods Sold' section",
+      test: label => label.startsWith("cost of goods sold") || label === "total cost of goods sold" },
+    { weight:1, source:"account", label:"'Net Operating Income' line",
+      test: label => label === "net operating income" }
+  ],
+
+  MIS: [
+    { weight:3, source:"sheet", label:"year-per-sheet names",
+      test: (names) => names.filter(n => YEAR_RE.test(n)).length >= 2 },
+    { weight:1, source:"sheet", label:"year in a sheet name",
+      test: (names) => names.some(n => YEAR_RE.test(n)) },
+    { weight:3, source:"header", label:"'Particulars' header",
+      test: cell => cell.includes("particulars") },
+    { weight:1, source:"header", label:"'Benchmark' column",
+      test: cell => cell.includes("benchmark") },
+    { weight:1, source:"account", label:"'Total COGS' line",
+      test: label => label.includes("total cogs") }
+  ],
+
+  R365: [
+    { weight:3, source:"header", label:"'Period N' columns",
+      test: cell => PERIOD_RE.test(cell) },
+    { weight:2, source:"header", label:"Restaurant365 title",
+      test: cell => cell.includes("restaurant365") || cell.includes("r365") },
+    { weight:2, source:"account", label:"'Net Sales' line",
+      test: label => label === "net sales" || label === "total net sales" },
+    { weight:1, source:"account", label:"'Gross Sales' line",
+      test: label => label.startsWith("gross sales") },
+    { weight:1, source:"account", label:"'Prime Cost' line",
+      test: label => label.includes("prime cost") }
+  ]
+}
+
+function clean(v){
+  return String(v ?? "").trim().toLowerCase()
+}
+
+function isGeneratedKey(key){
+  return key.startsWith("__EMPTY")
+}
+
+// Pulls out what the signals look at: the sheet names, every non-empty cell
+// in the first rows (including the column keys sheet_to_json built from the
+// sheet's first row) and the first-column labels of every row.
+function inspectSheets(rawSheets){
+
+  const sheetNames = rawSheets.map(s => s.sheetName)
+  const headerCells = new Set()
+  const accountLabels = new Set()
+
+  rawSheets.forEach(sheet => {
+
+    const rows = sheet.data || []
+
+    if(rows[0]){
+      Object.keys(rows[0])
+        .filter(k => !isGeneratedKey(k))
+        .forEach(k => headerCells.add(clean(k)))
+    }
+
+    rows.forEach((row,i) => {
+
+      const values = Object.values(row)
+
+      if(i < HEADER_SCAN_ROWS){
+        values.forEach(v => {
+          const cell = clean(v)
+          if(cell) headerCells.add(cell)
+        })
+      }
+
+      const label = clean(values[0])
+      if(label && isNaN(Number(label))) accountLabels.add(label)
+    })
+  })
+
+  headerCells.delete("")
+
+  return {
+    sheetNames,
+    headerCells:[...headerCells],
+    accountLabels:[...accountLabels]
+  }
+}
+
+function scoreFormat(signals, inspected){
+
+  const matched = []
+  let score = 0
+  let max = 0
+
+  signals.forEach(signal => {
+
+    max += signal.weight
+
+    let hit = false
+
+    if(signal.source === "sheet")
+      hit = signal.test(inspected.sheetNames.map(clean))
+
+    if(signal.source === "header")
+      hit = inspected.headerCells.some(signal.test)
+
+    if(signal.source === "account")
+      hit = inspected.accountLabels.some(signal.test)
+
+    if(hit){
+      score += signal.weight
+      matched.push(signal.label)
+    }
+  })
+
+  return {
+    confidence: max === 0 ? 0 : Number((score / max).toFixed(2)),
+    matched
+  }
+}
+
+// What marks the row naming each parser's columns: QB's class row ends in
+// a "Total" column, R365's period row has "Period N" cells.
+const HEADER_ROW_TESTS = {
+  QB: cells => cells.includes("total") && cells.filter(Boolean).length >= 2,
+  R365: cells => cells.some(cell => PERIOD_RE.test(cell))
+}
+
+/**
+ * Index in `rows` of the row holding the column headers for `reportType`,
+ * searched in the first rows. -1 when the headers are the column keys
+ * sheet_to_json took from the sheet's first row; null when no row looks
+ * like a header (or the format has no fixed header row).
+ */
+export function findHeaderRow(rows, reportType){
+
+  const test = HEADER_ROW_TESTS[reportType]
+  if(!test || !rows?.length) return null
+
+  if(test(Object.keys(rows[0]).filter(k => !isGeneratedKey(k)).map(clean)))
+    return -1
+
+  const limit = Math.min(rows.length, HEADER_SCAN_ROWS)
+  for(let i = 0; i < limit; i++){
+    if(test(Object.values(rows[i]).map(clean))) return i
+  }
+
+  return null
+}
+
+/**
+ * The header cells of row `index` (see findHeaderRow), one per column in
+ * the order Object.values() gives a data row; blank headers are "".
+ */
+export function headerCells(rows, index){
+  if(index === -1)
+    return Object.keys(rows[0]).map(k => isGeneratedKey(k) ? "" : String(k).trim())
+  return Object.values(rows[index]).map(v => String(v ?? "").trim())
+}
+
+function describeInspection(inspected){
+  const sample = (list) => list.slice(0, 8).map(v => `"${v}"`).join(", ") || "none"
+  return [
+    `sheets: ${sample(inspected.sheetNames)}`,
+    `header cells: ${sample(inspected.headerCells)}`,
+    `account labels: ${sample(inspected.accountLabels)}`
+  ].join("; ")
+}
+
+/**
+ * Detects whether a workbook is a QuickBooks P&L by class ("QB"), a
+ * year-per-sheet MIS ("MIS") or an R365 period report ("R365").
+ *
+ * Returns { reportType, confidence, matched, scores, headerRow } —
+ * headerRow from findHeaderRow on the first sheet. Throws (code
+ * UNKNOWN_FORMAT) when no format is confident enough; the message lists
+ * what was inspected.
+ */
+export function detectReportType(rawSheets){
+
+  if(!Array.isArray(rawSheets) || rawSheets.length === 0){
+    const error = new Error("Cannot detect report type: workbook has no sheets")
+    error.code = UNKNOWN_FORMAT
+    throw error
+  }
+
+  const inspected = inspectSheets(rawSheets)
+
+  const scores = {}
+
+  REPORT_TYPES.forEach(type => {
+    scores[type] = scoreFormat(SIGNALS[type], inspected)
+  })
+
+  const [bestType, best] = Object.entries(scores)
+    .sort((a,b) => b[1].confidence - a[1].confidence)[0]
+
+  if(best.confidence < MIN_CONFIDENCE){
+    const error = new Error(
+      `Could not identify report format (best guess ${bestType} at ${best.confidence}). ` +
+      `Inspected ${describeInspection(inspected)}`
+    )
+    error.code = UNKNOWN_FORMAT
+    error.inspected = inspected
+    error.scores = scores
+    throw error
+  }
+
+  return {
+    reportType: bestType,
+    confidence: best.confidence,
+    matched: best.matched,
+    scores,
+    headerRow: findHeaderRow(rawSheets[0].data, bestType)
+  }
+}
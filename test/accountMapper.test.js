@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createAccountMapper, normalizeAccountLabel, recordMappedAmount
+} from "../financial-engine/mapping/accountMapper.js";
+import { createFinancialModel, finalizeModel, getAmounts } from "../financial-engine/model/financialModel.js";
+
+test("normalizes GL labels", () => {
+  assert.equal(normalizeAccountLabel("4010 · Food Sales"), "food sales");
+  assert.equal(normalizeAccountLabel("6000-10 Rent:"), "rent");
+  assert.equal(normalizeAccountLabel("  Net   Income "), "net income");
+});
+
+test("maps labels with the default chart of accounts", () => {
+  const mapper = createAccountMapper();
+  assert.equal(mapper.map("4010 · Food Sales").category, "revenue");
+  assert.deepEqual(mapper.map("Total Net Sales"), { category: "revenue", total: true, rule: "default:exact:total net sales" });
+  assert.equal(mapper.map("Net Income").category, "ignore");
+  assert.equal(mapper.map("Depreciation Expense").category, "depreciation");
+  assert.equal(mapper.map("Xyzzy adjustments"), null);
+});
+
+test("client overrides win over the defaults", () => {
+  const mapper = createAccountMapper({
+    overrides: [
+      { match: "exact", pattern: "4010 Food Sales", category: "otherIncome" },
+      { match: "regex", pattern: "^co-?op", category: "franchise" }
+    ]
+  });
+  assert.equal(mapper.map("Food Sales").category, "otherIncome");
+  assert.equal(mapper.map("Food Sales").rule, "client:exact:food sales");
+  assert.equal(mapper.map("Co-op Advertising").category, "franchise");
+  assert.equal(mapper.map("Beverage Sales").category, "revenue");
+});
+
+test("rejects invalid override rules", () => {
+  assert.throws(() => createAccountMapper({ overrides: [{ match: "fuzzy", pattern: "x", category: "cogs" }] }), /Invalid mapping rule match/);
+  assert.throws(() => createAccountMapper({ overrides: [{ match: "exact", pattern: "x", category: "snacks" }] }), /Invalid mapping rule category/);
+});
+
+test("reports unmapped lines", () => {
+  const mapper = createAccountMapper({ clientId: "acme" });
+  mapper.map("Food Sales");
+  mapper.flagUnmapped("Mystery Line");
+  mapper.flagUnmapped("Mystery Line");
+  assert.deepEqual(mapper.report(), {
+    clientId: "acme",
+    clientRules: 0,
+    mappedLines: 1,
+    unmapped: [{ label: "Mystery Line", occurrences: 2 }]
+  });
+});
+
+test("a subtotal line replaces its detail lines", () => {
+  const mapper = createAccountMapper();
+  const model = createFinancialModel("TEST");
+  recordMappedAmount(model, mapper.map("Food Sales"), "A", "2024", 600);
+  recordMappedAmount(model, mapper.map("Beverage Sales"), "A", "2024", 300);
+  recordMappedAmount(model, mapper.map("Total Sales"), "A", "2024", 950);
+  recordMappedAmount(model, mapper.map("Gross Profit"), "A", "2024", 1);
+  finalizeModel(model);
+  assert.deepEqual(getAmounts(model, "A", "2024"), { revenue: 950 });
+});
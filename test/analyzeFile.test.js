@@ -0,0 +1,229 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { PassThrough } from "node:stream";
+import * as XLSX from "xlsx";
+import { createCanvas } from "@napi-rs/canvas";
+import handler from "../api/analyze-file.js";
+import { LLM_PROVIDERS } from "../financial-engine/config/llm.js";
+
+// Offline: every model call goes to the mock provider, which echoes the
+// prompt it was given.
+process.env.LLM_PROVIDER = "mock";
+mock.method(console, "log", () => {});
+mock.method(console, "warn", () => {});
+
+function workbook(rows) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), "P&L");
+  return XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+}
+
+// Letter-size page image (144 dpi JPEG) with `lines` of large print
+function pageImage(lines) {
+  const canvas = createCanvas(1224, 1584);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#FFFFFF";
+  ctx.fillRect(0, 0, 1224, 1584);
+  ctx.fillStyle = "#000000";
+  ctx.font = "40px sans-serif";
+  lines.forEach((line, i) => ctx.fillText(line, 120, 200 + i * 70));
+  return canvas.toBuffer("image/jpeg");
+}
+
+// PDF with one full-page image per page and no text layer, like a scan
+function scannedPdf(jpegs) {
+  const objects = ["", "<< /Type /Catalog /Pages 2 0 R >>", ""];
+  const kids = [];
+  jpegs.forEach(jpeg => {
+    const n = objects.length;
+    const draw = "q 612 0 0 792 0 0 cm /Im Do Q";
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /XObject << /Im ${n + 2} 0 R >> >> /Contents ${n + 1} 0 R >>`,
+      `<< /Length ${draw.length} >>\nstream\n${draw}\nendstream`,
+      [`<< /Type /XObject /Subtype /Image /Width 1224 /Height 1584 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, jpeg, "\nendstream"]
+    );
+    kids.push(`${n} 0 R`);
+  });
+  objects[2] = `<< /Type /Pages /Kids [${kids.join(" ")}] /Count ${kids.length} >>`;
+
+  const parts = [Buffer.from("%PDF-1.4\n")];
+  const offsets = [];
+  let length = parts[0].length;
+  objects.slice(1).forEach((body, i) => {
+    offsets.push(length);
+    const obj = Buffer.concat([`${i + 1} 0 obj\n`, ...[].concat(body), "\nendobj\n"]
+      .map(b => Buffer.isBuffer(b) ? b : Buffer.from(b, "latin1")));
+    parts.push(obj);
+    length += obj.length;
+  });
+  parts.push(Buffer.from([
+    `xref\n0 ${objects.length}\n0000000000 65535 f \n`,
+    ...offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`),
+    `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`
+  ].join(""), "latin1"));
+  return Buffer.concat(parts);
+}
+
+const FILES = {
+  "jan.xlsx": workbook([["Line", "Amount"], ["Sales", 100000], ["EBITDA", 12000]]),
+  "feb.xlsx": workbook([["Line", "Amount"], ["Sales", 110000], ["EBITDA", 15000]]),
+  "notes.txt": Buffer.from("Store notes: the patio reopened in February."),
+  // page 1 reads cleanly; page 2 is blank, so OCR finds nothing on it
+  "scan.pdf": scannedPdf([pageImage(["Store P&L January", "Sales 125,000", "EBITDA 18,400"]), pageImage([])]),
+  // ~170,000 characters of CSV — over the 150,000 prompt limit
+  "ledger.xlsx": workbook([
+    ["Account", "Amount"],
+    ...Array.from({ length: 4000 }, (_, i) => [`Ledger account ${i} description text`, 1000 + i])
+  ])
+};
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const file = FILES[req.url.slice(1)];
+    if (!file) { res.statusCode = 404; return res.end(); }
+    res.end(file);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// Runs the handler on a JSON body; resolves to { status, body, events } —
+// `events` parsed from a Server-Sent Events reply as [{ event, data }].
+async function post(body) {
+  const req = new PassThrough();
+  req.method = "POST";
+  req.headers = { "content-type": "application/json" };
+  let written = "";
+  const res = {
+    statusCode: 200,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    write(text) { written += text; },
+    end() { return this; }
+  };
+  const done = handler(req, res);
+  req.end(JSON.stringify(body));
+  await done;
+  const events = written.split("\n\n").filter(Boolean).map(block => ({
+    event: block.match(/^event: (.+)$/m)[1],
+    data: JSON.parse(block.match(/^data: (.+)$/m)[1])
+  }));
+  return { status: res.statusCode, body: res.body, events };
+}
+
+const file = (name, label) => ({ url: `${base}/${name}`, label });
+
+test("rejects invalid comparison requests", async () => {
+  const cases = [
+    [{}, /fileUrl \(or files\) is required/],
+    [{ fileUrl: `${base}/jan.xlsx`, files: [] }, /not both/],
+    [{ files: [file("jan.xlsx")] }, /2/],
+    [{ files: Array.from({ length: 6 }, (_, i) => file("jan.xlsx", `F${i}`)) }, /5/],
+    [{ files: [file("jan.xlsx", "Jan"), file("feb.xlsx", "JAN")] }, /unique/i]
+  ];
+  for (const [body, message] of cases) {
+    const { status, body: res } = await post(body);
+    assert.equal(status, 400, JSON.stringify(body));
+    assert.match(res.error, message);
+  }
+});
+
+test("compares labelled files and reports the ones it could not read", async () => {
+  const { status, body } = await post({
+    files: [file("jan.xlsx", "January"), file("feb.xlsx", "February"), file("missing.xlsx", "March")]
+  });
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.equal(body.type, "comparison");
+  assert.match(body.reply, /^# Comparison: January vs February/);
+  assert.match(body.reply, /> Not included: March — Download HTTP error: 404/);
+  assert.deepEqual(body.files.map(f => [f.label, f.ok]), [["January", true], ["February", true], ["March", false]]);
+  assert.deepEqual(body.debug.fileType, ["xlsx", "xlsx"]);
+});
+
+test("a comparison with one readable file gets the ordinary analysis", async () => {
+  const { body } = await post({ files: [file("jan.xlsx", "January"), file("missing.xlsx", "March")] });
+  assert.equal(body.ok, true);
+  assert.equal(body.type, "xlsx");
+  assert.doesNotMatch(body.reply, /# Comparison/);
+});
+
+test("a comparison stays within the prompt limit whatever the file types", async () => {
+  const { body } = await post({ files: [file("ledger.xlsx", "Ledger"), file("notes.txt", "Notes")] });
+  const notes = FILES["notes.txt"].length;
+
+  assert.equal(body.ok, true);
+  assert.equal(body.debug.mode, "single");
+  assert.equal(body.coverage.complete, false);
+  assert.equal(body.coverage.chars.covered, 150000);
+  assert.equal(body.coverage.chars.total, body.files[0].contentLength + notes);
+  assert.ok(body.coverage.percent < 100);
+  assert.match(body.reply, /> Coverage: the first 150,000 of [\d,]+ characters/);
+});
+
+test("a tabular comparison forced into one prompt is truncated the same way", async () => {
+  const { body } = await post({ files: [file("ledger.xlsx", "Ledger"), file("jan.xlsx", "January")], mode: "single" });
+  assert.equal(body.coverage.chars.covered, 150000);
+  assert.equal(body.coverage.complete, false);
+
+  const small = await post({ files: [file("jan.xlsx", "January"), file("notes.txt", "Notes")] });
+  assert.equal(small.body.coverage.complete, true);
+  assert.doesNotMatch(small.body.reply, /> Coverage/);
+});
+
+test("a scanned page OCR cannot read goes to vision on its own", async () => {
+  const { status, body } = await post({ fileUrl: `${base}/scan.pdf`, grounding: "report" });
+
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.deepEqual(body.ocr.visionPages, [2]);
+  assert.deepEqual(body.ocr.pages.map(p => p.page), [1, 2]);
+  // page 1 is text, page 2 the one image
+  assert.ok(body.debug.contentLength > 0);
+  assert.equal(body.debug.isVision, true);
+  assert.deepEqual(body.coverage, { mode: "ocr+vision", complete: true, percent: 100, pages: { total: 2, covered: 2 } });
+  assert.match(body.grounding.skipped, /read from images/);
+});
+
+test("streams progress, then the reply's tokens, then the final payload", async () => {
+  for (const stream of [true, "true"]) {
+    const { body, events } = await post({ fileUrl: `${base}/jan.xlsx`, stream });
+    assert.equal(body, undefined);
+
+    const names = events.map(e => e.event);
+    const firstToken = names.indexOf("token");
+    const lastToken = names.lastIndexOf("token");
+    assert.ok(firstToken > 0);
+    assert.deepEqual(new Set(names.slice(0, firstToken)), new Set(["progress"]));
+    assert.deepEqual(new Set(names.slice(firstToken, lastToken + 1)), new Set(["token"]));
+    assert.deepEqual(new Set(names.slice(lastToken + 1, -1)), new Set(["progress"]));
+    assert.equal(names.at(-1), "final");
+
+    const stages = events.filter(e => e.event === "progress").map(e => e.data.stage);
+    assert.deepEqual(stages.slice(0, 4), ["download", "detect", "extract", "analyze"]);
+    const final = events.at(-1).data;
+    assert.equal(final.ok, true);
+    assert.ok(final.reply.includes(events.filter(e => e.event === "token").map(e => e.data.text).join("")));
+  }
+});
+
+test("a provider failure ends the stream with an error event", async () => {
+  LLM_PROVIDERS.mock.strict = true;
+  try {
+    const { events } = await post({ fileUrl: `${base}/jan.xlsx`, stream: true });
+    const names = events.map(e => e.event);
+    assert.equal(names.at(-1), "error");
+    assert.ok(!names.includes("token") && !names.includes("final"));
+    assert.equal(events.at(-1).data.status, 500);
+    assert.match(events.at(-1).data.error, /no fixture for request/);
+  } finally {
+    LLM_PROVIDERS.mock.strict = false;
+  }
+});
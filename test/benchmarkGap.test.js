@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scoreBenchmarkGaps } from "../financial-engine/calculations/benchmarkGap.js";
+import { getBenchmark } from "../financial-engine/benchmarks/benchmarkLibrary.js";
+import { calculateFinancials } from "../financial-engine/calculations/financialCalculator.js";
+import { buildModel } from "./helpers.js";
+
+const benchmark = { food_cost_percent: 30, labor_percent: 30, rent_percent: 8, ebitda_margin: 12 };
+const summary = calculateFinancials(buildModel({
+  Good: { "2024": { revenue: 1000, cogs: 280, payroll: 290, occupancy: 70 } },
+  Bad:  { "2024": { revenue: 1000, cogs: 340, payroll: 320, occupancy: 100 } },
+  Shut: { "2024": { revenue: 0 } }
+}));
+
+test("measures gaps in points and adverse dollars", () => {
+  const bad = scoreBenchmarkGaps(summary, benchmark).stores.Bad.metrics;
+  assert.equal(bad.foodCost.gapPts, 4);
+  assert.equal(bad.foodCost.gapDollars, 40);
+  assert.equal(bad.foodCost.status, "red");
+  assert.equal(bad.labor.status, "amber");
+  assert.equal(bad.rent.actual, 10);
+  // EBITDA margin 24% beats 12%: no dollars left on the table
+  assert.equal(bad.ebitdaMargin.gapPts, 12);
+  assert.equal(bad.ebitdaMargin.gapDollars, 0);
+});
+
+test("scores each store and skips stores without sales", () => {
+  const gaps = scoreBenchmarkGaps(summary, benchmark);
+  assert.deepEqual(Object.keys(gaps.stores), ["Good", "Bad"]);
+  assert.equal(gaps.stores.Good.status, "green");
+  assert.equal(gaps.stores.Good.healthScore, 100);
+  assert.equal(gaps.stores.Bad.status, "red");
+  assert.ok(gaps.stores.Bad.healthScore < gaps.stores.Good.healthScore);
+  assert.equal(gaps.stores.Bad.totalGapDollars, 40 + 20 + 20);
+  assert.equal(scoreBenchmarkGaps(summary, null), null);
+});
+
+test("scores against the library benchmark and records its version", () => {
+  const library = getBenchmark({ industry: "restaurant", segment: "qsr" });
+  const gaps = scoreBenchmarkGaps(summary, library);
+  assert.equal(gaps.benchmarkSource, "library");
+  assert.equal(gaps.benchmarkVersion, library.meta.version);
+  assert.equal(gaps.stores.Good.metrics.labor.benchmark, library.labor_percent);
+});
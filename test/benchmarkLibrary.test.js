@@ -0,0 +1,57 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import ExcelJS from "exceljs";
+import mammoth from "mammoth";
+import { getBenchmark } from "../financial-engine/benchmarks/benchmarkLibrary.js";
+import { scoreBenchmarkGaps } from "../financial-engine/calculations/benchmarkGap.js";
+import { calculateFinancials } from "../financial-engine/calculations/financialCalculator.js";
+import { generateWordReport } from "../financial-engine/reports/wordReportGenerator.js";
+import { generateExcelReport } from "../financial-engine/reports/excelReportGenerator.js";
+import { fetchIndustryBenchmark } from "../financial-engine/ai/benchmarkAI.js";
+import { buildModel } from "./helpers.js";
+
+test("falls back from segment and region to the industry row", () => {
+  const exact = getBenchmark({ industry: "restaurants", segment: "fast food", region: "nyc" });
+  assert.deepEqual([exact.meta.segment, exact.meta.region], ["QSR", "US-HIGH-COST"]);
+
+  const national = getBenchmark({ industry: "restaurant", segment: "qsr", region: "ohio" });
+  assert.deepEqual([national.meta.segment, national.meta.region], ["QSR", "ALL"]);
+
+  assert.equal(getBenchmark({ industry: "restaurant" }).meta.segment, "ALL");
+  assert.equal(getBenchmark({ industry: "aerospace" }), null);
+});
+
+test("placeholder figures are labelled unsourced", () => {
+  const benchmark = getBenchmark({ industry: "restaurant", region: "california" });
+  assert.equal(benchmark.meta.unsourced, true);
+  assert.match(benchmark.meta.warning, /unsourced internal placeholders/);
+  Object.values(benchmark.meta.figures).forEach(f => {
+    assert.equal(f.source.unsourced, true);
+    assert.equal(f.source.publisher, null);
+  });
+});
+
+test("unsourced library figures are kept out of scoring", async () => {
+  const warn = mock.method(console, "warn", () => {});
+  assert.equal(await fetchIndustryBenchmark("restaurant", { segment: "qsr" }), null);
+  assert.match(warn.mock.calls[0].arguments[0], /no published source/);
+  assert.equal(scoreBenchmarkGaps({ stores: {} }, await fetchIndustryBenchmark("restaurant")), null);
+  warn.mock.restore();
+});
+
+test("reports print the unsourced warning with the figures", async () => {
+  const summary = calculateFinancials(buildModel({ A: { "2024": { revenue: 1000, cogs: 320, payroll: 300 } } }));
+  const benchmark = getBenchmark({ industry: "restaurant" });
+  const gaps = scoreBenchmarkGaps(summary, benchmark);
+
+  const word = await generateWordReport(summary, benchmark, "Commentary.", { gaps, charts: false });
+  const { value: text } = await mammoth.extractRawText({ buffer: word });
+  assert.match(text, /unsourced internal placeholders/);
+  assert.doesNotMatch(text, /finance team/i);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await generateExcelReport(summary, { benchmark, gaps }));
+  const cells = [];
+  workbook.eachSheet(ws => ws.eachRow(row => row.eachCell(c => cells.push(String(c.value)))));
+  assert.ok(cells.some(c => /unsourced internal placeholders/.test(c)));
+});
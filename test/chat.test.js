@@ -0,0 +1,77 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "node:stream";
+import handler from "../api/chat.js";
+import { LLM_PROVIDERS } from "../financial-engine/config/llm.js";
+
+process.env.LLM_PROVIDER = "mock";
+mock.method(console, "error", () => {});
+
+// Runs the handler; resolves to { status, headers, body, events } — `events`
+// parsed from a Server-Sent Events reply as [{ event, data }].
+async function post(body, headers = { "content-type": "application/json" }) {
+  const req = new PassThrough();
+  req.method = "POST";
+  req.headers = headers;
+  let written = "";
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    write(text) { written += text; },
+    end() { return this; }
+  };
+  const done = handler(req, res);
+  req.end(typeof body === "string" ? body : JSON.stringify(body));
+  await done;
+  const events = written.split("\n\n").filter(Boolean).map(block => {
+    const [, event] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+  return { status: res.statusCode, headers: res.headers, body: res.body, events };
+}
+
+test("answers with JSON unless a stream is asked for", async () => {
+  const { status, body, events } = await post({ userMessage: "How did sales do?" });
+  assert.equal(status, 200);
+  assert.match(body.reply, /How did sales do\?/);
+  assert.deepEqual(events, []);
+});
+
+test("streams tokens, then the final payload", async () => {
+  for (const stream of [true, "true"]) {
+    const { headers, body, events } = await post({ userMessage: "How did sales do?", stream });
+    assert.equal(body, undefined);
+    assert.match(headers["content-type"], /^text\/event-stream/);
+
+    const names = events.map(e => e.event);
+    assert.ok(names.length > 2);
+    assert.deepEqual(names.slice(0, -1), names.slice(0, -1).map(() => "token"));
+    assert.equal(names.at(-1), "final");
+    assert.equal(events.slice(0, -1).map(e => e.data.text).join(""), events.at(-1).data.reply);
+  }
+
+  // form bodies, and an Accept header alone
+  const form = await post("userMessage=Hi&stream=true", { "content-type": "application/x-www-form-urlencoded" });
+  assert.equal(form.events.at(-1).event, "final");
+  const accept = await post({ userMessage: "Hi" }, { "content-type": "application/json", accept: "text/event-stream" });
+  assert.equal(accept.events.at(-1).event, "final");
+});
+
+test("a provider failure ends the stream with an error event", async () => {
+  LLM_PROVIDERS.mock.strict = true;
+  try {
+    const { events } = await post({ userMessage: "How did sales do?", stream: true });
+    assert.deepEqual(events.map(e => e.event), ["error"]);
+    assert.equal(events[0].data.status, 500);
+    assert.match(events[0].data.error, /no fixture for request/);
+
+    const plain = await post({ userMessage: "How did sales do?" });
+    assert.equal(plain.status, 500);
+  } finally {
+    LLM_PROVIDERS.mock.strict = false;
+  }
+});
@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  chunkSheets, buildCoverage, describeCoverage, analyzeInChunks
+} from "../financial-engine/ai/chunkedAnalysis.js";
+
+const sheet = (name, count) => ({
+  name,
+  rows: ["Account,Amount", ...Array.from({ length: count }, (_, i) => `Account ${String(i).padStart(3, "0")},${1000 + i}`)]
+});
+
+// Stand-in for getLLM(): answers every call, or fails the chunks whose
+// prompt mentions `failOn`.
+function fakeLLM({ failOn } = {}) {
+  const calls = [];
+  return {
+    calls,
+    chat: async ({ messages, onToken }) => {
+      const text = messages.at(-1).content;
+      const prompt = typeof text === "string" ? text : text.map(p => p.text).join("\n");
+      calls.push(prompt);
+      if (failOn && prompt.includes(failOn)) throw new Error("upstream timeout");
+      const content = `notes ${calls.length}`;
+      onToken?.(content);
+      return { content, finishReason: "stop", usage: { total_tokens: 10 } };
+    }
+  };
+}
+
+test("splits sheets into chunks that each repeat the header", () => {
+  const chunks = chunkSheets([sheet("P&L", 100), sheet("Empty", 0)], { maxChars: 500 });
+  const pl = chunks.filter(c => c.sheet === "P&L");
+
+  assert.ok(pl.length > 1);
+  assert.ok(pl.every(c => c.chars <= 500));
+  assert.ok(pl.every(c => c.text.split("\n")[1] === "Account,Amount"));
+  assert.equal(pl[0].rowStart, 1);
+  assert.equal(pl.at(-1).rowEnd, 100);
+  assert.equal(pl.reduce((t, c) => t + c.rows, 0), 100);
+  pl.slice(1).forEach((c, i) => assert.equal(c.rowStart, pl[i].rowEnd + 1));
+  assert.equal(chunks.at(-1).sheet, "Empty");
+  assert.equal(chunks.at(-1).rows, 0);
+});
+
+test("a row too long for a chunk is cut and reported as not covered", () => {
+  const rows = sheet("P&L", 6).rows;
+  rows[3] = `Notes,${"x".repeat(400)}`;
+  rows[4] = `More notes,${"y".repeat(400)}`;
+  const chunks = chunkSheets([{ name: "P&L", rows }], { maxChars: 200 });
+
+  assert.ok(chunks.every(c => c.chars <= 200));
+  assert.deepEqual(chunks.flatMap(c => c.cutRows), [3, 4]);
+
+  const coverage = buildCoverage(chunks, chunks.map(() => ({ summary: "ok" })));
+  assert.equal(coverage.complete, false);
+  assert.ok(coverage.percent < 100);
+  assert.deepEqual(coverage.rows, { total: 6, covered: 4 });
+  assert.equal(coverage.sheets.complete, 0);
+  assert.deepEqual(
+    coverage.uncovered.map(u => [u.rowStart, u.rowEnd, u.reason]),
+    [[3, 3, "row too long for a chunk — cut"], [4, 4, "row too long for a chunk — cut"]]
+  );
+});
+
+test("coverage reports failed and skipped chunks", () => {
+  const chunks = chunkSheets([sheet("A", 30), sheet("B", 30)], { maxChars: 300 });
+  const results = chunks.slice(0, -1).map((c, i) => i === 0 ? { error: "timeout" } : { summary: "ok" });
+  const coverage = buildCoverage(chunks, results);
+
+  assert.equal(coverage.complete, false);
+  assert.equal(coverage.chunks.failed, 1);
+  assert.equal(coverage.chunks.skipped, 1);
+  assert.equal(coverage.sheets.complete, 0);
+  assert.deepEqual(coverage.uncovered.map(u => u.reason), ["failed: timeout", "chunk limit reached"]);
+  assert.ok(coverage.percent > 0 && coverage.percent < 100);
+  assert.match(describeCoverage(coverage), /^\d+(\.\d)?% of the file \(\d+ of 60 rows, 0 of 2 sheets complete\)/);
+});
+
+test("describes single-prompt and scanned coverage", () => {
+  assert.equal(describeCoverage({ mode: "single", complete: true, percent: 100, chars: { total: 10, covered: 10 } }), "the whole file");
+  assert.equal(
+    describeCoverage({ mode: "single", complete: false, percent: 27, chars: { total: 555416, covered: 150000 } }),
+    "the first 150,000 of 555,416 characters (27%) — the rest was truncated"
+  );
+  assert.equal(describeCoverage({ mode: "ocr", complete: false, percent: 50, pages: { total: 4, covered: 2 } }), "the first 2 of 4 pages (50%)");
+  assert.equal(
+    describeCoverage({ mode: "ocr+vision", complete: false, percent: 75, pages: { total: 4, covered: 3, unread: [2] } }),
+    "3 of 4 pages (75%) — not read: page 2"
+  );
+  assert.equal(
+    describeCoverage({ mode: "ocr+vision", complete: false, percent: 50, pages: { total: 40, covered: 20, unread: [12, 15] } }),
+    "20 of 40 pages (50%) — not read: pages 12, 15 and 23–40"
+  );
+});
+
+test("summarizes every chunk, then merges with progress and tokens", async () => {
+  const chunks = chunkSheets([sheet("P&L", 60)], { maxChars: 400 });
+  const llm = fakeLLM();
+  const chunkLLM = fakeLLM();
+  const progress = [];
+  const tokens = [];
+
+  const result = await analyzeInChunks(llm, chunkLLM, chunks, {
+    question: "How did sales do?",
+    systemPrompt: "system",
+    analysisPrompt: "Write the report.",
+    onProgress: p => progress.push(p.stage),
+    onToken: t => tokens.push(t)
+  });
+
+  assert.equal(chunkLLM.calls.length, chunks.length);
+  assert.equal(llm.calls.length, 1);
+  assert.match(llm.calls[0], /COVERAGE: 100% of the file/);
+  assert.equal(result.reply, "notes 1");
+  assert.equal(result.coverage.complete, true);
+  assert.equal(result.tokenUsage.total_tokens, 10 * (chunks.length + 1));
+  assert.deepEqual(progress, [...chunks.map(() => "summarize"), "merge"]);
+  assert.deepEqual(tokens, ["notes 1"]);
+});
+
+test("keeps going when a chunk fails and honours the chunk limit", async () => {
+  const chunks = chunkSheets([sheet("P&L", 60)], { maxChars: 400 });
+  const llm = fakeLLM();
+  const result = await analyzeInChunks(llm, fakeLLM({ failOn: "PART 2 OF" }), chunks, {
+    systemPrompt: "system", analysisPrompt: "Write the report.", maxChunks: 3
+  });
+
+  assert.equal(result.coverage.chunks.failed, 1);
+  assert.equal(result.coverage.chunks.skipped, chunks.length - 3);
+  assert.match(llm.calls[0], /were NOT analyzed/);
+  // only the summarized chunks are a source for the reply's figures
+  assert.equal(result.source, [chunks[0], chunks[2]].map(c => c.text).join("\n\n"));
+
+  await assert.rejects(
+    analyzeInChunks(llm, fakeLLM({ failOn: "PART" }), chunks, { systemPrompt: "s", analysisPrompt: "a" }),
+    /No part of the file could be summarized/
+  );
+});
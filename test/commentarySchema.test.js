@@ -0,0 +1,85 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { validateCommentary, commentaryToMarkdown } from "../financial-engine/ai/commentarySchema.js";
+import { generateStructuredCommentary } from "../financial-engine/ai/commentaryAI.js";
+import { getLLM } from "../financial-engine/ai/llmProvider.js";
+import { createMockProvider } from "../financial-engine/ai/providers/mockProvider.js";
+import { calculateFinancials } from "../financial-engine/calculations/financialCalculator.js";
+import { buildModel } from "./helpers.js";
+
+const VALID = {
+  executiveSummary: "Sales grew and margins held.",
+  storeFindings: [{ store: "A", metric: "foodCostPct", severity: "concern", finding: "Food cost is high." }],
+  benchmarkComparison: [{ metric: "ebitdaMargin", actual: 20, benchmark: null, finding: "No benchmark." }],
+  actionItems: [{ action: "Review supplier pricing.", metric: "cogs", store: null, priority: "high" }]
+};
+
+test("accepts a well-formed commentary", () => {
+  assert.deepEqual(validateCommentary(VALID, { stores: ["A"] }), []);
+  assert.match(commentaryToMarkdown(VALID), /\*\*Food Cost %\*\* \(concern\)/);
+});
+
+test("rejects malformed commentary with a message per problem", () => {
+  assert.deepEqual(validateCommentary([]), ["commentary must be a JSON object"]);
+
+  const errors = validateCommentary({
+    executiveSummary: " ",
+    storeFindings: [{ store: "Z", metric: "vibes", severity: "bad", finding: "" }, "text"],
+    benchmarkComparison: {},
+    actionItems: [{ action: "Act.", metric: "labor", priority: "urgent" }]
+  }, { stores: ["A"] });
+
+  [
+    /^executiveSummary must be a non-empty string$/,
+    /^storeFindings\[0\]\.store "Z" is not a store in the summary$/,
+    /^storeFindings\[0\]\.metric must be one of .*\(got "vibes"\)$/,
+    /^storeFindings\[0\]\.severity must be one of positive, neutral, concern$/,
+    /^storeFindings\[0\]\.finding must be a non-empty string$/,
+    /^storeFindings\[1\] must be an object$/,
+    /^benchmarkComparison must be an array$/,
+    /^actionItems\[0\]\.priority must be one of high, medium, low$/
+  ].forEach(re => assert.ok(errors.some(e => re.test(e)), `${re} in ${JSON.stringify(errors)}`));
+  assert.equal(errors.length, 8);
+});
+
+const summary = calculateFinancials(buildModel({ A: { "2024": { revenue: 1000, cogs: 300 } } }));
+
+// Commentary client whose replies come from `replies`, in order
+function scriptedLLM(replies) {
+  const requests = [];
+  const provider = createMockProvider({
+    respond: request => { requests.push(request); return replies[requests.length - 1]; }
+  });
+  return { llm: getLLM("commentary", { provider }), requests };
+}
+
+test("sends invalid replies back with the errors until one validates", async () => {
+  const warn = mock.method(console, "warn", () => {});
+  const { llm, requests } = scriptedLLM([
+    "Here is the analysis: sales were fine.",
+    JSON.stringify({ ...VALID, storeFindings: [{ ...VALID.storeFindings[0], store: "Nowhere" }] }),
+    JSON.stringify(VALID)
+  ]);
+
+  const sections = await generateStructuredCommentary(summary, null, "Review the month", { llm });
+
+  assert.deepEqual(sections, VALID);
+  assert.equal(requests.length, 3);
+  assert.equal(requests[0].responseFormat.type, "json_object");
+  assert.match(requests[1].messages.at(-1).content, /reply is not valid JSON/);
+  assert.match(requests[2].messages.at(-1).content, /"Nowhere" is not a store in the summary/);
+  // the conversation keeps every earlier reply
+  assert.equal(requests[2].messages.length, 5);
+  warn.mock.restore();
+});
+
+test("gives up after three invalid replies", async () => {
+  const warn = mock.method(console, "warn", () => {});
+  const { llm, requests } = scriptedLLM(["{}", "{}", "{}", JSON.stringify(VALID)]);
+  await assert.rejects(
+    generateStructuredCommentary(summary, null, "Review the month", { llm }),
+    /Structured commentary invalid after 3 attempts: executiveSummary must be a non-empty string/
+  );
+  assert.equal(requests.length, 3);
+  warn.mock.restore();
+});
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildEbitdaBridge } from "../financial-engine/calculations/ebitdaBridge.js";
+import { calculateFinancials } from "../financial-engine/calculations/financialCalculator.js";
+import { buildModel } from "./helpers.js";
+
+test("bridges from the consolidated prior-year EBITDA to the actual", () => {
+  const summary = calculateFinancials(buildModel({
+    A: { "2023": { revenue: 1000, cogs: 300, payroll: 300 }, "2024": { revenue: 1200, cogs: 350, payroll: 320 } },
+    B: { "2023": { revenue: 500, cogs: 150, payroll: 200 }, "2024": { revenue: 450, cogs: 150, payroll: 180 } }
+  }));
+  const bridge = buildEbitdaBridge(summary, null);
+
+  assert.equal(bridge.against, "priorYear");
+  assert.equal(bridge.base.value, 550);
+  assert.equal(bridge.end.value, 650);
+  assert.deepEqual(bridge.steps.map(s => [s.key, s.value]).slice(0, 3), [["sales", 150], ["cogs", -50], ["labor", 0]]);
+  assert.equal(bridge.base.value + bridge.steps.reduce((t, s) => t + s.value, 0), bridge.end.value);
+});
+
+test("no bridge without a budget or a prior year", () => {
+  const summary = calculateFinancials(buildModel({ A: { "2024": { revenue: 1000 } } }));
+  assert.equal(buildEbitdaBridge(summary, null), null);
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import ExcelJS from "exceljs";
+import { buildLeagueTables } from "../financial-engine/calculations/leagueTables.js";
+import { calculateFinancials } from "../financial-engine/calculations/financialCalculator.js";
+import { scoreBenchmarkGaps } from "../financial-engine/calculations/benchmarkGap.js";
+import { getBenchmark } from "../financial-engine/benchmarks/benchmarkLibrary.js";
+import { buildBudgetSummary, computeVariances } from "../financial-engine/calculations/varianceAnalysis.js";
+import { generateExcelReport } from "../financial-engine/reports/excelReportGenerator.js";
+import { buildModel } from "./helpers.js";
+
+const summary = calculateFinancials(buildModel({
+  A: { "2023": { revenue: 1000, cogs: 300 }, "2024": { revenue: 1200, cogs: 300, payroll: 400 } },
+  B: { "2023": { revenue: 1500, cogs: 600 }, "2024": { revenue: 1000, cogs: 350, payroll: 250 } }
+}));
+const kpi = { leagueTables: buildLeagueTables(summary) };
+const benchmark = getBenchmark({ industry: "restaurant" });
+const gaps = scoreBenchmarkGaps(summary, benchmark);
+const variance = computeVariances(summary, buildBudgetSummary(buildModel({
+  A: { "2024": { revenue: 1100, cogs: 280, payroll: 420 } },
+  B: { "2024": { revenue: 900, cogs: 300, payroll: 250 } }
+}), summary));
+
+async function load() {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await generateExcelReport(summary, { kpi, benchmark, gaps, variance }));
+  return workbook;
+}
+
+// Header → column number on a report sheet (headers sit on row 3)
+const columnsOf = ws => {
+  const out = {};
+  ws.getRow(3).eachCell((c, col) => { (out[c.value] ||= []).push(col); });
+  return out;
+};
+
+test("Δ Rank is a formula over the current and prior values", async () => {
+  const ws = (await load()).getWorksheet("KPI League");
+  const [change] = columnsOf(ws)["Δ Rank"];
+  assert.equal(ws.getRow(3).getCell(change - 1).value, "Prev. Period");
+
+  const revenue = Object.fromEntries(kpi.leagueTables.revenue.rows.map(r => [r.store, r]));
+  [4, 5].forEach(r => {
+    const cell = ws.getRow(r).getCell(change);
+    assert.match(cell.formula, /RANK\(.+\)-/);
+    assert.equal(cell.result, revenue[ws.getRow(r).getCell(1).value].rankChange);
+  });
+});
+
+test("$ Gap is a formula over actual, benchmark and the entity's sales", async () => {
+  const ws = (await load()).getWorksheet("Benchmark");
+  const [dollars] = columnsOf(ws)["$ Gap"];
+
+  const first = ws.getRow(4);
+  assert.equal(first.getCell(1).value, "A");
+  assert.equal(first.getCell(dollars).formula, "MAX(0,C4-D4)*'P&L A'!B4");
+
+  const rows = [];
+  ws.eachRow((row, r) => { if (r > 3 && row.getCell(dollars).formula) rows.push(row); });
+  const consolidated = rows.filter(row => row.getCell(1).value === "Consolidated");
+  assert.equal(consolidated.length, Object.keys(gaps.consolidated.metrics).length);
+  assert.match(consolidated[0].getCell(dollars).formula, /'Consolidated P&L'!B4$/);
+  assert.ok(rows.every(row => typeof row.getCell(dollars).result === "number"));
+});
+
+test("the consolidated prior year sums the store sheets", async () => {
+  const ws = (await load()).getWorksheet("Consolidated P&L");
+  const sales = ws.getRow(4).getCell(4);
+  assert.equal(sales.formula, "'P&L A'!D4+'P&L B'!D4");
+  assert.equal(sales.result, summary.consolidated.pnlPrior.sales.amount);
+});
+
+test("benchmark actuals are the % of sales cells on the P&L sheets", async () => {
+  const ws = (await load()).getWorksheet("Benchmark");
+  const rows = {};
+  ws.eachRow((row, r) => { if (r > 3) rows[`${row.getCell(1).value} ${row.getCell(2).value}`] = row; });
+
+  assert.equal(rows["A Food Cost %"].getCell(3).formula, "'P&L A'!C5");
+  assert.equal(rows["A Food Cost %"].getCell(3).result, gaps.stores.A.metrics.foodCost.actual / 100);
+  assert.match(rows["Consolidated EBITDA Margin %"].getCell(3).formula, /^'Consolidated P&L'!C\d+$/);
+  // benchmarks have no sheet of their own, so stay inputs
+  assert.equal(rows["A Food Cost %"].getCell(4).value, gaps.stores.A.metrics.foodCost.benchmark / 100);
+});
+
+test("variance actuals are the amount cells on the P&L sheets", async () => {
+  const ws = (await load()).getWorksheet("Variance");
+  const rows = [];
+  ws.eachRow((row, r) => { if (r > 3 && row.getCell(2).value) rows.push(row); });
+  const find = (entity, label) => rows.find(row => row.getCell(1).value === entity && row.getCell(2).value === label);
+
+  assert.equal(find("B", "Sales").getCell(3).formula, "'P&L B'!B4");
+  assert.equal(find("B", "Sales").getCell(3).result, 1000);
+  assert.equal(find("Consolidated", "Cost of Goods Sold").getCell(3).formula, "'Consolidated P&L'!B5");
+  assert.equal(find("Consolidated", "Cost of Goods Sold").getCell(4).value, 580);
+  assert.ok(rows.every(row => row.getCell(3).formula), "every actual is linked");
+});
@@ -0,0 +1,90 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { PassThrough } from "node:stream";
+import * as XLSX from "xlsx";
+import handler from "../api/financial-analysis.js";
+
+process.env.LLM_PROVIDER = "mock";
+mock.method(console, "log", () => {});
+mock.method(console, "warn", () => {});
+mock.method(console, "error", () => {});
+
+function workbook(sheets) {
+  const wb = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), name));
+  return XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+}
+
+// Year-per-sheet MIS: one sheet per year, a title row, stores across
+const misYear = scale => [
+  ["Store MIS"],
+  ["Particulars", "Store A", "Store B"],
+  ["Revenue", 1000 * scale, 800 * scale],
+  ["Total COGS", 300 * scale, 260 * scale],
+  ["Payroll", 280 * scale, 240 * scale]
+];
+
+const FILES = {
+  "mis.xlsx": workbook({ 2023: misYear(1), 2024: misYear(1.1) }),
+  "budget.xlsx": workbook({ 2024: misYear(1.05) }),
+  "notes.xlsx": workbook({ Notes: [["Item", "Qty"], ["Lunch", 3]] })
+};
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const file = FILES[req.url.slice(1)];
+    if (!file) { res.statusCode = 404; return res.end(); }
+    res.end(file);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+async function post(body) {
+  const req = new PassThrough();
+  req.method = "POST";
+  const res = {
+    statusCode: 200,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    end() { return this; }
+  };
+  const done = handler(req, res);
+  req.end(JSON.stringify(body));
+  await done;
+  return { status: res.statusCode, body: res.body };
+}
+
+test("a workbook in no known format is a 422, not a 500", async () => {
+  const { status, body } = await post({ fileUrl: `${base}/notes.xlsx` });
+  assert.equal(status, 422);
+  assert.equal(body.ok, false);
+  assert.equal(body.field, "fileUrl");
+  assert.match(body.error, /Could not identify report format/);
+});
+
+test("names the budget file when that is the one not recognised", async () => {
+  const { status, body } = await post({ fileUrl: `${base}/mis.xlsx`, budgetUrl: `${base}/notes.xlsx`, charts: false });
+  assert.equal(status, 422);
+  assert.equal(body.field, "budgetUrl");
+});
+
+test("returns the detection of both the actuals and the budget", async () => {
+  const { status, body } = await post({ fileUrl: `${base}/mis.xlsx`, budgetUrl: `${base}/budget.xlsx`, period: "YTD", charts: false });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.ok, true);
+  assert.equal(body.detection.reportType, "MIS");
+  assert.equal(body.budgetDetection.reportType, "MIS");
+  assert.ok(body.variance);
+  // the library's figures are unsourced, so nothing is scored against them
+  assert.equal(body.benchmark, null);
+  assert.equal(body.gaps, null);
+  assert.ok(body.wordDownload && body.excelDownload && body.pptxDownload);
+});
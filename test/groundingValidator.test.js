@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  extractNumbers, validateGrounding, buildSourceIndex, annotateUngrounded, buildGroundingFeedback
+} from "../financial-engine/utils/groundingValidator.js";
+import { mapCommentaryText, commentaryToMarkdown } from "../financial-engine/ai/commentarySchema.js";
+import { calculateFinancials } from "../financial-engine/calculations/financialCalculator.js";
+import { buildModel, months } from "./helpers.js";
+
+// Seeded pseudo-random numbers, so the data and the invented figures are
+// the same on every run.
+function random(seed) {
+  return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+// A 12-month P&L as CSV: 12 lines × 12 months, sales first.
+function plCsv(rnd) {
+  const names = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+  const lines = ["Sales","COGS","Labor","Utilities","Repairs","Marketing","Occupancy","Royalties","Depreciation","Interest","Tax","EBITDA"];
+  const rows = lines.map((line, i) => [line, ...names.map(() => Math.round(i ? 20000 + rnd() * 60000 : 300000 + rnd() * 80000))]);
+  return { rows, text: ["Line," + names.join(","), ...rows.map(r => r.join(","))].join("\n") };
+}
+
+test("extracts amounts and percentages, skipping years, labels and counts", () => {
+  const found = extractNumbers("In FY2024 Q1, 3 stores made $1.2M (up 12.5%); 2. Store P05 lost (4,500). Year 2023.");
+  assert.deepEqual(found.map(n => [n.raw, n.value]), [
+    ["$1.2M", 1200000],
+    ["12.5%", 12.5],
+    ["4,500", -4500]
+  ]);
+  assert.equal(found[1].isPercent, true);
+  assert.equal(found[0].decimals, 1);
+});
+
+test("grounds figures found in the source, allowing for rounding", () => {
+  const source = "Sales,1234567\nCOGS,401234\nLabor %,0.312";
+  const report = validateGrounding("Sales were $1.23M, COGS $401,234 and labor 31.2% of sales.", source);
+  assert.equal(report.checked, 3);
+  assert.equal(report.ok, true);
+  assert.equal(report.score, 1);
+});
+
+test("flags figures that are not in the source", () => {
+  const report = validateGrounding("Sales were $1,500,000 against COGS of $401,234.", "Sales,1234567\nCOGS,401234");
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.ungrounded.map(u => u.raw), ["$1,500,000"]);
+  assert.equal(report.score, 0.5);
+});
+
+test("annotates sentences with unverified numbers and builds feedback", () => {
+  const reply = "Sales rose to $1,500,000. COGS held at $401,234.";
+  const report = validateGrounding(reply, "Sales,1234567\nCOGS,401234");
+  assert.equal(
+    annotateUngrounded(reply, report),
+    "Sales rose to $1,500,000. ⚠️ [unverified: $1,500,000] COGS held at $401,234."
+  );
+  assert.match(buildGroundingFeedback(report), /- \$1,500,000 \(in: "Sales rose to \$1,500,000\."\)/);
+});
+
+test("annotates sentences that contain replacement patterns verbatim", () => {
+  const reply = "Sales rose to $1,500,000 ($& and $' are not patterns).";
+  const report = validateGrounding(reply, "Sales,1234567");
+  assert.equal(
+    annotateUngrounded(reply, report),
+    "Sales rose to $1,500,000 ($& and $' are not patterns). ⚠️ [unverified: $1,500,000]"
+  );
+});
+
+test("validates against a data object", () => {
+  const data = { consolidated: { sales: 2000, ebitdaMargin: 12.5 } };
+  assert.equal(validateGrounding("EBITDA margin was 12.5% on sales of $2,000.", data).ok, true);
+  assert.equal(validateGrounding("EBITDA margin was 14.5% on sales of $2,000.", data).ok, false);
+});
+
+test("invented figures are not grounded by chance", () => {
+  const rnd = random(42);
+  const { text } = plCsv(rnd);
+  const index = buildSourceIndex(text);
+  assert.ok(index.count >= 140);
+
+  const passes = make => Array.from({ length: 200 }, make)
+    .filter(reply => validateGrounding(reply, text, { index }).ok).length;
+
+  // random one-decimal percentages and "$x.xM" amounts
+  assert.ok(passes(() => `Margin was ${(rnd() * 60).toFixed(1)}% this year.`) < 60);
+  assert.ok(passes(() => `Sales reached $${(1 + rnd() * 8).toFixed(1)}M overall.`) < 15);
+  assert.equal(validateGrounding("Labor came in at 83.7% of sales, or $9.9M.", text, { index }).ungrounded.length, 2);
+});
+
+test("grounds changes along a line and lines against sales", () => {
+  const { rows, text } = plCsv(random(7));
+  const [sales, , labor] = rows.map(r => r.slice(1));
+  const fmt = n => n.toLocaleString("en-US");
+
+  const reply = [
+    `December sales were $${fmt(sales[11])}, ${((sales[11] - sales[10]) / sales[10] * 100).toFixed(1)}% on November`,
+    `and ${((sales[11] - sales[0]) / sales[0] * 100).toFixed(1)}% on January.`,
+    `Labor ran at ${(labor[11] / sales[11] * 100).toFixed(1)}% of sales.`,
+    `Full-year sales were $${(sales.reduce((a, b) => a + b) / 1e6).toFixed(2)}M.`
+  ].join(" ");
+  const report = validateGrounding(reply, text);
+  assert.equal(report.checked, 5);
+  assert.deepEqual(report.ungrounded, []);
+
+  // but not between unrelated lines
+  const unrelated = ((labor[11] - sales[3]) / sales[3] * 100).toFixed(1);
+  assert.equal(validateGrounding(`Labor moved ${unrelated}% against April sales.`, text).ok, false);
+});
+
+test("grounds a summary's own ratios and prior-year changes", () => {
+  const summary = calculateFinancials(buildModel({
+    A: Object.fromEntries(months(2023, 24).map((p, i) => [p, { revenue: i < 12 ? 1000 : 1100, cogs: i < 12 ? 300 : 352, occupancy: 77 }]))
+  }), { view: "T12" });
+
+  // occupancy 7.0% of sales; COGS up $624 (17.3%) on the year
+  assert.equal(validateGrounding("Occupancy was 7.0% of sales; COGS rose $624, up 17.3%.", summary).ok, true);
+  assert.equal(validateGrounding("COGS rose $650, up 18.1%.", summary).ungrounded.length, 2);
+});
+
+test("annotates the prose of a structured commentary", () => {
+  const index = buildSourceIndex({ consolidated: { sales: 2000, ebitdaMargin: 12.5 } });
+  const annotate = text => annotateUngrounded(text, validateGrounding(text, null, { index }));
+  const sections = mapCommentaryText({
+    executiveSummary: "Sales were $2,000. EBITDA margin was 14.5%.",
+    storeFindings: [{ store: "A", metric: "ebitda", severity: "concern", finding: "Margin of 14.5% trails peers." }],
+    benchmarkComparison: [{ metric: "ebitdaMargin", actual: 12.5, benchmark: 12, finding: "Ahead at 12.5%." }],
+    actionItems: [{ action: "Cut waste by $300.", metric: "cogs", store: null, priority: "high" }]
+  }, annotate);
+
+  assert.equal(sections.executiveSummary, "Sales were $2,000. EBITDA margin was 14.5%. ⚠️ [unverified: 14.5%]");
+  assert.equal(sections.storeFindings[0].finding, "Margin of 14.5% trails peers. ⚠️ [unverified: 14.5%]");
+  assert.equal(sections.benchmarkComparison[0].finding, "Ahead at 12.5%.");
+  assert.equal(sections.actionItems[0].action, "Cut waste by $300. ⚠️ [unverified: $300]");
+  assert.match(commentaryToMarkdown(sections), /trails peers\. ⚠️ \[unverified: 14\.5%\]/);
+});
@@ -0,0 +1,23 @@
+import { createFinancialModel, addAmount, finalizeModel } from "../financial-engine/model/financialModel.js";
+
+// Canonical model from { store: { period: { category: amount } } }, periods
+// in the order given.
+export function buildModel(stores, { source = "TEST", periods } = {}) {
+  const model = createFinancialModel(source);
+  if (periods) model.periods.push(...periods);
+  Object.entries(stores).forEach(([store, byPeriod]) => {
+    Object.entries(byPeriod).forEach(([period, amounts]) => {
+      Object.entries(amounts).forEach(([category, amount]) => addAmount(model, store, period, category, amount));
+    });
+  });
+  return finalizeModel(model);
+}
+
+// "Jan 2023" … for `count` months from January of `year`.
+export function months(year, count) {
+  const names = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+  return Array.from({ length: count }, (_, i) => `${names[i % 12]} ${year + Math.floor(i / 12)}`);
+}
+
+// Same amounts in every period listed.
+export const every = (periods, amounts) => Object.fromEntries(periods.map(p => [p, amounts]));
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildLeagueTables } from "../financial-engine/calculations/leagueTables.js";
+import { calculateFinancials } from "../financial-engine/calculations/financialCalculator.js";
+import { buildModel, months } from "./helpers.js";
+
+const model = buildModel({
+  A: { "2023": { revenue: 1000, cogs: 300 }, "2024": { revenue: 1200, cogs: 300 } },
+  B: { "2023": { revenue: 1500, cogs: 600 }, "2024": { revenue: 1000, cogs: 350 } },
+  C: { "2023": { revenue: 800, cogs: 200 },  "2024": { revenue: 1000, cogs: 350 } },
+  D: { "2023": { revenue: 900, cogs: 300 },  "2024": { revenue: 0 } }
+});
+const tables = buildLeagueTables(calculateFinancials(model));
+
+test("ranks stores with shared ranks for ties", () => {
+  assert.deepEqual(tables.revenue.rows.map(r => [r.store, r.rank]), [["A", 1], ["B", 2], ["C", 2], ["D", 4]]);
+  assert.deepEqual(tables.revenue.rows.map(r => r.quartile), [1, 2, 2, 4]);
+});
+
+test("lower is better for cost metrics and stores without sales are unranked", () => {
+  const food = tables.foodCostPct;
+  assert.equal(food.better, "low");
+  assert.equal(food.rankedCount, 3);
+  assert.deepEqual(food.rows.map(r => r.store), ["A", "B", "C", "D"]);
+  assert.equal(food.rows.at(-1).rank, null);
+});
+
+test("rank changes compare with the prior period", () => {
+  const revenue = Object.fromEntries(tables.revenue.rows.map(r => [r.store, r]));
+  assert.equal(revenue.A.priorRank, 2);
+  assert.equal(revenue.A.rankChange, 1);
+  assert.equal(revenue.B.rankChange, -1);
+  assert.equal(tables.yoyGrowth.rows[0].rankChange, null);
+});
+
+test("rank changes are against the immediately preceding period, not last year", () => {
+  const [jan23, , , , , , , , , , , dec23, jan24] = months(2023, 13);
+  const monthly = calculateFinancials(buildModel({
+    // A led last January, B led in December, A leads again now
+    A: { [jan23]: { revenue: 900 }, [dec23]: { revenue: 500 }, [jan24]: { revenue: 1000 } },
+    B: { [jan23]: { revenue: 800 }, [dec23]: { revenue: 700 }, [jan24]: { revenue: 600 } }
+  }, { periods: months(2023, 13) }));
+  assert.deepEqual(monthly.period.previous.periods, [dec23]);
+
+  const revenue = Object.fromEntries(buildLeagueTables(monthly).revenue.rows.map(r => [r.store, r]));
+  assert.equal(revenue.A.priorRank, 2);
+  assert.equal(revenue.A.rankChange, 1);
+  assert.equal(revenue.B.rankChange, -1);
+});
@@ -0,0 +1,101 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { getLLM, createProvider } from "../financial-engine/ai/llmProvider.js";
+import { resolveRouteConfig } from "../financial-engine/config/llm.js";
+import { createMockProvider, requestKey } from "../financial-engine/ai/providers/mockProvider.js";
+
+const ENV = ["LLM_PROVIDER", "LLM_COMMENTARY_PROVIDER", "LLM_COMMENTARY_MODEL", "OPENAI_API_KEY"];
+const saved = Object.fromEntries(ENV.map(k => [k, process.env[k]]));
+
+afterEach(() => {
+  ENV.forEach(k => { if (saved[k] === undefined) delete process.env[k]; else process.env[k] = saved[k]; });
+});
+
+const MESSAGES = [{ role: "user", content: "How did sales do?" }];
+
+test("route env wins over LLM_PROVIDER, which wins over the route table", () => {
+  delete process.env.LLM_PROVIDER;
+  delete process.env.LLM_COMMENTARY_PROVIDER;
+  assert.equal(resolveRouteConfig("commentary").provider, "openai");
+
+  process.env.LLM_PROVIDER = "mock";
+  assert.equal(resolveRouteConfig("commentary").provider, "mock");
+
+  process.env.LLM_COMMENTARY_PROVIDER = "local";
+  process.env.LLM_COMMENTARY_MODEL = "llama3";
+  assert.deepEqual(
+    [resolveRouteConfig("commentary").provider, resolveRouteConfig("commentary").model],
+    ["local", "llama3"]
+  );
+  assert.equal(resolveRouteConfig("benchmark").provider, "mock");
+  assert.throws(() => resolveRouteConfig("nowhere"), /Unknown LLM route "nowhere"/);
+});
+
+test("getLLM binds the route's provider and reports missing keys", () => {
+  process.env.LLM_PROVIDER = "mock";
+  const mock = getLLM("commentary");
+  assert.deepEqual([mock.provider, mock.model, mock.configError], ["mock", "gpt-4o", null]);
+
+  delete process.env.LLM_PROVIDER;
+  delete process.env.OPENAI_API_KEY;
+  const openai = getLLM("commentary");
+  assert.equal(openai.provider, "openai");
+  assert.match(openai.configError, /OPENAI_API_KEY/);
+
+  assert.throws(() => createProvider("nope"), /Unknown LLM provider "nope"/);
+});
+
+test("replays a recorded fixture, streaming it word by word", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-fixtures-"));
+  const fixturesFile = path.join(dir, "fixtures.json");
+  const key = requestKey({ messages: MESSAGES });
+  fs.writeFileSync(fixturesFile, JSON.stringify({ [key]: { content: "Sales rose 4%.", usage: { total_tokens: 9 } } }));
+
+  const llm = getLLM("commentary", { provider: createProvider("mock", { fixturesFile, strict: true }) });
+  const tokens = [];
+  const reply = await llm.chat({ messages: MESSAGES, onToken: t => tokens.push(t) });
+
+  assert.equal(reply.content, "Sales rose 4%.");
+  assert.equal(reply.fixture, key);
+  assert.equal(reply.model, "gpt-4o");
+  assert.deepEqual(reply.usage, { total_tokens: 9 });
+  assert.deepEqual(tokens, ["Sales", " rose", " 4%."]);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("records misses from the upstream provider, then replays them offline", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-fixtures-"));
+  const fixturesFile = path.join(dir, "fixtures.json");
+  let upstreamCalls = 0;
+  const upstream = {
+    name: "fake",
+    chat: async () => { upstreamCalls++; return { content: "Recorded.", finishReason: "stop", usage: null, model: "m", provider: "fake" }; }
+  };
+
+  await createMockProvider({ fixturesFile, upstream }).chat({ messages: MESSAGES });
+  const replay = await createMockProvider({ fixturesFile, strict: true }).chat({ messages: MESSAGES });
+
+  assert.equal(upstreamCalls, 1);
+  assert.equal(replay.content, "Recorded.");
+  assert.equal(JSON.parse(fs.readFileSync(fixturesFile, "utf8"))[requestKey({ messages: MESSAGES })].recordedFrom, "fake/m");
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("a missing fixture throws when strict and names the request otherwise", async () => {
+  const key = requestKey({ messages: MESSAGES });
+  await assert.rejects(
+    createMockProvider({ strict: true }).chat({ messages: MESSAGES }),
+    new RegExp(`no fixture for request ${key}`)
+  );
+
+  const loose = createMockProvider();
+  const text = await loose.chat({ messages: MESSAGES });
+  assert.equal(text.fixture, null);
+  assert.equal(text.content, `[mock reply ${key}] How did sales do?`);
+
+  const json = await loose.chat({ messages: MESSAGES, responseFormat: { type: "json_object" } });
+  assert.deepEqual(JSON.parse(json.content), { mock: true, key: requestKey({ messages: MESSAGES, responseFormat: { type: "json_object" } }) });
+});
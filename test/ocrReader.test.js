@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitByConfidence, OCR_MIN_CONFIDENCE } from "../financial-engine/ocr/ocrReader.js";
+
+test("keeps the confident pages' text and lists the rest", () => {
+  const result = {
+    pages: [
+      { page: 1, confidence: 92, words: 40, text: "Sales  125,000" },
+      { page: 2, confidence: OCR_MIN_CONFIDENCE - 1, words: 35, text: "Sa1es  l25,0O0" },
+      { page: 3, confidence: 0, words: 0, text: "" },
+      { page: 4, confidence: OCR_MIN_CONFIDENCE, words: 12, text: "EBITDA  18,400" }
+    ]
+  };
+
+  assert.deepEqual(splitByConfidence(result), {
+    text: "### Page 1\nSales  125,000\n\n### Page 4\nEBITDA  18,400",
+    unreadable: [2, 3]
+  });
+  assert.deepEqual(splitByConfidence(result, 95).unreadable, [1, 2, 3, 4]);
+});
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePeriodLabel, resolveCalendar, quarterOf, weeksIn, periodEndDate, CALENDARS } from "../financial-engine/utils/fiscalCalendar.js";
+import { buildTimeline, selectView, resolveView } from "../financial-engine/calculations/periodEngine.js";
+import { calculateFinancials } from "../financial-engine/calculations/financialCalculator.js";
+import { buildModel, months, every } from "./helpers.js";
+
+test("parses period labels", () => {
+  assert.deepEqual(parsePeriodLabel("FY24"), { granularity: "year", fiscalYear: 2024, index: 1 });
+  assert.deepEqual(parsePeriodLabel("2024-03"), { granularity: "month", fiscalYear: 2024, index: 3 });
+  assert.deepEqual(parsePeriodLabel("March-24"), { granularity: "month", fiscalYear: 2024, index: 3 });
+  assert.deepEqual(parsePeriodLabel("P03 FY24"), { granularity: "period", fiscalYear: 2024, index: 3 });
+  assert.deepEqual(parsePeriodLabel("Period 4"), { granularity: "period", fiscalYear: null, index: 4 });
+  assert.equal(parsePeriodLabel("Total").granularity, "unknown");
+});
+
+test("picks and describes fiscal calendars", () => {
+  assert.equal(resolveCalendar(undefined, [{ index: 13 }]).name, "13period");
+  assert.equal(resolveCalendar("445", [{ index: 13 }]).name, "445");
+  assert.equal(resolveCalendar(undefined, [{ index: 12 }]).name, "monthly");
+  assert.equal(quarterOf(CALENDARS["13period"], 13), 4);
+  assert.equal(quarterOf(CALENDARS["13period"], 10), 4);
+  assert.equal(quarterOf(CALENDARS.monthly, 4), 2);
+  assert.equal(weeksIn(CALENDARS["445"], [1, 2, 3]), 13);
+  assert.equal(weeksIn(CALENDARS.monthly, [1]), null);
+});
+
+test("dates the end of a period", () => {
+  const day = (label, calendar) => periodEndDate(label, calendar)?.toISOString().slice(0, 10) ?? null;
+  assert.equal(day("Feb 2024"), "2024-02-29");
+  assert.equal(day("FY23"), "2023-12-31");
+  assert.equal(day("P13 FY24", CALENDARS["13period"]), "2024-12-29");
+  assert.equal(day("P03 FY24", CALENDARS["445"]), "2024-03-31");
+  assert.equal(day("Period 4"), null);
+  assert.equal(day("Total"), null);
+});
+
+test("resolves view aliases", () => {
+  assert.equal(resolveView("year"), "YTD");
+  assert.equal(resolveView("t12"), "T12");
+  assert.equal(resolveView("whenever"), "MTD");
+});
+
+test("selects current and prior-year periods for each view", () => {
+  const periods = months(2023, 17);   // Jan 2023 … May 2024
+  const timeline = buildTimeline(buildModel({ A: every(periods, { revenue: 100 }) }));
+
+  const ytd = selectView(timeline, "YTD");
+  assert.equal(ytd.latest, "May 2024");
+  assert.deepEqual(ytd.current.periods, months(2024, 5));
+  assert.deepEqual(ytd.comparison.periods, months(2023, 5));
+
+  assert.deepEqual(selectView(timeline, "QTD").current.periods, ["Apr 2024", "May 2024"]);
+  assert.equal(selectView(timeline, "T12").current.periods.length, 12);
+  // no Jun 2022 … May 2023 in the file
+  assert.equal(selectView(timeline, "T12").comparison, null);
+});
+
+test("places unlabelled years in file order and drops total columns", () => {
+  const model = buildModel({ A: every(["Period 12", "Period 13", "Period 1", "Period 2", "Total"], { revenue: 10 }) });
+  const timeline = buildTimeline(model);
+  assert.equal(timeline.calendar.name, "13period");
+  assert.deepEqual(timeline.excluded, ["Total"]);
+  assert.deepEqual(timeline.periods.map(p => p.fiscalYear), [0, 0, 1, 1]);
+});
+
+test("sums the view and compares it with the prior year", () => {
+  const periods = months(2023, 14);   // Jan 2023 … Feb 2024
+  const model = buildModel({
+    A: { ...every(periods.slice(0, 12), { revenue: 100, cogs: 30 }), ...every(periods.slice(12), { revenue: 120, cogs: 30 }) }
+  });
+  const summary = calculateFinancials(model, { view: "YTD" });
+  assert.equal(summary.stores.A.revenue, 240);
+  assert.equal(summary.stores.A.revenueLY, 200);
+  assert.equal(summary.stores.A.yoyGrowth, 20);
+  assert.equal(summary.rollups.MTD.pnl.sales.amount, 120);
+  assert.equal(summary.consolidated.pnlPrior.sales.amount, 200);
+  assert.equal(summary.consolidated.pnlPrior.grossProfit.pctOfSales, 70);
+
+  const feb = summary.trend.consolidated.sales.at(-1);
+  assert.equal(feb.period, "Feb 2024");
+  assert.equal(feb.mom, 0);
+  assert.equal(feb.yoy, 20);
+  assert.equal(feb.yoyPct, 20);
+});
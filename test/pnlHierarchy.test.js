@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPnL, pnlLinesForScope, PNL_LINES } from "../financial-engine/calculations/pnlHierarchy.js";
+import { detectAnalysisScope } from "../financial-engine/utils/promptAnalyzer.js";
+
+const AMOUNTS = {
+  revenue: 1000, cogs: 300, payroll: 250, utilities: 30, marketing: 20,
+  occupancy: 80, franchise: 20, otherIncome: 5, depreciation: 20, interest: 10, tax: 15
+};
+
+test("builds every line of the ladder", () => {
+  const pnl = buildPnL(AMOUNTS);
+  const amounts = Object.fromEntries(Object.entries(pnl).map(([k, l]) => [k, l.amount]));
+  assert.deepEqual(amounts, {
+    sales: 1000,
+    cogs: 300,
+    grossProfit: 700,
+    labor: 250,
+    primeCost: 550,
+    controllableExpenses: 50,
+    controllableProfit: 400,
+    occupancy: 100,
+    ebitda: 300,
+    otherIncome: 5,
+    depreciation: 20,
+    interest: 10,
+    tax: 15,
+    netProfit: 260
+  });
+  assert.equal(Math.round(pnl.primeCost.pctOfSales * 1e6) / 1e6, 55);
+  assert.equal(pnl.ebitda.label, "EBITDA");
+});
+
+test("the EBITDA scope stops at EBITDA", () => {
+  const pnl = buildPnL(AMOUNTS, "EBITDA");
+  assert.equal(Object.keys(pnl).at(-1), "ebitda");
+  assert.equal(pnl.netProfit, undefined);
+  assert.equal(pnlLinesForScope("EBITDA").length, 9);
+});
+
+test("NET_PROFIT ends at net profit, FULL is the whole ladder", () => {
+  const netProfit = pnlLinesForScope("NET_PROFIT");
+  assert.equal(netProfit.at(-1).key, "netProfit");
+  assert.equal(Object.keys(buildPnL(AMOUNTS, "NET_PROFIT")).at(-1), "netProfit");
+  assert.deepEqual(pnlLinesForScope("FULL"), PNL_LINES);
+  assert.deepEqual(pnlLinesForScope("UNKNOWN"), PNL_LINES);
+});
+
+test("the prompt picks the scope", () => {
+  assert.equal(detectAnalysisScope("Show EBITDA by store"), "EBITDA");
+  assert.equal(detectAnalysisScope("What drove net profit?"), "NET_PROFIT");
+  assert.equal(detectAnalysisScope("Summarize the month"), "FULL");
+});
+
+test("percent of sales is 0 without sales", () => {
+  const pnl = buildPnL({ cogs: 50 });
+  assert.equal(pnl.cogs.pctOfSales, 0);
+  assert.equal(pnl.grossProfit.amount, -50);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { calculateFinancials } from "../financial-engine/calculations/financialCalculator.js";
+import { generatePptxReport } from "../financial-engine/reports/pptxReportGenerator.js";
+import { buildModel } from "./helpers.js";
+
+// Text runs of each slide, in slide order
+async function slideTexts(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const names = Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => Number(a.match(/\d+/)[0]) - Number(b.match(/\d+/)[0]));
+  return Promise.all(names.map(async name =>
+    [...(await zip.file(name).async("string")).matchAll(/<a:t>([^<]*)<\/a:t>/g)].map(m => m[1])));
+}
+
+const summary = calculateFinancials(buildModel({
+  A: { "2023": { revenue: 1000, cogs: 300, payroll: 300 }, "2024": { revenue: 1200, cogs: 350, payroll: 320 } },
+  B: { "2023": { revenue: 500, cogs: 150, payroll: 200 }, "2024": { revenue: 450, cogs: 150, payroll: 180 } }
+}));
+
+test("bridges prior-year to actual EBITDA and leaves out slides without data", async () => {
+  const slides = await slideTexts(await generatePptxReport(summary, null, "Sales rose.", {}));
+
+  assert.deepEqual(slides.map(texts => texts[0]), ["Financial Performance Review", "KPI Scorecard", "EBITDA Bridge", "Commentary"]);
+  const bridge = slides[2];
+  assert.equal(bridge[1], "Prior year to current, consolidated");
+  ["550", "Prior-year EBITDA", "+150", "Sales", "-50", "Cost of Goods Sold", "650", "Actual EBITDA"]
+    .forEach(text => assert.ok(bridge.includes(text), `${text} in ${bridge.join("|")}`));
+  assert.ok(slides[3].includes("Sales rose."));
+});
+
+test("drops the bridge when there is neither a budget nor a prior year", async () => {
+  const single = calculateFinancials(buildModel({ A: { "2024": { revenue: 1000, cogs: 300 } } }));
+  const slides = await slideTexts(await generatePptxReport(single, null, "", {}));
+  assert.ok(!slides.some(texts => texts[0] === "EBITDA Bridge"));
+});
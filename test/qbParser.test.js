@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseQB } from "../financial-engine/parsers/qbParser.js";
+import { detectReportType } from "../financial-engine/utils/reportTypeDetector.js";
+import { createStoreRegistry } from "../financial-engine/stores/storeRegistry.js";
+import { getAmounts } from "../financial-engine/model/financialModel.js";
+
+// Rows as parseExcelFromUrl returns them: keyed by the sheet's first row
+const sheetRows = rows => rows.slice(1).map(r =>
+  Object.fromEntries(rows[0].map((key, i) => [key || `__EMPTY${i ? `_${i}` : ""}`, r[i] ?? null])));
+
+const BODY = [
+  ["Total Income", 1000, 800, 1800],
+  ["Cost of Goods Sold", 300, 250, 550],
+  ["Net Income", 200, 150, 350]
+];
+
+test("reads the class row wherever detection finds it", () => {
+  const layouts = {
+    // title block above the class row
+    titled: sheetRows([
+      ["Profit and Loss by Class", null, null, null],
+      ["Demo Restaurants", null, null, null],
+      ["January 2024", null, null, null],
+      ["", "Store A", "Store B", "TOTAL"],
+      ...BODY
+    ]),
+    // class row as the sheet's first row
+    bare: sheetRows([["", "Store A", "Store B", "TOTAL"], ...BODY])
+  };
+
+  Object.entries(layouts).forEach(([name, rows]) => {
+    const sheets = [{ sheetName: "Sheet1", data: rows }];
+    const detection = detectReportType(sheets);
+    assert.equal(detection.reportType, "QB", name);
+    const model = parseQB(sheets, { headerRow: detection.headerRow });
+    assert.deepEqual(Object.keys(model.stores), ["Store A", "Store B"], name);
+    assert.equal(getAmounts(model, "Store B", "MTD").revenue, 800, name);
+  });
+});
+
+test("skips blank class headers instead of merging them into one store", () => {
+  const rows = sheetRows([
+    ["Profit and Loss by Class", null, null, null, null],
+    ["", "Store A", "", "Store B", "TOTAL"],
+    ["Total Income", 1000, 5, 800, 1805],
+    ["Net Income", 200, 1, 150, 351]
+  ]);
+  const registry = createStoreRegistry();
+  const model = parseQB([{ sheetName: "Sheet1", data: rows }], { registry });
+  assert.deepEqual(Object.keys(model.stores), ["Store A", "Store B"]);
+  assert.equal(getAmounts(model, "Store B", "MTD").revenue, 800);
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseR365 } from "../financial-engine/parsers/r365Parser.js";
+import { detectReportType } from "../financial-engine/utils/reportTypeDetector.js";
+import { ALL_STORES, getAmounts } from "../financial-engine/model/financialModel.js";
+
+// Rows as parseExcelFromUrl returns them: keyed by the sheet's first row
+const sheetRows = rows => rows.slice(1).map(r =>
+  Object.fromEntries(rows[0].map((key, i) => [key || `__EMPTY${i ? `_${i}` : ""}`, r[i] ?? null])));
+
+const BODY = [
+  ["Net Sales", 1000, 1100],
+  ["Cost of Sales", 300, 320],
+  ["Prime Cost", 600, 640]
+];
+
+test("reads the period row wherever detection finds it", () => {
+  const layouts = {
+    titled: sheetRows([
+      ["Restaurant365", null, null],
+      ["Income Statement", null, null],
+      ["Account", "Period 1", "Period 2"],
+      ...BODY
+    ]),
+    bare: sheetRows([["Account", "Period 1", "Period 2"], ...BODY])
+  };
+
+  Object.entries(layouts).forEach(([name, rows]) => {
+    const sheets = [{ sheetName: "Income Statement", data: rows }];
+    const detection = detectReportType(sheets);
+    assert.equal(detection.reportType, "R365", name);
+    const model = parseR365(sheets, { headerRow: detection.headerRow });
+    assert.deepEqual(model.periods, ["Period 1", "Period 2"], name);
+    assert.equal(getAmounts(model, ALL_STORES, "Period 2").revenue, 1100, name);
+  });
+});
+
+test("throws when there is no period row", () => {
+  assert.throws(
+    () => parseR365([{ sheetName: "Sheet1", data: sheetRows([["Account", "Amount"], ["Net Sales", 1000]]) }]),
+    /period header row not detected/
+  );
+});
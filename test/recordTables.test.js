@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { recordsToSheets } from "../financial-engine/utils/recordTables.js";
+
+test("turns each array of records into a sheet", () => {
+  const sheets = recordsToSheets({
+    company: "Acme",
+    period: "2024-03",
+    stores: [
+      { name: "Downtown", sales: 1000, address: { city: "Austin" } },
+      { name: "Airport, T2", sales: 800, tags: ["new"] }
+    ]
+  });
+  assert.deepEqual(sheets, [
+    { name: "Fields", rows: ["path,value", "company,Acme", "period,2024-03"] },
+    {
+      name: "stores",
+      rows: [
+        "name,sales,address.city,tags",
+        "Downtown,1000,Austin,",
+        `"Airport, T2",800,,"[""new""]"`
+      ]
+    }
+  ]);
+});
+
+test("names nested tables by path", () => {
+  const sheets = recordsToSheets({ report: { lines: [{ a: 1 }, { a: 2 }], stores: [[{ b: 1 }]] } });
+  assert.deepEqual(sheets.map(s => s.name), ["report.lines", "report.stores[0]"]);
+  assert.deepEqual(sheets[0].rows, ["a", "1", "2"]);
+});
+
+test("a top-level array is one sheet and scalars alone give none", () => {
+  assert.deepEqual(recordsToSheets([{ x: 1 }, { x: 2 }]), [{ name: "records", rows: ["x", "1", "2"] }]);
+  assert.deepEqual(recordsToSheets({ a: 1, b: [1, 2] }), []);
+});
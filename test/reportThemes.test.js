@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveReportTheme, pageGeometry, themeLogo, REPORT_THEMES } from "../financial-engine/reports/reportThemes.js";
+
+// 1×1 PNG
+const PNG = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==";
+
+test("merges overrides over the named base and then the default", () => {
+  const theme = resolveReportTheme({ base: "classic", colors: { primary: "112233" }, page: { size: "Letter" } });
+  assert.equal(theme.colors.primary, "112233");
+  assert.equal(theme.colors.secondary, REPORT_THEMES.classic.colors.secondary);
+  // classic has no positive color of its own
+  assert.equal(theme.colors.positive, REPORT_THEMES.default.colors.positive);
+  assert.deepEqual(theme.page, { size: "letter", margin: 0.8 });
+  assert.equal(resolveReportTheme(), REPORT_THEMES.default);
+  assert.deepEqual(pageGeometry(resolveReportTheme("classic")), { width: 11906, height: 16838, margin: 1152, contentWidth: 9602 });
+});
+
+test("rejects unknown names and page sizes", () => {
+  assert.throws(() => resolveReportTheme("neon"), /Unknown report theme "neon" \(available: default, classic\)/);
+  assert.throws(() => resolveReportTheme({ page: { size: "tabloid" } }), /Unknown page size "tabloid" \(available: letter, a4\)/);
+});
+
+test("rejects colors that are not 6-digit hex", () => {
+  assert.throws(() => resolveReportTheme({ colors: { primary: "#1E3A8A" } }),
+    /Theme color colors\.primary must be 6-digit hex without "#" \(got "#1E3A8A"\)/);
+  assert.throws(() => resolveReportTheme({ colors: { accent: "navy" } }), /colors\.accent .*\(got "navy"\)/);
+  assert.throws(() => resolveReportTheme({ chartPalette: ["1E3A8A", "FFF"] }), /chartPalette\[1\] .*\(got "FFF"\)/);
+  assert.throws(() => resolveReportTheme({ colors: { text: 0 } }), /colors\.text .*\(got 0\)/);
+  assert.equal(resolveReportTheme({ colors: { primary: "1e3a8a" } }).colors.primary, "1e3a8a");
+});
+
+test("decodes a PNG logo from a data URL and rejects other images", () => {
+  const logo = themeLogo(resolveReportTheme({ logo: { data: `data:image/png;base64,${PNG}`, width: 90 } }));
+  assert.deepEqual([logo.type, logo.mime, logo.width, logo.height, logo.base64], ["png", "image/png", 90, 40, PNG]);
+  assert.equal(themeLogo(resolveReportTheme()), null);
+  assert.throws(() => themeLogo({ logo: { data: Buffer.from("GIF89a").toString("base64") } }), /must be a PNG or JPEG/);
+});
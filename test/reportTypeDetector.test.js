@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectReportType } from "../financial-engine/utils/reportTypeDetector.js";
+
+test("detects a QuickBooks P&L by class", () => {
+  const result = detectReportType([{
+    sheetName: "Sheet1",
+    data: [
+      { __EMPTY: "Profit and Loss by Class", "Store A": "", Total: "" },
+      { __EMPTY: "Total Income", "Store A": 1000, Total: 1000 },
+      { __EMPTY: "Cost of Goods Sold", "Store A": "", Total: "" },
+      { __EMPTY: "Net Operating Income", "Store A": 200, Total: 200 },
+      { __EMPTY: "Net Income", "Store A": 180, Total: 180 }
+    ]
+  }]);
+  assert.equal(result.reportType, "QB");
+  assert.ok(result.matched.includes("'Profit and Loss by Class' title"));
+});
+
+test("detects a year-per-sheet MIS", () => {
+  const sheet = name => ({
+    sheetName: name,
+    data: [
+      { Particulars: "Revenue", "Store A": 1000, Benchmark: "" },
+      { Particulars: "Total COGS", "Store A": 300, Benchmark: "30%" }
+    ]
+  });
+  assert.equal(detectReportType([sheet("2023"), sheet("2024")]).reportType, "MIS");
+});
+
+test("detects an R365 period report", () => {
+  const result = detectReportType([{
+    sheetName: "Income Statement",
+    data: [
+      { Account: "Net Sales", "Period 1": 1000, "Period 2": 1100 },
+      { Account: "Prime Cost", "Period 1": 600, "Period 2": 640 }
+    ]
+  }]);
+  assert.equal(result.reportType, "R365");
+  assert.ok(result.confidence >= 0.35);
+});
+
+test("throws with what it inspected when no format fits", () => {
+  assert.throws(
+    () => detectReportType([{ sheetName: "Notes", data: [{ Item: "Lunch", Qty: 3 }] }]),
+    err => /Could not identify report format/.test(err.message) && err.inspected.sheetNames[0] === "Notes"
+  );
+  assert.throws(() => detectReportType([]), /no sheets/);
+});
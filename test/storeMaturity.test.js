@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyStores, buildCompSales, STORE_STATUS } from "../financial-engine/calculations/storeMaturity.js";
+import { calculateFinancials } from "../financial-engine/calculations/financialCalculator.js";
+import { buildModel, months, every } from "./helpers.js";
+
+const periods = months(2023, 14);   // Jan 2023 … Feb 2024
+const lastYear = periods.slice(0, 12);
+const thisYear = periods.slice(12);
+
+function classify(stores, options) {
+  const model = buildModel(stores, { periods });
+  const summary = calculateFinancials(model, { view: "YTD" });
+  return { summary, maturity: classifyStores(model, summary, options) };
+}
+
+test("classifies stores from the periods that carry sales", () => {
+  const { maturity } = classify({
+    Comp: every(periods, { revenue: 100 }),
+    New: every(thisYear, { revenue: 100 }),
+    Closed: { ...every(lastYear, { revenue: 100 }), "Jan 2024": { revenue: 100 } }
+  });
+  assert.equal(maturity.stores.Comp.status, STORE_STATUS.COMP);
+  assert.equal(maturity.stores.New.status, STORE_STATUS.NEW);
+  assert.equal(maturity.stores.Closed.status, STORE_STATUS.CLOSED);
+  assert.equal(maturity.stores.Comp.basis, "periods");
+});
+
+test("a store that opened during the window is new, not closed", () => {
+  const { maturity } = classify({
+    Comp: every(periods, { revenue: 100 }),
+    // no prior-year data, first sales in February
+    Opened: { "Feb 2024": { revenue: 100 } },
+    Remodel: { ...every(lastYear, { revenue: 100 }), "Feb 2024": { revenue: 100 } }
+  });
+  assert.equal(maturity.stores.Opened.status, STORE_STATUS.NEW);
+  // traded last year and at the end of the window, but not at its start
+  assert.equal(maturity.stores.Remodel.status, STORE_STATUS.NEW);
+});
+
+test("a gap inside the window leaves a store unclassified", () => {
+  const model = buildModel({
+    A: { ...every(months(2023, 15), { revenue: 100 }), "Feb 2024": { revenue: 0 } }
+  });
+  const summary = calculateFinancials(model, { view: "YTD" });
+  assert.equal(classifyStores(model, summary).stores.A.status, STORE_STATUS.UNCLASSIFIED);
+});
+
+test("dates are judged at the end of the latest period by default", () => {
+  const { maturity } = classify(
+    { A: every(periods, { revenue: 100 }), B: every(periods, { revenue: 100 }) },
+    { storeDates: { A: { openDate: "2023-06-01" }, B: { openDate: "2022-10-01" } } }
+  );
+  assert.equal(maturity.asOfDate, "2024-02-29");
+  assert.equal(maturity.asOfBasis, "data");
+  assert.equal(maturity.stores.A.monthsOpen, 8);
+  // 16 months open at the end of the file, though comp by today
+  assert.equal(maturity.stores.B.status, STORE_STATUS.NEW);
+});
+
+test("open and close dates win over the data", () => {
+  const { maturity } = classify(
+    { A: every(periods, { revenue: 100 }), B: every(periods, { revenue: 100 }), C: every(periods, { revenue: 100 }) },
+    {
+      asOfDate: "2024-02-29",
+      storeDates: {
+        A: { openDate: "2023-06-01" },
+        B: { openDate: "2020-01-01" },
+        C: { openDate: "2020-01-01", closeDate: "2024-02-15" }
+      }
+    }
+  );
+  assert.deepEqual(maturity.stores.A, { status: "new", basis: "dates", openDate: "2023-06-01", monthsOpen: 8 });
+  assert.equal(maturity.stores.B.status, "comp");
+  assert.equal(maturity.stores.C.status, "closed");
+  assert.equal(maturity.asOfDate, "2024-02-29");
+  assert.equal(maturity.asOfBasis, "request");
+});
+
+test("nothing is comp without a comparison period", () => {
+  const model = buildModel({ A: every(months(2024, 3), { revenue: 100 }) });
+  const summary = calculateFinancials(model, { view: "YTD" });
+  assert.equal(classifyStores(model, summary).stores.A.status, STORE_STATUS.UNCLASSIFIED);
+});
+
+test("same-store sales growth counts comp stores only", () => {
+  const { summary, maturity } = classify({
+    Comp: { ...every(lastYear, { revenue: 100 }), ...every(thisYear, { revenue: 110 }) },
+    New: every(thisYear, { revenue: 50 })
+  });
+  const comp = buildCompSales(summary, maturity);
+  assert.equal(Math.round(comp.sameStoreSalesGrowth * 10) / 10, 10);
+  assert.equal(comp.newStoreContribution.revenue, 100);
+  assert.equal(comp.newStoreContribution.storeCount, 1);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createStoreRegistry, normalizeStoreName, buildStoreRollups
+} from "../financial-engine/stores/storeRegistry.js";
+
+const RECORDS = [
+  { id: "S-012", name: "Downtown", region: "West", district: "W1", squareFeet: 2000, seats: 80, aliases: ["DT"] },
+  { id: "S-007", name: "Airport", region: "West", district: "W2", squareFeet: 3000 },
+  { id: "S-020", name: "Harbor", region: "East", district: "E1", squareFeet: 1000, seats: 40 }
+];
+
+test("normalizes store names", () => {
+  assert.equal(normalizeStoreName("Store #012 - Downtown"), "12 downtown");
+  assert.equal(normalizeStoreName("Bar & Grill Restaurant"), "bar and grill");
+});
+
+test("resolves headers by name, alias and store number", () => {
+  const registry = createStoreRegistry({ records: RECORDS });
+  assert.equal(registry.canonicalName("downtown"), "Downtown");
+  assert.equal(registry.canonicalName(" dt "), "Downtown");
+  assert.equal(registry.canonicalName("Store 7"), "Airport");
+  assert.equal(registry.canonicalName("  Mystery Store "), "Mystery Store");
+  assert.deepEqual(registry.report().unresolved, ["Mystery Store"]);
+});
+
+test("rejects records whose aliases collide", () => {
+  assert.throws(
+    () => createStoreRegistry({ records: [{ id: "A", name: "One", aliases: ["X"] }, { id: "B", name: "Two", aliases: ["x"] }] }),
+    /matches both A and B/
+  );
+  assert.throws(() => createStoreRegistry({ records: [{ name: "No id" }] }), /need an id and a name/);
+});
+
+test("rolls stores up by region and district", () => {
+  const registry = createStoreRegistry({ records: RECORDS });
+  const store = (revenue, ebitda) => ({ revenue, revenueLY: revenue / 2, ebitda });
+  const rollups = buildStoreRollups({
+    stores: { Downtown: store(400000, 40000), Airport: store(300000, 30000), Harbor: store(100000, 5000), Kiosk: store(50000, 1000) }
+  }, registry);
+
+  assert.equal(rollups.stores.Downtown.salesPerSqFt, 200);
+  assert.equal(rollups.stores.Kiosk.region, "Unassigned");
+  assert.equal(rollups.region.West.storeCount, 2);
+  assert.equal(rollups.region.West.revenue, 700000);
+  assert.equal(rollups.region.West.yoyGrowth, 100);
+  assert.equal(rollups.district.W1.ebitdaMargin, 10);
+});
+
+test("per-unit rollups use only the stores that give the unit", () => {
+  const registry = createStoreRegistry({ records: RECORDS });
+  const store = revenue => ({ revenue, revenueLY: 0, ebitda: 0 });
+  const { region } = buildStoreRollups({
+    stores: { Downtown: store(400000), Airport: store(300000), Harbor: store(100000), Kiosk: store(50000) }
+  }, registry);
+
+  // Airport has no seats: per seat is Downtown's sales over its seats
+  assert.equal(region.West.salesPerSeat, 400000 / 80);
+  assert.equal(region.West.salesPerSqFt, 700000 / 5000);
+  // Kiosk has no record at all, so neither its sales nor a base count
+  assert.equal(region.Unassigned.salesPerSqFt, null);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildChartSvg, lineChart, barChart, waterfallChart } from "../financial-engine/charts/svgCharts.js";
+import { renderChart } from "../financial-engine/charts/chartRenderer.js";
+import { buildReportCharts } from "../financial-engine/charts/financialCharts.js";
+import { calculateFinancials } from "../financial-engine/calculations/financialCalculator.js";
+import { buildModel } from "./helpers.js";
+
+const texts = svg => [...svg.matchAll(/<text [^>]*>([^<]*)<\/text>/g)].map(m => m[1]);
+const rects = (svg, fill) => [...svg.matchAll(new RegExp(`<rect [^>]*fill="#${fill}"[^>]*/>`, "g"))].map(m => m[0]);
+
+test("waterfall steps float from the running total and are colored by sign", () => {
+  const svg = waterfallChart({
+    start: { label: "Budget", value: 1000 },
+    steps: [{ label: "Sales", value: 300 }, { label: "COGS", value: -500 }],
+    end: { label: "Actual", value: 800 }
+  });
+
+  const labels = [...svg.matchAll(/<text [^>]*font-weight="bold"[^>]*>([^<]*)<\/text>/g)].map(m => m[1]);
+  assert.deepEqual(labels, ["1K", "+300", "-500", "800"]);
+  assert.equal(rects(svg, "15803D").length, 1);
+  assert.equal(rects(svg, "B91C1C").length, 1);
+  assert.equal(rects(svg, "1E3A8A").length, 2);
+  // COGS runs from 1,300 down to 800: its foot is level with the end bar's top
+  const attr = (rect, name) => Number(rect.match(new RegExp(` ${name}="([\\d.]+)"`))[1]);
+  const cogs = rects(svg, "B91C1C")[0];
+  const [start, end] = rects(svg, "1E3A8A");
+  assert.ok(Math.abs(attr(cogs, "y") + attr(cogs, "height") - attr(end, "y")) < 1e-9);
+  assert.ok(attr(cogs, "y") < attr(start, "y"));
+});
+
+test("bars below zero take the negative color and labels are escaped", () => {
+  const svg = barChart({
+    categories: ["Fish & Chips", "<Grill>"],
+    series: [{ name: "Margin", values: [12, -4], color: "111111", colorNegative: "222222" }],
+    reference: { value: 10, label: "Benchmark 10%" },
+    format: "percent"
+  });
+
+  assert.equal(rects(svg, "111111").length, 1);
+  assert.equal(rects(svg, "222222").length, 1);
+  assert.ok(svg.includes("stroke-dasharray=\"6 4\""));
+  assert.ok(texts(svg).includes("Fish &amp; Chips"));
+  assert.ok(texts(svg).includes("&lt;Grill&gt;"));
+  assert.ok(texts(svg).includes("-4%"));
+  assert.ok(texts(svg).includes("Benchmark 10%"));
+});
+
+test("a missing value breaks the line", () => {
+  const svg = lineChart({ categories: ["J", "F", "M", "A", "M"], series: [{ name: "A", values: [1, 2, null, 4, 5] }] });
+  assert.equal(svg.match(/<polyline/g).length, 2);
+  assert.equal(svg.match(/<circle/g).length, 4);
+});
+
+test("rejects an unknown chart type", () => {
+  assert.throws(() => buildChartSvg({ type: "pie" }), /Unknown chart type "pie" \(available: line, bar, stackedBar, waterfall\)/);
+});
+
+test("renders a PNG at the requested scale", () => {
+  const chart = renderChart({ type: "bar", title: "Sales", width: 300, height: 200, categories: ["A"], series: [{ name: "S", values: [5] }] }, { scale: 2 });
+  assert.deepEqual([chart.type, chart.title, chart.width, chart.height], ["bar", "Sales", 300, 200]);
+  assert.match(chart.svg, /^<svg /);
+  assert.deepEqual([...chart.png.subarray(1, 4)], [...Buffer.from("PNG")]);
+  // IHDR width and height
+  assert.deepEqual([chart.png.readUInt32BE(16), chart.png.readUInt32BE(20)], [600, 400]);
+
+  assert.equal(renderChart({ type: "line", categories: ["A"], series: [{ name: "S", values: [1] }] }, { formats: ["svg"] }).png, null);
+});
+
+test("report charts: bridge only with a budget or prior year, palette from the theme", () => {
+  const single = calculateFinancials(buildModel({ A: { "2024": { revenue: 1000, cogs: 300 } }, B: { "2024": { revenue: 800, cogs: 200 } } }));
+  const theme = { chartPalette: ["ABCDEF"], fonts: { body: "Georgia" } };
+  const charts = buildReportCharts(single, { formats: ["svg"], theme });
+
+  assert.equal(charts.ebitdaBridge, null);
+  assert.equal(charts.storeMargins.title, "EBITDA Margin by Store");
+  assert.ok(rects(charts.storeMargins.svg, "ABCDEF").length);
+  assert.match(charts.costMix.svg, /font-family="Georgia, /);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildBudgetSummary, computeVariances } from "../financial-engine/calculations/varianceAnalysis.js";
+import { calculateFinancials } from "../financial-engine/calculations/financialCalculator.js";
+import { buildModel } from "./helpers.js";
+
+const actual = buildModel({
+  A: { "2024-01": { revenue: 1100, cogs: 360, payroll: 280 } },
+  B: { "2024-01": { revenue: 500, cogs: 150 } }
+});
+const budget = buildModel({
+  A: { "2024-01": { revenue: 1000, cogs: 300, payroll: 300 } },
+  C: { "2024-01": { revenue: 800 } }
+});
+
+test("signs variances so that positive is favorable", () => {
+  const summary = calculateFinancials(actual);
+  const variance = computeVariances(summary, buildBudgetSummary(budget, summary));
+  const a = variance.stores.A;
+
+  assert.deepEqual(
+    { variance: a.sales.variance, pct: a.sales.variancePct, favorable: a.sales.favorable },
+    { variance: 100, pct: 10, favorable: true }
+  );
+  assert.equal(a.cogs.variance, -60);
+  assert.equal(a.cogs.favorable, false);
+  assert.equal(a.labor.variance, 20);
+  assert.equal(variance.aligned, true);
+});
+
+test("lists the largest driver variances and unmatched stores", () => {
+  const summary = calculateFinancials(actual);
+  const variance = computeVariances(summary, buildBudgetSummary(budget, summary));
+  assert.deepEqual(variance.largest.slice(0, 3).map(v => [v.store, v.line, v.variance]), [
+    ["A", "sales", 100],
+    ["A", "cogs", -60],
+    ["A", "labor", 20]
+  ]);
+  assert.ok(variance.largest.every(v => !["grossProfit", "ebitda", "primeCost"].includes(v.line)));
+  assert.deepEqual(variance.unmatchedStores, { actualOnly: ["B"], budgetOnly: ["C"] });
+});
+
+test("falls back to the budget's own latest period when labels differ", () => {
+  const summary = calculateFinancials(actual);
+  const other = buildModel({ A: { "Jan 2024": { revenue: 900 } } });
+  const budgetSummary = buildBudgetSummary(other, summary);
+  assert.equal(budgetSummary.aligned, false);
+  assert.deepEqual(budgetSummary.periods, ["Jan 2024"]);
+  assert.equal(budgetSummary.stores.A.sales.amount, 900);
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mammoth from "mammoth";
+import { calculateFinancials } from "../financial-engine/calculations/financialCalculator.js";
+import { generateWordReport } from "../financial-engine/reports/wordReportGenerator.js";
+import { buildModel } from "./helpers.js";
+
+test("structured findings print metric labels, not keys", async () => {
+  const summary = calculateFinancials(buildModel({ A: { "2024": { revenue: 1000, cogs: 320, payroll: 300 } } }));
+  const commentarySections = {
+    executiveSummary: "Costs are in line.",
+    storeFindings: [{ store: "A", metric: "foodCostPct", severity: "concern", finding: "Food cost is 32% of sales." }],
+    benchmarkComparison: [{ metric: "ebitdaMargin", actual: 20, benchmark: 15, finding: "Ahead of benchmark." }],
+    actionItems: [{ priority: "high", action: "Review supplier pricing.", metric: "laborPct", store: "A" }]
+  };
+
+  const word = await generateWordReport(summary, null, "", { commentarySections, charts: false });
+  const { value: text } = await mammoth.extractRawText({ buffer: word });
+  assert.match(text, /Food Cost % \(concern\)/);
+  assert.match(text, /EBITDA Margin %/);
+  assert.match(text, /Labor %, A/);
+  assert.doesNotMatch(text, /foodCostPct|ebitdaMargin|laborPct/);
+});